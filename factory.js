@@ -1,7 +1,50 @@
 /** @typedef {(this: Factory, dependencies: any[]) => Promise<any>} TypeFactory */
-/** @typedef {{factory: TypeFactory, dependencies: string[]}} ConfigurationEntry */
+/** @typedef {'singleton'|'scoped'|'transient'} Lifetime - One instance per container, one per scope, or a new instance for every resolve. */
+/** @typedef {{factory: TypeFactory, dependencies: string[], lifetime?: Lifetime, external?: boolean}} ConfigurationEntry - External instances are owned elsewhere, so are never disposed. */
 /** @typedef {{[key: string]: ConfigurationEntry}} Configuration */
-/** @typedef {{[key: string]: string[]}} JsonConfiguration */
+/**
+ * @typedef ImportOptions
+ * @property {string} [export='default'] - The named export of the module to construct.
+ * @property {'new'|'call'} [construct='new'] - Whether to construct the export with new, or call it as a function.
+ * @property {any[]} [args=[]] - Static arguments, passed after the dependencies.
+ * @property {string|URL} [baseUrl] - The URL that relative module specifiers resolve against, such as that of the configuration file.
+ */
+/**
+ * @typedef JsonEntry
+ * @property {string} [module] - The module specifier, the key by default.
+ * @property {string} [export='default'] - The named export of the module to construct.
+ * @property {'new'|'call'} [construct='new'] - Whether to construct the export with new, or call it as a function.
+ * @property {Lifetime} [lifetime='singleton'] - The lifetime of the instance.
+ * @property {string[]} [dependencies=[]] - The keys of the dependencies, passed first.
+ * @property {any[]} [args=[]] - Static arguments, passed after the dependencies.
+ * @property {string[]} [aliases=[]] - Other keys that resolve the same entry, sharing its instances.
+ */
+/** @typedef {{[key: string]: string[]|JsonEntry}} JsonConfiguration */
+/**
+ * @typedef {(new (...args: any[]) => any) & {inject?: Dependencies|(() => Dependencies), token?: string, lifetime?: Lifetime}} Injectable
+ *          A class declaring its dependencies with a static inject array or method, and optionally its key with a static token and its lifetime.
+ */
+/** @typedef {(string|Injectable)[]} Dependencies - Dependency keys, or the registered classes they belong to. */
+/** @typedef {FactoryOptions & {baseUrl?: string|URL}} JsonOptions */
+/**
+ * @typedef FactoryOptions
+ * @property {boolean} [strict=false] - Throws a Factory.ResolutionError for missing entries and factory functions, rather than resolving null.
+ */
+/**
+ * @typedef ConfigurationProblem
+ * @property {'cycle'|'missing-dependency'|'missing-factory'|'invalid-lifetime'} code - The kind of problem.
+ * @property {string} key - The entry with the problem.
+ * @property {string[]} path - The keys involved, such as the full cycle from and back to the key, or the key and its missing dependency.
+ * @property {string} message - A description of the problem.
+ */
+/** @typedef {'string'|'number'|'integer'|'boolean'|'json'} ValueType - The type to coerce a text value to. */
+/**
+ * @typedef ValueOptions
+ * @property {any} [default] - The value when none is set; without one a missing value throws.
+ * @property {ValueType} [type] - The type to coerce text to, checked for other values; without one values are as they are.
+ * @property {{[name: string]: string|undefined}} [env=process.env] - The environment variables to read, for Factory.env.
+ */
+/** @typedef {{pending: Map<ConfigurationEntry, Promise<any>>, built: string[]}} ResolutionContext */
 export default
 /**
  * @class Factory - A class for constructing types based on a dependency configuration.
@@ -11,63 +54,534 @@ export default
 class Factory {
   /** @type {Configuration} */
   #configuration;
-  constructor(/** @type {Configuration|null|undefined} */ configuration = null) { this.#configuration = configuration || {}; }
+  /** @type {Factory|undefined} - The container of a scope, undefined for a container. */
+  #root;
+  /** @type {Map<ConfigurationEntry, Promise<any>>} - The singletons of a container, or the scoped instances of a scope. */
+  #instances = new Map();
+  /** @type {Set<any>} - The disposable instances created, in the order they were created. */
+  #disposables = new Set();
+  /** @type {Set<Factory>} - The open scopes of a container. */
+  #scopes = new Set();
+  /** @type {boolean} - Whether this is a scope, which disposes the transient instances resolved from it. */
+  #scope = false;
+  /** @type {Factory|undefined} - The factory whose configuration a session overrides. */
+  #base;
+  /** @type {Set<string>} - The keys a session overrides. */
+  #overridden = new Set();
+  /** @type {Map<ConfigurationEntry, Promise<any>>} - The singleton and scoped instances of a session that depend on its overrides. */
+  #local = new Map();
+  /** @type {Map<string, boolean>} - Whether each key resolved by a session depends on its overrides. */
+  #touched = new Map();
+  /** @type {boolean} */
+  #disposed = false;
+  /** @type {FactoryOptions} */
+  #options;
+  constructor(/** @type {Configuration|null|undefined} */ configuration = null, /** @type {FactoryOptions} */ options = {}) {
+    this.#configuration = configuration || {};
+    this.#options = {...options};
+  }
+  static ResolutionError =
+  /**
+   * @class Factory.ResolutionError - An error resolving an entry, naming the chain of keys that led to it.
+   * @extends Error
+   */
+  class ResolutionError extends Error {
+    /** @type {ConfigurationProblem['code']} */
+    #code;
+    /** @readonly @property {ConfigurationProblem['code']} code - The kind of problem. */
+    get code() { return this.#code; }
+    /** @type {string[]} */
+    #chain;
+    /** @readonly @property {string[]} chain - The keys resolved to reach the problem, the first being the key requested. */
+    get chain() { return [...this.#chain]; }
+    /**
+     * @constructor
+     * @param {string} reason - What went wrong.
+     * @param {ConfigurationProblem['code']} code - The kind of problem.
+     * @param {string[]} chain - The keys resolved to reach the problem.
+     */
+    constructor(reason, code, chain) {
+      super(`${reason} (${chain.join(' -> ')})`);
+      this.name = 'ResolutionError';
+      this.#code = code;
+      this.#chain = [...chain];
+    }
+  }
   /**
    * @method resolve - Constructs an instance of the specified type using the factory configuration with optional override configurations.
-   * @param {string} name - The key of the type to construct.
+   * @note Singletons are shared by a container and its scopes, and resolve their dependencies from the container.
+   *       Scoped instances are shared within a scope, the container acting as a scope of its own. Transient instances are always new.
+   *       A scope disposes the transient instances resolved from it. A container only disposes those that singleton and scoped instances depend on,
+   *       so that it does not hold every instance it creates; the caller disposes the others, or resolves them from a scope.
+   *       Singleton and scoped instances built from overrides or parameters are disposed with the container or scope they were resolved from.
+   * @param {string|Injectable} name - The key of the type to construct, or a registered class.
    * @param {Configuration|null|undefined} [overrides={}] - An optional object containing override configurations for dependencies.
-   * @returns {Promise<any>} - The constructed instance of the specified type.
+   * @param {{[key: string]: any}|null|undefined} [parameters={}] - Values for this call, passed to the factories that depend on their keys.
+   * @returns {Promise<any>} - The constructed instance of the specified type, or null when it is not configured and the factory is not strict.
+   * @throws {Error} - If this factory has been disposed.
+   * @throws {InstanceType<Factory.ResolutionError>} - If the dependencies form a cycle, an entry has an unknown lifetime,
+   *         or in strict mode when an entry or its factory function is missing.
+   */
+  async resolve(name, overrides = null, parameters = null) { return await this.createSession(overrides, parameters).resolve(name); }
+  /**
+   * @method createSession - Creates a resolution session, which builds each transient entry once for all of its resolves.
+   * @param {Configuration|null|undefined} [overrides={}] - An optional object containing override configurations for dependencies.
+   * @param {{[key: string]: any}|null|undefined} [parameters={}] - Values for the session, passed to the factories that depend on their keys.
+   * @returns {InstanceType<Factory.Session>} - The session, to resolve one or more keys and then inspect which keys were built.
+   */
+  createSession(overrides = null, parameters = null) {
+    if (parameters) { overrides = {...overrides, ...Object.fromEntries(Object.entries(parameters).map(([key, value]) => [key, Factory.value(value)]))}; }
+    return new Factory.Session(this, overrides);
+  }
+  static Session =
+  /**
+   * @class Factory.Session - A single resolution graph, sharing transient instances and pending work between the keys it resolves.
+   * @note Singleton and scoped instances are still shared by their container or scope, as with Factory.resolve,
+   *       except those depending on overrides or parameters, which belong to the session.
    */
-  async resolve(name, overrides = null) {
-    const config = /** @type {Configuration} */(overrides ? {...this.#configuration, ...overrides} : this.#configuration);
-    const session = overrides ? new Factory(config) : this;
-    const entry = config[name];
+  class Session {
+    /** @type {Factory} */
+    #factory;
+    /** @type {ResolutionContext} */
+    #context = {pending: new Map(), built: []};
+    /** @readonly @property {string[]} built - The keys this session constructed, in the order they were built; dependencies come first. */
+    get built() { return [...this.#context.built]; }
+    /**
+     * @constructor
+     * @param {Factory} factory - The factory, or scope, to resolve from.
+     * @param {Configuration|null|undefined} [overrides={}] - An optional object containing override configurations for dependencies.
+     */
+    constructor(factory, overrides = null) { this.#factory = overrides ? factory.#derive(overrides) : factory; }
+    /**
+     * @method resolve - Constructs an instance of the specified type, reusing whatever this session has already built or is building.
+     * @param {string|Injectable} name - The key of the type to construct, or a registered class.
+     * @returns {Promise<any>} - The constructed instance of the specified type, or null when it is not configured and the factory is not strict.
+     * @throws {Error} - As Factory.resolve.
+     */
+    async resolve(name) { return await this.#factory.#resolve(Factory.keyOf(name), [], this.#context); }
+  }
+  /**
+   * @method #resolve - Resolves a key reached through a chain of dependencies.
+   * @param {string} name - The key of the type to construct.
+   * @param {string[]} chain - The keys depending on this one, outermost first.
+   * @param {ResolutionContext} context - The session resolving the key.
+   * @param {boolean} [held=false] - Whether a singleton or scoped instance depends on the key, and so holds a transient instance for its lifetime.
+   * @returns {Promise<any>}
+   */
+  async #resolve(name, chain, context, held = false) {
+    if (this.#disposed || (this.#base && this.#base.#disposed)) { throw new Error(`Cannot resolve ${name} from a disposed Factory`); }
+    const path = [...chain, name];
+    if (chain.includes(name)) { throw new Factory.ResolutionError(`Dependency cycle at ${name}`, 'cycle', path); }
+    const entry = this.#configuration[name];
+    if (!entry && this.#options.strict) { throw new Factory.ResolutionError(`${name} is not configured`, 'missing-dependency', path); }
+    if (entry && typeof(entry.factory) !== 'function' && this.#options.strict) { throw new Factory.ResolutionError(`${name} has no factory function`, 'missing-factory', path); }
     if (!entry || typeof(entry.factory) !== 'function') { return null; }
-    const dependencies = await Promise.all(entry.dependencies?.map(async n => await session.resolve(n)) || []);
-    return await entry.factory.call(session, dependencies);
+    const lifetime = entry.lifetime ?? 'transient';
+    if (!['singleton', 'scoped', 'transient'].includes(lifetime)) { throw new Factory.ResolutionError(`Unknown lifetime ${lifetime} for ${name}`, 'invalid-lifetime', path); }
+    // instances built from overrides belong to the session, so they neither leak into nor are hidden by those of the container or scope
+    const local = lifetime !== 'transient' && this.#touches(name);
+    const owner = lifetime === 'singleton' && !local ? this.#root ?? this : this;
+    const instances = lifetime === 'transient' ? context.pending : local ? this.#local : owner.#instances;
+    const cached = instances.get(entry);
+    if (cached) { return await cached; }
+    // singletons outlive scopes, so they resolve from the container
+    const resolver = lifetime === 'singleton' && !local ? owner : this;
+    const creating = (async () => {
+      const dependencies = await Promise.all(entry.dependencies?.map(async n => await resolver.#resolve(n, path, context, held || lifetime !== 'transient')) || []);
+      const instance = await entry.factory.call(resolver, dependencies);
+      const tracked = lifetime !== 'transient' || held || owner.#scope;
+      if (tracked && !entry.external && Factory.#isDisposable(instance)) { owner.#disposables.add(instance); }
+      context.built.push(name);
+      return instance;
+    })();
+    instances.set(entry, creating);
+    creating.catch(() => instances.delete(entry));
+    return await creating;
+  }
+  /**
+   * @method createScope - Creates a scope, such as for a request, with its own scoped instances and the singletons of this container.
+   * @returns {Factory} - The scope, to dispose when it ends.
+   * @throws {Error} - If this factory has been disposed.
+   */
+  createScope() {
+    if (this.#disposed) { throw new Error('Cannot create a scope of a disposed Factory'); }
+    const scope = new Factory(this.#configuration, this.#options);
+    scope.#root = this.#root ?? this;
+    scope.#scope = true;
+    scope.#root.#scopes.add(scope);
+    return scope;
+  }
+  /**
+   * @method dispose - Disposes the instances this factory created, in the reverse of the order they were created, so dependents go before their dependencies.
+   * @note Instances are disposed with Symbol.asyncDispose or Symbol.dispose. Disposing a container first disposes its open scopes.
+   * @returns {Promise<void>}
+   * @throws {Error|AggregateError} - The errors of instances that failed to dispose, after disposing the others.
+   */
+  async dispose() {
+    if (this.#disposed) { return; }
+    this.#disposed = true;
+    if (this.#root) { this.#root.#scopes.delete(this); }
+    const errors = [];
+    for (const scope of [...this.#scopes].reverse()) {
+      try { await scope.dispose(); } catch (e) { errors.push(e); }
+    }
+    for (const instance of [...this.#disposables].reverse()) {
+      try {
+        if (typeof(instance[Symbol.asyncDispose]) === 'function') { await instance[Symbol.asyncDispose](); }
+        else { instance[Symbol.dispose](); }
+      } catch (e) { errors.push(e); }
+    }
+    this.#disposables.clear();
+    this.#instances.clear();
+    if (errors.length === 1) { throw errors[0]; }
+    if (errors.length) { throw new AggregateError(errors, 'Failed to dispose instances'); }
+  }
+  /**
+   * @method validate - Checks the configuration for dependency cycles, missing dependencies, entries without a factory function and unknown lifetimes.
+   * @returns {ConfigurationProblem[]} - The problems found, none when every entry can be resolved.
+   */
+  validate() {
+    /** @type {ConfigurationProblem[]} */
+    const problems = [];
+    const config = this.#configuration;
+    for (const [key, entry] of Object.entries(config)) {
+      if (typeof(entry?.factory) !== 'function') { problems.push({code: 'missing-factory', key, path: [key], message: `${key} has no factory function`}); }
+      if (entry?.lifetime !== undefined && !['singleton', 'scoped', 'transient'].includes(entry.lifetime)) {
+        problems.push({code: 'invalid-lifetime', key, path: [key], message: `${key} has an unknown lifetime ${entry.lifetime}`});
+      }
+      for (const dependency of entry?.dependencies ?? []) {
+        if (!Object.hasOwn(config, dependency)) { problems.push({code: 'missing-dependency', key, path: [key, dependency], message: `${key} depends on ${dependency}, which is not configured`}); }
+      }
+    }
+    const reported = new Set();
+    for (const cycle of Factory.#cycles(config)) {
+      const id = [...cycle.slice(1)].sort().join('\n');
+      if (reported.has(id)) { continue; }
+      reported.add(id);
+      problems.push({code: 'cycle', key: cycle[0], path: cycle, message: `Dependency cycle ${cycle.join(' -> ')}`});
+    }
+    return problems;
+  }
+  /**
+   * @method order - Lists the configured keys so that each comes after its dependencies, in the order they could be constructed.
+   * @returns {string[]} - The keys in topological order, without missing dependencies.
+   * @throws {InstanceType<Factory.ResolutionError>} - If the dependencies form a cycle.
+   */
+  order() {
+    const [cycle] = Factory.#cycles(this.#configuration);
+    if (cycle) { throw new Factory.ResolutionError(`Dependency cycle at ${cycle[0]}`, 'cycle', cycle); }
+    /** @type {Set<string>} */
+    const order = new Set();
+    /** @type {(key: string) => void} */
+    const visit = key => {
+      if (order.has(key) || !Object.hasOwn(this.#configuration, key)) { return; }
+      for (const dependency of this.#configuration[key].dependencies ?? []) { visit(dependency); }
+      order.add(key);
+    };
+    Object.keys(this.#configuration).forEach(visit);
+    return [...order];
+  }
+  /**
+   * @method toDot - Writes the dependency graph in the Graphviz DOT language, with edges from each entry to its dependencies.
+   * @returns {string} - The graph, with missing dependencies dashed.
+   */
+  toDot() {
+    const lines = this.#nodes().map(([key, missing]) => `  ${JSON.stringify(key)}${missing ? ' [style=dashed]' : ''};`);
+    const edges = this.#edges().map(([from, to]) => `  ${JSON.stringify(from)} -> ${JSON.stringify(to)};`);
+    return ['digraph Factory {', ...lines, ...edges, '}'].join('\n');
+  }
+  /**
+   * @method toMermaid - Writes the dependency graph as a Mermaid flowchart, with edges from each entry to its dependencies.
+   * @returns {string} - The graph, with missing dependencies dashed.
+   */
+  toMermaid() {
+    const nodes = this.#nodes();
+    const ids = new Map(nodes.map(([key], i) => [key, `n${i}`]));
+    /** @type {(key: string) => string} */
+    const label = key => key.replace(/"/g, '#quot;');
+    const lines = nodes.map(([key, missing]) => `  ${ids.get(key)}${missing ? `(["${label(key)}"])` : `["${label(key)}"]`}`);
+    const edges = this.#edges().map(([from, to]) => `  ${ids.get(from)} ${Object.hasOwn(this.#configuration, to) ? '-->' : '-.->'} ${ids.get(to)}`);
+    return ['flowchart TD', ...lines, ...edges].join('\n');
+  }
+  /** @method #nodes - Lists the configured keys and then the missing dependencies. @returns {[string, boolean][]} - Each key and whether it is missing. */
+  #nodes() {
+    const keys = Object.keys(this.#configuration);
+    const missing = [...new Set(this.#edges().map(([, to]) => to))].filter(key => !Object.hasOwn(this.#configuration, key));
+    return [...keys.map(key => /** @type {[string, boolean]} */([key, false])), ...missing.map(key => /** @type {[string, boolean]} */([key, true]))];
+  }
+  /** @method #edges @returns {[string, string][]} - The dependencies of each entry. */
+  #edges() {
+    return Object.entries(this.#configuration).flatMap(([key, entry]) => (entry?.dependencies ?? []).map(dependency => /** @type {[string, string]} */([key, dependency])));
+  }
+  /**
+   * @method #cycles - Finds the dependency cycles of a configuration by depth first search.
+   * @param {Configuration} config - The configuration.
+   * @returns {string[][]} - Each cycle found, from a key back to itself.
+   */
+  static #cycles(config) {
+    /** @type {string[][]} */
+    const cycles = [];
+    /** @type {Map<string, 'visiting'|'visited'>} */
+    const states = new Map();
+    /** @type {string[]} */
+    const stack = [];
+    /** @type {(key: string) => void} */
+    const visit = key => {
+      if (states.get(key) === 'visiting') { cycles.push([...stack.slice(stack.indexOf(key)), key]); return; }
+      if (states.has(key) || !Object.hasOwn(config, key)) { return; }
+      states.set(key, 'visiting');
+      stack.push(key);
+      for (const dependency of config[key]?.dependencies ?? []) { visit(dependency); }
+      stack.pop();
+      states.set(key, 'visited');
+    };
+    Object.keys(config).forEach(visit);
+    return cycles;
+  }
+  /** @method [Symbol.asyncDispose] - Disposes this factory at the end of an await using block. @returns {Promise<void>} */
+  [Symbol.asyncDispose]() { return this.dispose(); }
+  /** @method #derive - Creates a session for overridden configuration, sharing the instances of this factory that do not depend on the overrides. @param {Configuration} overrides @returns {Factory} */
+  #derive(overrides) {
+    const session = new Factory({...this.#configuration, ...overrides}, this.#options);
+    session.#root = this.#root ?? this;
+    session.#base = this;
+    session.#overridden = new Set(Object.keys(overrides));
+    session.#instances = this.#instances;
+    session.#disposables = this.#disposables;
+    session.#scope = this.#scope;
+    return session;
+  }
+  /** @method #touches - Whether a key, or any key in its dependency graph, is overridden by this session. @param {string} name @returns {boolean} */
+  #touches(name) {
+    if (!this.#overridden.size) { return false; }
+    const known = this.#touched.get(name);
+    if (known !== undefined) { return known; }
+    this.#touched.set(name, false);
+    const touched = this.#overridden.has(name) || (this.#configuration[name]?.dependencies ?? []).some(dependency => this.#touches(dependency));
+    this.#touched.set(name, touched);
+    return touched;
+  }
+  /** @method #isDisposable @param {any} instance @returns {boolean} */
+  static #isDisposable(instance) {
+    return (typeof(instance) === 'object' || typeof(instance) === 'function') && instance !== null
+      && (typeof(instance[Symbol.asyncDispose]) === 'function' || typeof(instance[Symbol.dispose]) === 'function');
   }
   /**
    * @static
-   * @method toImport - Generates an import TypeFactory that constructs the default export of the specified module path.
+   * @method toImport - Generates an import TypeFactory that constructs an export of the specified module path, the default export unless named.
+   * @note Relative paths resolve against the base URL when one is given, otherwise against this module.
    * @param {string} path - The module path to import.
+   * @param {ImportOptions} [options={}] - The export, how to construct it, static arguments and base URL.
    * @returns {TypeFactory} - The TypeFactory for the import path.
+   * @throws {Error} - If the construct option is neither new nor call.
    */
-  static toImport(path) { 
+  static toImport(path, options = {}) {
+    const {export: name = 'default', construct = 'new', args = [], baseUrl} = options;
+    if (construct !== 'new' && construct !== 'call') { throw new Error(`Invalid construct ${construct} for ${path}`); }
+    const specifier = baseUrl && /^\.{0,2}\//.test(path) ? new URL(path, baseUrl).href : path;
     return async function(dependencies) {
-      new (await import(path)).default(...dependencies);
-    }; 
+      const module = await import(specifier);
+      if (!(name in module)) { throw new Error(`Module ${specifier} has no export ${name}`); }
+      const type = module[name];
+      return construct === 'new' ? new type(...dependencies, ...args) : await type(...dependencies, ...args);
+    };
   }
   /**
    * @static
    * @method toSingleton - Wraps a TypeFactory function to ensure it only creates a single instance (singleton pattern).
+   * @note The instance is shared by every Factory using the wrapped function and is never disposed, prefer the singleton lifetime.
    * @param {TypeFactory} factory - The TypeFactory function to wrap.
-   * @returns {TypeFactory} - A new TypeFactory function that returns the same instance on subsequent calls.
+   * @returns {TypeFactory} - A new TypeFactory function that returns the same instance on subsequent calls, including concurrent ones.
    */
   static toSingleton(factory) {
-    let instance = /** @type {any} */ (null);
+    let instance = /** @type {Promise<any>|null} */ (null);
     return async function(dependencies) {
-      if (!instance) { instance = await factory.call(this, dependencies); }
-      return instance;
+      if (!instance) {
+        instance = (async () => await factory.call(this, dependencies))();
+        instance.catch(() => { instance = null; });
+      }
+      return await instance;
+    };
+  }
+  /**
+   * @static
+   * @method value - Creates a configuration entry that provides a value as it is.
+   * @param {any} value - The value, which is never disposed by the factory.
+   * @returns {ConfigurationEntry} - The entry.
+   */
+  static value(value) { return {factory: async () => value, dependencies: [], external: true}; }
+  /**
+   * @static
+   * @method env - Creates a configuration entry that provides an environment variable, read when resolved.
+   * @note A variable set to an empty string, such as FOO= in an .env file, takes the default when one is given.
+   * @example Factory.env('PORT', {type: 'integer', default: 8080})
+   * @param {string} name - The name of the variable.
+   * @param {ValueOptions} [options={}] - The default, the type to coerce to and the variables to read.
+   * @returns {ConfigurationEntry} - The entry.
+   * @throws {Error} - When resolved, if the variable is not set and has no default, or cannot be coerced.
+   */
+  static env(name, options = {}) {
+    return {
+      factory: async () => {
+        const env = options.env ?? /** @type {any} */(globalThis).process?.env ?? {};
+        const value = env[name] === '' && 'default' in options ? undefined : env[name];
+        return Factory.#coerce(value, options, `environment variable ${name}`);
+      },
+      dependencies: [],
+      external: true,
+    };
+  }
+  /**
+   * @static
+   * @method setting - Creates a configuration entry that provides a value of a settings object by a dotted path, read when resolved.
+   * @example Factory.setting(JSON.parse(text), 'database.pool.max', {type: 'integer', default: 10})
+   * @param {any} settings - The settings, such as parsed JSON.
+   * @param {string} path - The dotted path of the value, such as features.search.enabled.
+   * @param {ValueOptions} [options={}] - The default and the type to coerce to.
+   * @returns {ConfigurationEntry} - The entry.
+   * @throws {Error} - When resolved, if the value is not set and has no default, or cannot be coerced.
+   */
+  static setting(settings, path, options = {}) {
+    return {
+      factory: async () => {
+        const value = path.split('.').reduce((value, key) => value === null || typeof(value) !== 'object' ? undefined : value[key], settings);
+        return Factory.#coerce(value, options, `setting ${path}`);
+      },
+      dependencies: [],
+      external: true,
     };
   }
+  /**
+   * @method #coerce - Converts text to the type of a value provider, checking the type of other values.
+   * @param {any} value - The value, undefined when not set.
+   * @param {ValueOptions} options - The default and type.
+   * @param {string} description - What the value is, for errors.
+   * @returns {any}
+   */
+  static #coerce(value, options, description) {
+    const {type} = options;
+    if (value === undefined) {
+      if (!('default' in options)) { throw new Error(`The ${description} is not set`); }
+      return options.default;
+    }
+    if (!type) { return value; }
+    if (typeof(value) === 'string') {
+      if (type === 'string') { return value; }
+      if (type === 'json') {
+        try { return JSON.parse(value); } catch { throw new Error(`The ${description} is not valid JSON`); }
+      }
+      if (type === 'boolean') {
+        if (!/^(true|false|1|0|yes|no|on|off)$/i.test(value.trim())) { throw new Error(`The ${description} is not a boolean: ${value}`); }
+        return /^(true|1|yes|on)$/i.test(value.trim());
+      }
+      value = value.trim() === '' ? NaN : Number(value);
+    }
+    const valid = type === 'json'
+      || (type === 'integer' ? Number.isInteger(value) : type === 'number' ? typeof(value) === 'number' && !Number.isNaN(value) : typeof(value) === type);
+    if (!valid) { throw new Error(`The ${description} is not ${type === 'integer' ? 'an' : 'a'} ${type}`); }
+    return value;
+  }
+  /**
+   * @static
+   * @method keyOf - Gets the key of a registered class, its static token or otherwise its name.
+   * @param {string|Injectable} type - The class, or a key which is returned as is.
+   * @returns {string} - The key.
+   * @throws {Error} - If the class has neither a token nor a name.
+   */
+  static keyOf(type) {
+    if (typeof(type) === 'string') { return type; }
+    const key = type.token ?? type.name;
+    if (!key) { throw new Error('Cannot key an anonymous class without a static token'); }
+    return key;
+  }
   /**
    * @static
-   * @method fromJson - Creates a factory instance from a JSON configuration.
+   * @method register - Creates a configuration entry for a class from its static inject array or method, token and lifetime.
+   * @note The configuration can be spread into others, so registered classes and hand-written entries can be mixed.
+   * @example class Repository { static inject = [Connection, 'Settings']; constructor(connection, settings) {} }
+   * @param {Injectable} type - The class to construct with new, passing its dependencies in the order declared.
+   * @returns {Configuration} - A configuration with the single entry, keyed by Factory.keyOf.
+   */
+  static register(type) {
+    const inject = typeof(type.inject) === 'function' ? type.inject() : type.inject ?? [];
+    /** @type {ConfigurationEntry} */
+    const entry = {factory: async dependencies => new type(...dependencies), dependencies: inject.map(Factory.keyOf)};
+    if (type.lifetime) { entry.lifetime = type.lifetime; }
+    return {[Factory.keyOf(type)]: entry};
+  }
+  /**
+   * @static
+   * @method fromClasses - Creates a factory instance from classes declaring their dependencies, and optionally hand-written entries.
+   * @param {Injectable[]} types - The classes to register.
+   * @param {Configuration|null|undefined} [configuration={}] - Hand-written entries, which the classes may depend on.
+   * @param {FactoryOptions} [options={}] - The options of the factory.
+   * @returns {Factory} - A new Factory instance configured from the classes.
+   * @throws {Error} - If two classes, or a class and an entry, have the same key.
+   */
+  static fromClasses(types, configuration = null, options = {}) {
+    /** @type {Configuration} */
+    const config = {...configuration};
+    for (const type of types) {
+      const key = Factory.keyOf(type);
+      if (Object.hasOwn(config, key)) { throw new Error(`${key} is already configured`); }
+      Object.assign(config, Factory.register(type));
+    }
+    return new Factory(config, options);
+  }
+  /**
+   * @static
+   * @method fromJson - Creates a factory instance from a JSON configuration, with singleton lifetimes unless an entry says otherwise.
+   * @note An entry is either an array of dependency keys, or a JsonEntry object that imports a module.
+   *       Array entries use the resolver when one is given, and otherwise import the default export of the module named by the key.
    * @param {JsonConfiguration|string} json - The JSON configuration object or string.
-   * @param {(name: string) => TypeFactory} resolver - A function that resolves factory functions by name.
+   * @param {((name: string) => TypeFactory)|null} [resolver=null] - A function that resolves factory functions by name for array entries.
+   * @param {JsonOptions} [options={}] - The base URL for relative module specifiers, and the options of the factory.
    * @returns {Factory} - A new Factory instance configured from the JSON.
+   * @throws {Error} - If an entry is neither an array nor an object, has fields of the wrong type or an invalid construct option, or an alias is already a key.
    */
-  static fromJson(json, resolver) {
+  static fromJson(json, resolver = null, options = {}) {
     if (typeof(json) === 'string') { json = /** @type {JsonConfiguration} */ (JSON.parse(json)); }
-    const config = /** @type {Configuration} */(
-      Object.fromEntries(Object.entries(json)
-        .map(([key, value]) => [
-          key,
-          {factory: Factory.toSingleton(resolver(key) ?? (() => null)), dependencies: Array.isArray(value) ? value : []}
-        ])
-      )
-    );
-    return new Factory(config);
+    const {baseUrl, ...factoryOptions} = options;
+    /** @type {Configuration} */
+    const config = {};
+    for (const [key, value] of Object.entries(json)) {
+      Factory.#checkJsonEntry(key, value);
+      if (Array.isArray(value)) {
+        config[key] = {factory: resolver ? resolver(key) ?? (async () => null) : Factory.toImport(key, {baseUrl}), dependencies: value, lifetime: 'singleton'};
+        continue;
+      }
+      const {module = key, export: name, construct, args, lifetime = 'singleton', dependencies = []} = value;
+      config[key] = {factory: Factory.toImport(module, {export: name, construct, args, baseUrl}), dependencies, lifetime};
+    }
+    for (const [key, value] of Object.entries(json)) {
+      for (const alias of Array.isArray(value) ? [] : value.aliases ?? []) {
+        if (Object.hasOwn(config, alias)) { throw new Error(`Alias ${alias} of ${key} is already configured`); }
+        config[alias] = config[key];
+      }
+    }
+    return new Factory(config, factoryOptions);
+  }
+  /**
+   * @method #checkJsonEntry - Checks the shape of an entry of a JSON configuration.
+   * @param {string} key - The key of the entry.
+   * @param {any} value - The entry.
+   * @throws {Error} - If the entry is neither an array of keys nor an object with fields of the right types.
+   */
+  static #checkJsonEntry(key, value) {
+    /** @type {(value: any) => boolean} */
+    const isKeys = value => Array.isArray(value) && value.every(item => typeof(item) === 'string');
+    if (Array.isArray(value)) {
+      if (!isKeys(value)) { throw new Error(`Invalid entry ${key}: dependencies must be strings`); }
+      return;
+    }
+    if (typeof(value) !== 'object' || value === null) { throw new Error(`Invalid entry ${key}: expected an array of dependencies or an object, not ${JSON.stringify(value)}`); }
+    for (const field of ['module', 'export', 'construct', 'lifetime']) {
+      if (value[field] !== undefined && typeof(value[field]) !== 'string') { throw new Error(`Invalid entry ${key}: ${field} must be a string`); }
+    }
+    for (const field of ['dependencies', 'aliases']) {
+      if (value[field] !== undefined && !isKeys(value[field])) { throw new Error(`Invalid entry ${key}: ${field} must be an array of strings`); }
+    }
+    if (value.args !== undefined && !Array.isArray(value.args)) { throw new Error(`Invalid entry ${key}: args must be an array`); }
   }
 }
 export {Factory};
\ No newline at end of file
@@ -1,4 +1,5 @@
 /** @import {AssertFunction} from './test.js' */
+/** @import {Configuration, TypeFactory} from './factory.js' */
 import Factory from './factory.js';
 
 export async function canConstructNoConfig(/** @type {AssertFunction} */ assert) {
@@ -111,3 +112,255 @@ export async function fromJsonCreatesFactoryFromJsonConfig(/** @type {AssertFunc
   assert(result.deps.length === 1, 'Expected one dependency for TypeB');
   assert(result.deps[0] && result.deps[0].name === 'TypeA', 'Expected dependency to be TypeA');
 }
+
+export async function lifetimesShareInstancesPerContainerAndScope(/** @type {AssertFunction} */ assert) {
+  /** @type {Configuration} */
+  const config = {
+    'Singleton': {factory: async () => ({}), dependencies: [], lifetime: 'singleton'},
+    'Scoped': {factory: async () => ({}), dependencies: [], lifetime: 'scoped'},
+    'Transient': {factory: async () => ({}), dependencies: [], lifetime: 'transient'},
+  };
+  const factory = new Factory(config);
+  const [scopeA, scopeB] = [factory.createScope(), factory.createScope()];
+  assert(await scopeA.resolve('Singleton') === await scopeB.resolve('Singleton'), 'Expected scopes to share singletons');
+  assert(await factory.resolve('Singleton') !== await new Factory(config).resolve('Singleton'), 'Expected containers not to share singletons');
+  assert(await scopeA.resolve('Scoped') === await scopeA.resolve('Scoped'), 'Expected a scope to reuse scoped instances');
+  assert(await scopeA.resolve('Scoped') !== await scopeB.resolve('Scoped'), 'Expected scopes to have their own scoped instances');
+  assert(await scopeA.resolve('Transient') !== await scopeA.resolve('Transient'), 'Expected transient instances to be new');
+  const [first, second] = await Promise.all([factory.resolve('Singleton'), factory.resolve('Singleton')]);
+  assert(first === second, 'Expected concurrent resolves to share a singleton');
+}
+
+export async function disposeDisposesInReverseDependencyOrder(/** @type {AssertFunction} */ assert) {
+  /** @type {string[]} */
+  const disposed = [];
+  const factory = new Factory({
+    'Pool': {factory: async () => ({async [Symbol.asyncDispose]() { disposed.push('Pool'); }}), dependencies: [], lifetime: 'singleton'},
+    'Connection': {factory: async () => ({[Symbol.dispose]() { disposed.push('Connection'); }}), dependencies: ['Pool'], lifetime: 'scoped'},
+    'Repository': {factory: async () => ({async [Symbol.asyncDispose]() { disposed.push('Repository'); }}), dependencies: ['Connection'], lifetime: 'transient'},
+  });
+  const scope = factory.createScope();
+  await scope.resolve('Repository');
+  await scope.dispose();
+  assert(disposed.join() === 'Repository,Connection', `Expected the scope to dispose its instances first, got ${disposed.join()}`);
+  let error;
+  try { await scope.resolve('Repository'); } catch (e) { error = e; }
+  assert(error instanceof Error, 'Expected resolving from a disposed scope to throw');
+  factory.createScope();
+  await factory.resolve('Pool');
+  await factory[Symbol.asyncDispose]();
+  assert(disposed.join() === 'Repository,Connection,Pool', `Expected the container to dispose singletons, got ${disposed.join()}`);
+}
+
+export async function containersDisposeOnlyTheTransientsTheyHold(/** @type {AssertFunction} */ assert) {
+  /** @type {string[]} */
+  const disposed = [];
+  const factory = new Factory({
+    'Settings': {factory: async () => ({[Symbol.dispose]() { disposed.push('Settings'); }}), dependencies: []},
+    'Pool': {factory: async () => ({[Symbol.dispose]() { disposed.push('Pool'); }}), dependencies: ['Settings'], lifetime: 'singleton'},
+    'Request': {factory: async () => ({[Symbol.dispose]() { disposed.push('Request'); }}), dependencies: ['Pool']},
+  });
+  await factory.resolve('Request');
+  await factory.resolve('Request');
+  await factory.dispose();
+  assert(disposed.join() === 'Pool,Settings', `Expected the container to dispose only what its singletons hold, got ${disposed.join()}`);
+}
+
+export async function cyclesThrowWithTheirChain(/** @type {AssertFunction} */ assert) {
+  const factory = new Factory({
+    'A': {factory: async () => ({}), dependencies: ['B']},
+    'B': {factory: async () => ({}), dependencies: ['C']},
+    'C': {factory: async () => ({}), dependencies: ['A']},
+  });
+  /** @type {any} */
+  let error;
+  try { await factory.resolve('A'); } catch (e) { error = e; }
+  assert(error instanceof Factory.ResolutionError, 'Expected a cycle to throw a ResolutionError');
+  assert(error?.code === 'cycle' && error.chain.join() === 'A,B,C,A', `Expected the cycle chain, got ${error?.chain}`);
+  const [cycle] = factory.validate();
+  assert(factory.validate().length === 1 && cycle.code === 'cycle', 'Expected one cycle problem');
+  assert(cycle.path.join() === 'A,B,C,A', `Expected the full cycle path, got ${cycle.path}`);
+  error = undefined;
+  try { factory.order(); } catch (e) { error = e; }
+  assert(error instanceof Factory.ResolutionError, 'Expected ordering a cycle to throw');
+}
+
+export async function strictResolutionNamesTheMissingChain(/** @type {AssertFunction} */ assert) {
+  /** @type {Configuration} */
+  const config = {
+    'Service': {factory: async deps => deps, dependencies: ['Repository']},
+    'Repository': {factory: async deps => deps, dependencies: ['Conection']},
+    'Logger': /** @type {any} */({dependencies: []}),
+  };
+  const lenient = await new Factory(config).resolve('Service');
+  assert(lenient[0][0] === null, 'Expected a missing dependency to resolve null by default');
+  const factory = new Factory(config, {strict: true});
+  /** @type {any} */
+  let error;
+  try { await factory.createScope().resolve('Service'); } catch (e) { error = e; }
+  assert(error?.code === 'missing-dependency', `Expected a missing dependency error, got ${error}`);
+  assert(error?.message.includes('Service -> Repository -> Conection'), `Expected the message to name the chain, got ${error?.message}`);
+  error = undefined;
+  try { await factory.resolve('Logger'); } catch (e) { error = e; }
+  assert(error?.code === 'missing-factory', 'Expected an entry without a factory to throw in strict mode');
+  const problems = factory.validate().map(({code, path}) => `${code}:${path.join('>')}`);
+  assert(problems.join() === 'missing-dependency:Repository>Conection,missing-factory:Logger', `Expected the problems, got ${problems}`);
+}
+
+export async function graphExportsOrderDotAndMermaid(/** @type {AssertFunction} */ assert) {
+  const factory = new Factory({
+    'C': {factory: async () => ({}), dependencies: ['B', 'Missing']},
+    'B': {factory: async () => ({}), dependencies: ['A']},
+    'A': {factory: async () => ({}), dependencies: []},
+  });
+  assert(factory.order().join() === 'A,B,C', `Expected dependencies first, got ${factory.order()}`);
+  const dot = factory.toDot();
+  assert(dot.startsWith('digraph Factory {') && dot.includes('"C" -> "B";') && dot.includes('"Missing" [style=dashed];'), `Unexpected DOT ${dot}`);
+  const mermaid = factory.toMermaid();
+  assert(mermaid.startsWith('flowchart TD') && mermaid.includes('n0["C"]') && mermaid.includes('n0 --> n1') && mermaid.includes('n0 -.-> n3'), `Unexpected Mermaid ${mermaid}`);
+}
+
+export async function sessionsBuildEachKeyOncePerGraph(/** @type {AssertFunction} */ assert) {
+  /** @type {{[key: string]: number}} */
+  const calls = {};
+  /** @type {(name: string) => TypeFactory} */
+  const counted = name => async () => { calls[name] = (calls[name] ?? 0) + 1; await new Promise(r => setTimeout(r, 1)); return {name}; };
+  const factory = new Factory({
+    'Pool': {factory: counted('Pool'), dependencies: [], lifetime: 'singleton'},
+    'Settings': {factory: counted('Settings'), dependencies: []},
+    'Left': {factory: counted('Left'), dependencies: ['Settings', 'Pool']},
+    'Right': {factory: counted('Right'), dependencies: ['Settings', 'Pool']},
+    'App': {factory: counted('App'), dependencies: ['Left', 'Right']},
+  });
+  await Promise.all([factory.resolve('App'), factory.resolve('App')]);
+  assert(calls.Settings === 2, `Expected the diamond dependency once per resolve, got ${calls.Settings}`);
+  assert(calls.Pool === 1, `Expected concurrent resolves to share the singleton, got ${calls.Pool}`);
+  const session = factory.createSession();
+  const [left, right] = await Promise.all([session.resolve('Left'), session.resolve('Right')]);
+  assert(calls.Settings === 3 && left !== right, `Expected the session to build Settings once, got ${calls.Settings}`);
+  assert(session.built.join() === 'Settings,Left,Right', `Expected the keys the session built, got ${session.built}`);
+  let count = 0;
+  const singleton = Factory.toSingleton(async () => ({count: ++count}));
+  const [a, b] = await Promise.all([singleton.call(factory, []), singleton.call(factory, [])]);
+  assert(a === b && count === 1, 'Expected concurrent calls to share a toSingleton instance');
+}
+
+export async function fromJsonImportsNamedExportsWithLifetimesArgsAndAliases(/** @type {AssertFunction} */ assert) {
+  const tools = `data:text/javascript,${encodeURIComponent('export function connect(settings, url) { return {settings, url}; } export default class Settings {}')}`;
+  const factory = Factory.fromJson(JSON.stringify({
+    'Settings': {module: tools, aliases: ['Config']},
+    'Connection': {module: tools, export: 'connect', construct: 'call', lifetime: 'transient', dependencies: ['Config'], args: ['db://local']},
+    'Container': {module: './factory.js', export: 'Factory', args: [{}]},
+  }), null, {baseUrl: import.meta.url, strict: true});
+  const connection = await factory.resolve('Connection');
+  assert(connection.url === 'db://local', 'Expected static arguments after the dependencies');
+  assert(connection.settings === await factory.resolve('Settings'), 'Expected an alias to share the singleton of its entry');
+  assert(connection !== await factory.resolve('Connection'), 'Expected the transient lifetime of the entry');
+  assert(await factory.resolve('Container') instanceof Factory, 'Expected a relative specifier to resolve against the base URL');
+  const missing = Factory.fromJson({'Missing': {module: tools, export: 'missing'}});
+  let error;
+  try { await missing.resolve('Missing'); } catch (e) { error = e; }
+  assert(error instanceof Error, 'Expected a missing export to throw');
+  for (const entry of [null, 'Settings', {dependencies: 'Config'}, [1]]) {
+    error = undefined;
+    try { Factory.fromJson({'Broken': /** @type {any} */(entry)}); } catch (e) { error = e; }
+    assert(error instanceof Error && error.message.includes('Invalid entry Broken'), `Expected a clear error for ${JSON.stringify(entry)}, got ${error}`);
+  }
+  const instance = await Factory.toImport(tools).call(factory, []);
+  assert(instance?.constructor.name === 'Settings', 'Expected toImport to return the default export instance');
+}
+
+export async function fromClassesWiresDeclaredDependencies(/** @type {AssertFunction} */ assert) {
+  class Pool { static lifetime = /** @type {const} */('singleton'); }
+  class Repository {
+    static token = 'repository';
+    static inject() { return [Pool, 'Settings']; }
+    constructor(/** @type {Pool} */ pool, /** @type {any} */ settings) { this.pool = pool; this.settings = settings; }
+  }
+  class Service {
+    static inject = [Repository];
+    constructor(/** @type {Repository} */ repository) { this.repository = repository; }
+  }
+  const factory = Factory.fromClasses([Pool, Repository, Service], {'Settings': {factory: async () => ({debug: true}), dependencies: []}});
+  const service = await factory.resolve(Service);
+  assert(service instanceof Service && service.repository instanceof Repository, 'Expected classes to be constructed with their dependencies');
+  assert(service.repository.settings.debug && service.repository.pool === await factory.resolve('Pool'), 'Expected hand-written entries and lifetimes');
+  assert(await factory.resolve('repository') instanceof Repository, 'Expected a class to be keyed by its token');
+  assert(Factory.register(Service).Service.dependencies.join() === 'repository', 'Expected register to create a configuration entry');
+  let error;
+  try { Factory.fromClasses([Pool, Pool]); } catch (e) { error = e; }
+  assert(error instanceof Error, 'Expected a duplicate key to throw');
+}
+
+export async function valueProvidersAndParametersAreInjected(/** @type {AssertFunction} */ assert) {
+  const settings = {database: {pool: {max: '12'}, name: 'app'}, features: {search: true}};
+  const env = {PORT: '8080', DEBUG: 'yes', RATIO: 'x', RETRIES: '', NAME: ''};
+  const factory = new Factory({
+    'Port': Factory.env('PORT', {type: 'integer', env}),
+    'Debug': Factory.env('DEBUG', {type: 'boolean', env}),
+    'Host': Factory.env('HOST', {default: 'localhost', env}),
+    'Ratio': Factory.env('RATIO', {type: 'number', env}),
+    'Retries': Factory.env('RETRIES', {type: 'integer', default: 3, env}),
+    'Name': Factory.env('NAME', {env}),
+    'Missing': Factory.env('MISSING', {env}),
+    'PoolSize': Factory.setting(settings, 'database.pool.max', {type: 'integer'}),
+    'Search': Factory.setting(settings, 'features.search', {type: 'boolean'}),
+    'Timeout': Factory.setting(settings, 'database.timeout.ms', {default: 30}),
+    'Clock': Factory.value({now: () => 0, [Symbol.dispose]() { throw new Error('Expected values not to be disposed'); }}),
+    'Server': {factory: async deps => deps, dependencies: ['Port', 'Debug', 'Host', 'PoolSize', 'Search', 'Timeout', 'Clock']},
+    'Report': {factory: async deps => deps, dependencies: ['Server', 'userId']},
+  });
+  const [port, debug, host, poolSize, search, timeout, clock] = await factory.resolve('Server');
+  assert(port === 8080 && debug === true && host === 'localhost', `Expected environment variables, got ${[port, debug, host]}`);
+  assert(poolSize === 12 && search === true && timeout === 30, `Expected settings, got ${[poolSize, search, timeout]}`);
+  assert(clock.now() === 0, 'Expected a literal value');
+  assert(await factory.resolve('Retries') === 3, 'Expected an empty variable to take the default');
+  assert(await factory.resolve('Name') === '', 'Expected an empty variable without a default to be kept');
+  for (const key of ['Ratio', 'Missing']) {
+    let error;
+    try { await factory.resolve(key); } catch (e) { error = e; }
+    assert(error instanceof Error, `Expected ${key} to throw`);
+  }
+  const [, userId] = await factory.resolve('Report', null, {userId: 7});
+  assert(userId === 7, 'Expected a parameter to be passed to the factory depending on it');
+  const [, other] = await factory.resolve('Report');
+  assert(other === null, 'Expected parameters to apply to their call only');
+  /** @type {string[]} */
+  const released = [];
+  const tenants = new Factory({
+    'Service': {factory: async ([connection]) => ({connection, [Symbol.dispose]() { released.push(connection); }}), dependencies: ['connection'], lifetime: 'singleton'},
+    'connection': {factory: async () => 'default', dependencies: []},
+  });
+  const resolved = [];
+  for (const parameters of [{connection: 'tenant-A'}, null, {connection: 'tenant-B'}]) { resolved.push((await tenants.resolve('Service', null, parameters)).connection); }
+  assert(resolved.join() === 'tenant-A,default,tenant-B', `Expected parameters not to be cached in singletons, got ${resolved.join()}`);
+  await tenants.dispose();
+  assert(released.join() === 'tenant-B,default,tenant-A', `Expected singletons built from parameters to be disposed, got ${released.join()}`);
+  await factory.dispose();
+}
+
+export async function overridesDoNotLeakIntoSharedInstances(/** @type {AssertFunction} */ assert) {
+  const factory = new Factory({
+    'Url': {factory: async () => 'db://default', dependencies: []},
+    'Pool': {factory: async ([url]) => ({url}), dependencies: ['Url'], lifetime: 'singleton'},
+    'Clock': {factory: async () => ({}), dependencies: [], lifetime: 'singleton'},
+    'Service': {factory: async deps => deps, dependencies: ['Pool', 'Clock'], lifetime: 'scoped'},
+  });
+  const overrides = {'Url': {factory: async () => 'db://test', dependencies: []}};
+  const [pool, clock] = await factory.resolve('Service', overrides);
+  assert(pool.url === 'db://test', 'Expected the override to apply');
+  assert((await factory.resolve('Pool')).url === 'db://default', 'Expected the override-built singleton not to be cached in the container');
+  const [again] = await factory.resolve('Service', overrides);
+  assert(again.url === 'db://test' && again !== pool, 'Expected a cached singleton not to hide the override');
+  assert(clock === await factory.resolve('Clock'), 'Expected singletons not depending on overrides to be shared');
+  /** @type {string[]} */
+  const disposed = [];
+  const pools = new Factory({
+    'Url': {factory: async () => 'db://default', dependencies: []},
+    'Pool': {factory: async ([url]) => ({[Symbol.dispose]() { disposed.push(url); }}), dependencies: ['Url'], lifetime: 'singleton'},
+  });
+  await pools.resolve('Pool');
+  await pools.resolve('Pool', overrides);
+  await pools.dispose();
+  assert(disposed.join() === 'db://test,db://default', `Expected instances built from overrides to be disposed in reverse order, got ${disposed.join()}`);
+}
@@ -0,0 +1,82 @@
+/**
+ * @description Benchmarks for the xml.js parser, showing that parse time scales linearly with document size and nesting depth.
+ * @requires NodeJS
+ * @example node xml.bench.js [megabytes=50] [depth=100000]
+ */
+/**
+ * @typedef BenchResult
+ * @property {string} name - The name of the case.
+ * @property {number} size - The size of the document in characters.
+ * @property {number} time - The parse time in milliseconds.
+ */
+
+import Xml from './xml.js';
+
+const [megabytes = 50, depth = 100000] = process.argv.slice(2).map(Number);
+
+/**
+ * @function flat - Creates a flat document of many small elements, similar to an export file.
+ * @param {number} size - The approximate size of the document in characters.
+ * @returns {string}
+ */
+function flat(size) {
+  const items = [];
+  for (let i = 0, length = 0; length < size; i++) {
+    const item = `  <item id="${i}" type="entry"><name>Item &amp; ${i}</name><!-- note --></item>\n`;
+    items.push(item);
+    length += item.length;
+  }
+  return `<?xml version="1.0"?>\n<items>\n${items.join('')}</items>`;
+}
+
+/**
+ * @function deep - Creates a document nested to the given depth, similar to generated SVG groups.
+ * @param {number} levels - The number of nested elements.
+ * @returns {string}
+ */
+function deep(levels) {
+  return `${'<g class="layer">'.repeat(levels)}<path d="M0 0"/>${'</g>'.repeat(levels)}`;
+}
+
+/**
+ * @function measure - Parses a document, returning the parse time.
+ * @param {string} name - The name of the case.
+ * @param {string} text - The document to parse.
+ * @returns {BenchResult}
+ */
+function measure(name, text) {
+  const start = performance.now();
+  Xml.parse(text);
+  return {name, size: text.length, time: performance.now() - start};
+}
+
+/**
+ * @function report - Prints a series of results, with the time per character relative to the first.
+ * @param {BenchResult[]} results - Results for increasing sizes of the same kind of document.
+ * @returns {number} - The largest ratio of the time per character to that of the first result.
+ */
+function report(results) {
+  const [first] = results;
+  let worst = 1;
+  for (const {name, size, time} of results) {
+    const ratio = (time / size) / (first.time / first.size);
+    worst = Math.max(worst, ratio);
+    console.info(`  ${name.padEnd(24)} ${`${(size / 1e6).toFixed(2)} MB`.padStart(10)} ${`${time.toFixed(0)} ms`.padStart(9)} ${`${(size / 1e6 / time * 1000).toFixed(1)} MB/s`.padStart(11)}  x${ratio.toFixed(2)}`);
+  }
+  return worst;
+}
+
+measure('warm up', flat(1e6));
+
+console.info('flat documents');
+const sizes = [megabytes / 8, megabytes / 4, megabytes / 2, megabytes];
+const flatWorst = report(sizes.map(size => measure(`flat ${size} MB`, flat(size * 1e6))));
+
+console.info('nested documents');
+const depths = [depth / 8, depth / 4, depth / 2, depth];
+const deepWorst = report(depths.map(levels => measure(`depth ${levels}`, deep(levels))));
+
+// allow for noise, a quadratic parser would be x8 at the largest size
+const linear = flatWorst < 3 && deepWorst < 3;
+console.info(linear ? '\x1b[32mParse time scales linearly.\x1b[0m' : '\x1b[31mParse time does not scale linearly.\x1b[0m');
+process.exit(linear ? 0 : 1);
@@ -1,9 +1,118 @@
+/** @typedef {InstanceType<Xml.Node>|InstanceType<Xml.Attribute>} XPathNode */
+/** @typedef {XPathNode[]|string|number|boolean} XPathResult */
+/**
+ * @typedef {{node: XPathNode, position: number, size: number, variables: Record<string, XPathResult>, namespaces: Record<string, string>,
+ *            order: Map<InstanceType<Xml.Node>, Map<InstanceType<Xml.Node>, number>>}} XPathContext - order holds the document order of each tree, by root, built once per evaluation.
+ */
+/** @typedef {{kind: string, value: string, offset: number}} XPathToken */
+/** @typedef {(nodes: XPathNode[], context: XPathContext) => XPathNode[]} XPathStep */
+/** @typedef {{elements: InstanceType<Xml.Element>[], positions: Map<InstanceType<Xml.Element>, number>}} SelectorFamily - The Xml.Element children of a parent, with the index of each. */
+/** @typedef {{offset: number, line: number, column: number}} SourcePosition - A zero based offset with one based line and column. */
+/** @typedef {{start: SourcePosition, end: SourcePosition}} SourceRange */
+/**
+ * @typedef ParseOptions
+ * @property {boolean} [positions=false] - Records a SourceRange on every parsed Xml.Node and attribute.
+ * @property {boolean} [strict=false] - Enforces XML 1.0 well-formedness, throwing an Xml.SyntaxError for each violation.
+ * @property {Record<string, string>} [entities={}] - Named entities known before any DTD declarations, e.g. Xml.htmlEntities.
+ * @property {number} [maxEntityDepth=16] - The deepest nesting of entity references that will be expanded.
+ * @property {number} [maxEntityLength=1000000] - The most characters entity expansion may produce across the document.
+ * @property {boolean} [lossless=false] - Keeps the original text of each node, so toString() writes nodes that were not edited exactly as they were parsed.
+ */
+/**
+ * @typedef SerializeOptions
+ * @property {string|number} [indent=''] - The indent per depth, or a number of spaces. Pretty prints element-only content when set.
+ * @property {string} [newline='\n'] - The line separator used when pretty printing and after an added declaration.
+ * @property {'preserve'|'remove'|'trim'} [whitespace] - Keeps, removes or trims and removes whitespace-only text. Defaults to remove when indenting, otherwise preserve.
+ * @property {boolean} [selfClosing=true] - Writes empty elements as <a/> rather than <a></a>.
+ * @property {boolean|((a: string, b: string) => number)} [sortAttributes=false] - Sorts attributes by name, or with a comparator of names.
+ * @property {'"'|"'"} [quote='"'] - The attribute value delimiter.
+ * @property {boolean} [declaration] - Adds an XML declaration when missing, or omits it when false. Left as is by default.
+ * @property {'c14n'|'exc-c14n'} [canonical] - Writes Canonical XML 1.0 or Exclusive XML Canonicalization 1.0, ignoring the other options.
+ * @property {boolean} [comments=false] - Keeps comments in canonical output.
+ * @property {string[]} [inclusiveNamespaces=[]] - Prefixes treated inclusively by exc-c14n, with #default for the default namespace.
+ * @property {boolean} [html=false] - Writes HTML: void elements without end tags, other empty elements with them, raw text elements unescaped, and no added declaration.
+ * @property {string} [encoding] - The encoding named by the XML declaration, replacing that of an existing one. Xml.encode defaults to the encoding the document declares, or UTF-8.
+ */
+/**
+ * @typedef ObjectOptions
+ * @property {string} [attributePrefix='@_'] - The prefix of attribute keys.
+ * @property {string} [textKey='#text'] - The key of text in elements that also have attributes or child elements.
+ * @property {string} [cdataKey] - Keeps CDATA under this key, rather than merging it into the text.
+ * @property {'repeated'|'always'|string[]} [arrays='repeated'] - Uses arrays for repeated child elements, for every child element, or also for the listed names.
+ * @property {boolean} [coerce=false] - Converts values to numbers and booleans when they convert back to the same text.
+ */
+/** @typedef {Required<Omit<ObjectOptions, 'cdataKey'>> & Pick<ObjectOptions, 'cdataKey'>} ObjectConventions - ObjectOptions with their defaults applied. */
+/** @typedef {string|number|boolean|null|undefined|XmlObject} XmlValue - An element, text or attribute value, see Xml.toObject. */
+/** @typedef {{[key: string]: XmlValue|XmlValue[]}} XmlObject - Elements, attributes and text keyed by name, arrays for repeated elements. */
+/**
+ * @typedef ValidationError
+ * @property {string} path - An XPath to the offending node, such as /order/item[2]/@id.
+ * @property {string} code - A machine readable error code, e.g. "invalid-content" or "missing-attribute".
+ * @property {string} message - A description of the error.
+ * @property {XPathNode} node - The offending element or attribute.
+ */
+/** @typedef {{base: string, enumeration?: string[], patterns: RegExp[], facets: Record<string, string>}} SchemaSimpleType - A built in type with restricting facets. */
+/** @typedef {{kind: 'element', name: string, min: number, max: number, element?: SchemaElement}|{kind: 'sequence'|'choice'|'all', items: SchemaParticle[], min: number, max: number}|{kind: 'any', min: number, max: number}} SchemaParticle - A content model. */
+/** @typedef {{name: string, type: SchemaSimpleType, required: boolean, fixed?: string}} SchemaAttribute - An attribute declaration. */
+/** @typedef {{name: string, type: SchemaType}} SchemaElement - An element declaration. */
+/**
+ * @typedef SchemaType - The rules for the attributes and content of an element.
+ * @property {'empty'|'any'|'simple'|'elements'} content - The kind of content: none, anything, text of a simple type, or elements.
+ * @property {boolean} mixed - Whether text may appear between elements.
+ * @property {SchemaParticle} [particle] - The content model of element content.
+ * @property {SchemaSimpleType} [text] - The type of simple content.
+ * @property {Map<string, SchemaAttribute>} attributes - The declared attributes by name.
+ * @property {boolean} anyAttribute - Whether undeclared attributes are allowed.
+ * @property {Map<string, SchemaElement>} elements - Local element declarations by name, other names use the global declarations.
+ */
+/** @typedef {symbol|void} VisitResult - Xml.Walker.skip to skip the children of the node, Xml.Walker.stop to end the walk, or nothing to go on. */
+/**
+ * @typedef Visitor - Callbacks for Xml.walk, each called with a node and its depth below the node walked.
+ * @property {(node: InstanceType<Xml.Node>, depth: number) => VisitResult} [enter] - Called for every node, before its type callback.
+ * @property {(node: InstanceType<Xml.Node>, depth: number) => VisitResult} [leave] - Called for every node after its children, or straight after it when they are skipped.
+ * @property {(node: InstanceType<Xml.Node>, depth: number) => VisitResult} [Document] - Called for a document, a plain Xml.Node.
+ * @property {(node: InstanceType<Xml.Element>, depth: number) => VisitResult} [Element]
+ * @property {(node: InstanceType<Xml.Text>, depth: number) => VisitResult} [Text]
+ * @property {(node: InstanceType<Xml.CData>, depth: number) => VisitResult} [CData]
+ * @property {(node: InstanceType<Xml.Comment>, depth: number) => VisitResult} [Comment]
+ * @property {(node: InstanceType<Xml.Declaration>, depth: number) => VisitResult} [Declaration]
+ * @property {(node: InstanceType<Xml.ProcessingInstruction>, depth: number) => VisitResult} [ProcessingInstruction]
+ * @property {(node: InstanceType<Xml.DocumentType>, depth: number) => VisitResult} [DocumentType]
+ * @property {(node: InstanceType<Xml.Metadata>, depth: number) => VisitResult} [Metadata]
+ */
+/** @typedef {InstanceType<Xml.Node>|string|null|undefined|(InstanceType<Xml.Node>|string)[]} TransformResult - Nodes or text to put in place of a node, null or none to remove it, or nothing to keep it. */
+/** @typedef {'remove'|'unwrap'|{rename: string}|((node: InstanceType<Xml.Node>) => TransformResult)} TransformAction - What a rule does to the nodes it matches. */
+/** @typedef {string|((node: InstanceType<Xml.Node>) => boolean)} TransformMatch - An element type, a selector, a node kind such as #text or #comment, or a predicate. */
+/**
+ * @typedef XmlChange - A structural change, see Xml.diff. Paths are XPaths relative to the node diffed, "." being the node itself.
+ * @property {'insert'|'remove'|'move'|'add-attribute'|'change-attribute'|'remove-attribute'|'text'} type - The kind of change.
+ * @property {string} path - The node changed, or the parent for insert and move.
+ * @property {number} [index] - The index among all the children of the parent that the node is inserted or moved to.
+ * @property {string} [from] - The node moved, for move.
+ * @property {string} [node] - The serialized node inserted or removed.
+ * @property {string} [name] - The attribute name, for attribute changes.
+ * @property {string} [value] - The new attribute value or text.
+ * @property {string} [oldValue] - The previous attribute value or text.
+ */
+/**
+ * @typedef DiffOptions
+ * @property {string[]} [keys=[]] - Attributes that identify sibling elements of the same type, tried in order. Other siblings are matched in order.
+ * @property {'preserve'|'ignore'} [whitespace='preserve'] - Compares whitespace-only text, or leaves it as it is.
+ */
+/**
+ * @typedef StreamEvent
+ * @property {'startElement'|'endElement'|'text'|'cdata'|'comment'|'declaration'|'processingInstruction'|'doctype'|'metadata'|'node'} type - The kind of event.
+ * @property {InstanceType<Xml.Node>} node - The parsed node. Elements are emitted without their children.
+ * @property {string} [name] - The element type, for startElement and endElement.
+ * @property {Record<string, string>} [attributes] - The element attributes, for startElement.
+ * @property {boolean} [selfClosing] - Whether the element tag was self-closing, for startElement.
+ */
 export default
 /**
  * @class Xml - Rudimentary XML parsing.
  * @author Greenwald
  * @license PublicDomain
- * @note This is only a parser and does not enforce XML standards.
+ * @note The parser is lenient by default; {strict: true} enforces XML 1.0 well-formedness.
  */
 class Xml {
   /** @type {undefined} */
@@ -12,24 +121,81 @@ class Xml {
   static #namePattern = '[\\w\\.\\-_:]+';
   /** @type {RegExp} */
   static #nameValidator = new RegExp(`^${Xml.#namePattern}$`);
+  /** @type {RegExp} */
+  static #strictName = /^[A-Za-z_:][\w.\-:]*$/;
+  /** @type {RegExp} */
+  static #whitespace = /\s*/y;
+  /** @type {RegExp} */
+  static #closingTag = /<\s*\//y;
+  /** @type {Set<string>} */
+  static #voidElements = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+  /** @type {Record<string, boolean>} - The HTML elements whose content is text, and whether references are expanded in it. */
+  static #rawTextElements = {script: false, style: false, textarea: true, title: true};
+  /** @type {string} */
+  static #xmlNamespace = 'http://www.w3.org/XML/1998/namespace';
+  /** @type {string} */
+  static #xmlnsNamespace = 'http://www.w3.org/2000/xmlns/';
+  /** @type {WeakMap<InstanceType<Xml.Node>, {text: string, check: string, type?: string, close?: string}>} - The original text of nodes parsed losslessly, with their rendering when parsed to detect edits. */
+  static #originals = new WeakMap();
   /**
-   * @method parse - Parses an XML string.
-   * @param {string} text - The text to parse.
+   * @method parse - Parses an XML string, or bytes in the encoding they declare.
+   * @param {string|Uint8Array|ArrayBuffer} text - The text to parse, or its bytes, see Xml.decode.
    * @param {InstanceType<Xml.Parser>[]} parsers - An optional override set of parsers to use.
+   * @param {ParseOptions} [options={}] - Optional parse options.
    * @returns {InstanceType<Xml.Node>} - The parsed XML document node.
+   * @throws {InstanceType<Xml.SyntaxError>} - If the text cannot be parsed.
+   * @throws {Error} - If the bytes are in an unsupported encoding.
    */
-  static parse(text, parsers = []) {
+  static parse(text, parsers = [], options = {}) {
     if (!(parsers = parsers.filter(p => p instanceof Xml.Parser)).length) { 
       parsers = Xml.defaultParsers; 
     }
+    const source = text instanceof Uint8Array || text instanceof ArrayBuffer ? Xml.decode(text) : `${text}`;
+    const locate = options.positions ? Xml.#locator(source) : Xml.#unset;
+    parsers = Xml.#derive(parsers, options, locate);
+    const doc = new Xml.Node();
+    try {
+      let roots = 0;
+      for (let offset = 0; offset < source.length;) {
+        const parser = Xml.#find(parsers, source, offset);
+        if (!parser) { throw new Xml.SyntaxError('No Parser Found', 'no-parser', source.length - offset); }
+        const [item, end] = Xml.#read(parser, source, offset, parsers);
+        if (options.strict) { Xml.#checkTopLevel(item, source.length - offset, !offset, roots); }
+        if (item instanceof Xml.Element) { roots++; }
+        doc.add(item);
+        offset = end;
+      }
+      if (options.strict && !roots) { throw new Xml.SyntaxError('Document has no root element', 'missing-root', 0); }
+    } catch (error) {
+      if (error instanceof Xml.SyntaxError && error.offset === Xml.#unset) { error.locate(source); }
+      throw error;
+    }
+    if (locate) { doc.source = {start: locate(source.length), end: locate(0)}; }
+    return doc;
+  }
+  /**
+   * @method parseHTML - Parses an HTML document or fragment, leniently.
+   * @note HTML named entities are known, and unmatched closing tags are ignored. See Xml.Element.HTMLParser for the element rules.
+   * @param {string|Uint8Array|ArrayBuffer} text - The text to parse, or its bytes, see Xml.decode.
+   * @param {InstanceType<Xml.Parser>[]} parsers - An optional override set of parsers to use, with an Xml.Element.HTMLParser added when there is no element parser.
+   * @param {Omit<ParseOptions, 'strict'>} [options={}] - Optional parse options.
+   * @returns {InstanceType<Xml.Node>} - The parsed document node.
+   * @throws {InstanceType<Xml.SyntaxError>} - If the text cannot be parsed.
+   */
+  static parseHTML(text, parsers = [], options = {}) {
+    if (!(parsers = parsers.filter(p => p instanceof Xml.Parser)).length) { parsers = Xml.htmlParsers; }
+    if (!parsers.some(p => p instanceof Xml.Element.Parser)) { parsers = [...parsers, new Xml.Element.HTMLParser()]; }
+    const source = text instanceof Uint8Array || text instanceof ArrayBuffer ? Xml.decode(text) : `${text}`;
+    const locate = options.positions ? Xml.#locator(source) : Xml.#unset;
+    parsers = Xml.#derive(parsers, {...options, entities: {...Xml.htmlEntities, ...options.entities}}, locate);
+    const parser = /** @type {InstanceType<typeof Xml.Element.Parser>} */(parsers.find(p => p instanceof Xml.Element.Parser));
     const doc = new Xml.Node();
-    while (text.length) {
-      const parser = parsers.find(parser => parser.canParse(text));
-      if (!parser) { throw new Error(`No Parser Found: -${text.length}`); }
-      const [item, remaining] = parser.parse(text, parsers);
-      doc.add(item);
-      text = remaining;
+    try { parser.readContent(doc, source, 0, parsers); }
+    catch (error) {
+      if (error instanceof Xml.SyntaxError && error.offset === Xml.#unset) { error.locate(source); }
+      throw error;
     }
+    if (locate) { doc.source = {start: locate(source.length), end: locate(0)}; }
     return doc;
   }
   /** @static @readonly @property {InstanceType<Xml.Parser>[]} defaultParsers - The default set of parsers used by Xml.parse when no parsers are provided. */
@@ -37,10 +203,23 @@ class Xml {
     new Xml.Text.Parser(),
     new Xml.CData.Parser(),
     new Xml.Comment.Parser(),
+    new Xml.DocumentType.Parser(),
     new Xml.Metadata.Parser(),
+    new Xml.ProcessingInstruction.Parser(),
     new Xml.Declaration.Parser(),
     new Xml.Element.Parser(),
   ]); }
+  /** @static @readonly @property {InstanceType<Xml.Parser>[]} htmlParsers - The default set of parsers used by Xml.parseHTML when no parsers are provided. */
+  static get htmlParsers() { return /** @type {InstanceType<Xml.Parser>[]} */ ([
+    new Xml.Text.Parser(),
+    new Xml.CData.Parser(),
+    new Xml.Comment.Parser(),
+    new Xml.DocumentType.Parser(),
+    new Xml.Metadata.Parser(),
+    new Xml.ProcessingInstruction.Parser(),
+    new Xml.Declaration.Parser(),
+    new Xml.Element.HTMLParser(),
+  ]); }
   /**
    * @method escape - Escapes special XML characters in a string.
    * @param {string} text - The text to escape.
@@ -64,24 +243,23 @@ class Xml {
   /**
    * @method unescape - Unescapes special XML characters in a string.
    * @param {string} text - The text to unescape.
+   * @param {Record<string, string>|InstanceType<Xml.Entities>} [entities={}] - Additional named entities to expand.
+   * @note Unknown entity references are left as they are.
    */
-  static unescape(text) {
-    let basic = `${text}`.replace(/&lt;/g, '<')
-                         .replace(/&gt;/g, '>')
-                         .replace(/&quot;/g, '"')
-                         .replace(/&apos;/g, "'");
-    for (const [reg, rep] of Object.entries({
-      ...Object.fromEntries(basic.matchAll(/&#(\d+);/g))
-    })) { 
-      basic = basic.replace(new RegExp(reg, 'g'), String.fromCharCode(rep)); 
-    }
-    for (const [reg, rep] of Object.entries({
-      ...Object.fromEntries(basic.matchAll(/&#x([0-9A-Fa-f]+);/g))
-    })) { 
-      basic = basic.replace(new RegExp(reg, 'g'), String.fromCharCode(parseInt(rep, 16))); 
+  static unescape(text, entities = {}) { return Xml.Entities.from(entities).expand(`${text}`); }
+  /** @static @readonly @property {Readonly<Record<string, string>>} htmlEntities - The HTML5 named character references, e.g. nbsp and copy. */
+  static get htmlEntities() {
+    if (Xml.#htmlEntities) { return Xml.#htmlEntities; }
+    /** @type {Record<string, string>} */
+    const entities = {};
+    for (const [_, codes, names] of Xml.#htmlTable.matchAll(/([\w.]+):(\S+)/g)) {
+      const value = String.fromCodePoint(...codes.split('.').map(code => parseInt(code, 16)));
+      for (const name of names.split(',')) { entities[name] = value; }
     }
-    return basic.replace(/&amp;/g, '&');
+    return Xml.#htmlEntities = Object.freeze(entities);
   }
+  /** @type {Readonly<Record<string, string>>|undefined} */
+  static #htmlEntities = Xml.#unset;
   /**
    * @method validateName - Validates an XML name.
    * @param {string} name - The name to validate.
@@ -92,25 +270,794 @@ class Xml {
     if (typeof(name) !== 'string' || !Xml.#nameValidator.test(name)) { throw new Error(`Unparsable name: ${name}`); } 
     return name;
   }
+  /**
+   * @method #locator - Creates a function mapping the length of the text remaining after a point in the source to its position.
+   * @param {string} source - The full source text.
+   * @param {SourcePosition} [base] - The position of the start of the source, when it is part of a larger text.
+   * @returns {(remaining: number) => SourcePosition}
+   */
+  static #locator(source, base = {offset: 0, line: 1, column: 1}) {
+    const lines = [0];
+    for (let i = source.indexOf('\n'); i >= 0; i = source.indexOf('\n', i + 1)) { lines.push(i + 1); }
+    return remaining => {
+      const offset = source.length - remaining;
+      let [low, high] = [0, lines.length - 1];
+      while (low < high) {
+        const middle = (low + high + 1) >> 1;
+        if (lines[middle] <= offset) { low = middle; } else { high = middle - 1; }
+      }
+      return {
+        offset: base.offset + offset,
+        line: base.line + low,
+        column: (low ? 1 : base.column) + offset - lines[low],
+      };
+    };
+  }
+  /** @method #sticky - Matches a sticky regular expression at an offset. @param {RegExp} regex @param {string} source @param {number} offset @returns {RegExpExecArray|null} */
+  static #sticky(regex, source, offset) {
+    regex.lastIndex = offset;
+    return regex.exec(source);
+  }
+  /** @method #skip - Skips any whitespace at an offset. @param {string} source @param {number} offset @returns {number} - The offset following the whitespace. */
+  static #skip(source, offset) { return offset + /** @type {RegExpExecArray} */(Xml.#sticky(Xml.#whitespace, source, offset))[0].length; }
+  /**
+   * @method #derive - Derives parsers for a single parse session, leaving the originals untouched.
+   * @param {InstanceType<Xml.Parser>[]} parsers - The parsers to derive from.
+   * @param {ParseOptions} options - The options of the parse session.
+   * @param {((remaining: number) => SourcePosition)|undefined} locate - Maps remaining text lengths to positions when recording them.
+   * @returns {InstanceType<Xml.Parser>[]}
+   */
+  static #derive(parsers, options, locate) {
+    const entities = new Xml.Entities(options.entities, {maxDepth: options.maxEntityDepth, maxLength: options.maxEntityLength});
+    return parsers.map(parser => {
+      const derived = /** @type {InstanceType<Xml.Parser>} */(Object.create(parser));
+      derived.entities = entities;
+      if (options.strict) { derived.strict = true; }
+      if (locate) { derived.locate = locate; }
+      if (options.lossless) { derived.lossless = true; }
+      return derived;
+    });
+  }
+  /** @type {WeakMap<object, {canParse: boolean, parse: boolean}>} */
+  static #legacy = new WeakMap();
+  /**
+   * @method #overrides - Finds which text based methods of a parser override its offset based ones, such as a subclass of a built in parser overriding parse.
+   * @param {InstanceType<Xml.Parser>} parser - The parser to check.
+   * @returns {{canParse: boolean, parse: boolean}} - Whether canParse and parse should be called instead of canRead and read.
+   */
+  static #overrides(parser) {
+    let overrides = Xml.#legacy.get(parser);
+    if (overrides) { return overrides; }
+    /** @type {(modern: string, legacy: string) => boolean} */
+    const closer = (modern, legacy) => {
+      for (let prototype = parser; prototype && prototype !== Xml.Parser.prototype; prototype = Object.getPrototypeOf(prototype)) {
+        if (Object.hasOwn(prototype, modern)) { return false; }
+        if (Object.hasOwn(prototype, legacy)) { return true; }
+      }
+      return false;
+    };
+    Xml.#legacy.set(parser, overrides = {canParse: closer('canRead', 'canParse'), parse: closer('read', 'parse')});
+    return overrides;
+  }
+  /**
+   * @method #find - Finds the first parser that can read the source at an offset.
+   * @param {InstanceType<Xml.Parser>[]} parsers - The parsers to choose from.
+   * @param {string} source - The source being parsed.
+   * @param {number} offset - The offset to read from.
+   * @returns {InstanceType<Xml.Parser>|undefined}
+   */
+  static #find(parsers, source, offset) {
+    return parsers.find(parser => Xml.#overrides(parser).canParse ? parser.canParse(source.slice(offset)) : parser.canRead(source, offset));
+  }
+  /**
+   * @method #read - Reads a node with a parser, recording its source range when the parser locates positions.
+   * @param {InstanceType<Xml.Parser>} parser - The parser to read with.
+   * @param {string} source - The source being parsed.
+   * @param {number} offset - The offset to read from.
+   * @param {InstanceType<Xml.Parser>[]} parsers - The set of parsers used in this session.
+   * @returns {[InstanceType<Xml.Node>, number]} - The node and the offset following it.
+   * @throws {InstanceType<Xml.SyntaxError>} - If the parser does not consume any of the source.
+   */
+  static #read(parser, source, offset, parsers) {
+    const [node, end] = Xml.#overrides(parser).parse ? Xml.Parser.prototype.read.call(parser, source, offset, parsers) : parser.read(source, offset, parsers);
+    if (end <= offset) { throw new Xml.SyntaxError(`${parser.constructor.name} did not consume content`, 'no-progress', source.length - offset); }
+    const start = parser.locate(source.length - offset);
+    if (start) { node.source = {start, end: /** @type {SourcePosition} */(parser.locate(source.length - end))}; }
+    if (parser.lossless && !(node instanceof Xml.Element)) { Xml.#originals.set(node, {text: source.slice(offset, end), check: node.toString()}); }
+    return [node, end];
+  }
+  /** @method #lossless - Renders a node, or its original text when it was parsed losslessly and has not been edited since. @param {InstanceType<Xml.Node>} node @returns {string} */
+  static #lossless(node) {
+    const text = node.toString();
+    const original = Xml.#originals.get(node);
+    return original && !(node instanceof Xml.Element) && original.check === text ? original.text : text;
+  }
+  /**
+   * @method #checkTopLevel - Enforces the document level well-formedness rules for an item parsed outside of any element.
+   * @param {InstanceType<Xml.Node>} item - The parsed item.
+   * @param {number} remaining - The length of the text remaining from the start of the item.
+   * @param {boolean} first - Whether the item is at the start of the document.
+   * @param {number} roots - The number of root elements parsed so far.
+   */
+  static #checkTopLevel(item, remaining, first, roots) {
+    if (item instanceof Xml.Element && roots) {
+      throw new Xml.SyntaxError('Document has more than one root element', 'multiple-roots', remaining);
+    }
+    if ((item instanceof Xml.Text && /[^ \t\r\n]/.test(item.content)) || item instanceof Xml.CData) {
+      throw new Xml.SyntaxError('Text is not allowed outside of the root element', 'text-outside-root', remaining);
+    }
+    if (item instanceof Xml.Declaration && item.type.toLowerCase() === 'xml' && !first) {
+      throw new Xml.SyntaxError('The XML declaration is only allowed at the start of the document', 'misplaced-declaration', remaining);
+    }
+    if (item instanceof Xml.DocumentType && roots) {
+      throw new Xml.SyntaxError('The document type must come before the root element', 'misplaced-doctype', remaining);
+    }
+  }
+  /** @method #prefix - The namespace prefix of a qualified name, or empty. @param {string} name @returns {string} */
+  static #prefix(name) { return name.includes(':') ? name.slice(0, name.indexOf(':')) : ''; }
+  /** @method #localName - A qualified name without its namespace prefix. @param {string} name @returns {string} */
+  static #localName(name) { return name.slice(name.indexOf(':') + 1); }
+  /**
+   * @method evaluate - Evaluates an XPath 1.0 expression.
+   * @param {string|InstanceType<Xml.XPath>} expression - The expression to evaluate.
+   * @param {XPathNode} contextNode - The context node of the expression.
+   * @param {Record<string, XPathResult>} [variables={}] - Values for $variable references.
+   * @param {Record<string, string>} [namespaces={}] - Namespace URIs for the prefixes used in the expression.
+   * @returns {XPathResult} - A node-set (array in document order), string, number or boolean.
+   */
+  static evaluate(expression, contextNode, variables = {}, namespaces = {}) {
+    return Xml.XPath.from(expression).evaluate(contextNode, variables, namespaces);
+  }
+  /**
+   * @method serialize - Serializes a node with configurable output.
+   * @param {InstanceType<Xml.Node>} node - The node to serialize.
+   * @param {SerializeOptions|InstanceType<Xml.Serializer>} [options={}] - The output options, or a configured Xml.Serializer.
+   * @returns {string} - The serialized text.
+   */
+  static serialize(node, options = {}) {
+    return (options instanceof Xml.Serializer ? options : new Xml.Serializer(options)).serialize(node);
+  }
+  /**
+   * @method encode - Serializes a node to bytes in an encoding.
+   * @param {InstanceType<Xml.Node>} node - The node to serialize.
+   * @param {SerializeOptions|InstanceType<Xml.Serializer>} [options={}] - The output options, or a configured Xml.Serializer. The encoding defaults to the one the document declares.
+   * @returns {Uint8Array} - The encoded text, with a byte order mark for UTF-16.
+   * @throws {Error} - If the encoding is not supported.
+   */
+  static encode(node, options = {}) {
+    return (options instanceof Xml.Serializer ? options : new Xml.Serializer(options)).encode(node);
+  }
+  /**
+   * @method decode - Decodes XML bytes, detecting their encoding.
+   * @note The encoding is taken from a byte order mark, then from the way "<?" is encoded for UTF-16 without one,
+   *       then from the encoding pair of the XML declaration, and is otherwise UTF-8.
+   * @param {Uint8Array|ArrayBuffer} bytes - The bytes to decode.
+   * @returns {string} - The text, without any byte order mark.
+   * @throws {Error} - If the encoding is not supported.
+   */
+  static decode(bytes) {
+    const data = bytes instanceof ArrayBuffer ? new Uint8Array(bytes) : bytes;
+    const [a, b, c] = data;
+    let encoding = a === 0xEF && b === 0xBB && c === 0xBF ? 'utf-8'
+      : (a === 0xFF && b === 0xFE) || (a === 0x3C && b === 0x00) ? 'utf-16le'
+      : (a === 0xFE && b === 0xFF) || (a === 0x00 && b === 0x3C) ? 'utf-16be'
+      : Xml.#unset;
+    if (!encoding) {
+      const head = new TextDecoder('latin1').decode(data.subarray(0, 1024));
+      const declared = /^<\?xml\s[^>]*?\bencoding\s*=\s*(?:"([A-Za-z][\w.\-]*)"|'([A-Za-z][\w.\-]*)')/.exec(head);
+      encoding = declared?.[1] ?? declared?.[2] ?? 'utf-8';
+      // text readable as ASCII is not UTF-16, whatever it declares
+      if (/^utf-?16/i.test(encoding)) { encoding = 'utf-8'; }
+    }
+    return Xml.#decoder(encoding).decode(data);
+  }
+  /** @method #decoder - Creates a decoder for an encoding label. @param {string} encoding @returns {TextDecoder} @throws {Error} - If the encoding is not supported. */
+  static #decoder(encoding) {
+    try { return new TextDecoder(encoding); }
+    catch { throw new Error(`Unsupported encoding: ${encoding}`); }
+  }
+  /**
+   * @method validate - Validates a document against a DTD or an XSD subset.
+   * @param {InstanceType<Xml.Node>} document - A parsed document, or an element to validate as a document element.
+   * @param {InstanceType<Xml.Schema>|InstanceType<Xml.Node>|string} [schema] - A compiled Xml.Schema, or an XSD or DTD parsed or as text. Defaults to the DOCTYPE of the document.
+   * @returns {ValidationError[]} - The errors, in document order, or none when the document is valid.
+   * @throws {Error} - If an XSD refers to a type, group or element it does not define.
+   */
+  static validate(document, schema = document) {
+    return (schema instanceof Xml.Schema ? schema : Xml.Schema.from(schema)).validate(document);
+  }
+  /**
+   * @method walk - Visits a node and its descendants in document order, calling the visitor by node type.
+   * @param {InstanceType<Xml.Node>} node - The node to start from.
+   * @param {Visitor|InstanceType<Xml.Walker>} visitor - The callbacks, or a configured Xml.Walker.
+   * @returns {boolean} - Whether the walk finished, false when a callback returned Xml.Walker.stop.
+   */
+  static walk(node, visitor) {
+    return (visitor instanceof Xml.Walker ? visitor : new Xml.Walker(visitor)).walk(node);
+  }
+  /**
+   * @method transform - Applies rules to the descendants of a node, removing, unwrapping, renaming or replacing those they match.
+   * @param {InstanceType<Xml.Node>} node - The document or element to transform in place.
+   * @param {Record<string, TransformAction>|[TransformMatch, TransformAction][]|InstanceType<Xml.Transform>} rules - Actions by match, or a compiled Xml.Transform.
+   * @returns {InstanceType<Xml.Node>} - The node transformed.
+   * @throws {Error} - If a rule has an invalid action, selector or name.
+   */
+  static transform(node, rules) {
+    return (rules instanceof Xml.Transform ? rules : new Xml.Transform(rules)).transform(node);
+  }
+  /**
+   * @method diff - Lists the structural changes that turn one tree into another.
+   * @note Changes apply in order, each path addressing the tree as left by the changes before it. Siblings are matched by key attribute,
+   *       then as identical subtrees, then by type in order. Moves reorder matched siblings; an element that changes parent is removed and inserted.
+   * @param {InstanceType<Xml.Node>} a - The original document or element.
+   * @param {InstanceType<Xml.Node>} b - The changed document or element.
+   * @param {DiffOptions} [options={}] - How siblings are matched and whitespace is compared.
+   * @returns {XmlChange[]} - The changes, as plain objects that serialize as JSON.
+   * @throws {Error} - If the nodes are not both documents or elements of the same type.
+   */
+  static diff(a, b, options = {}) {
+    if (a.constructor !== b.constructor || (a instanceof Xml.Element && b instanceof Xml.Element && a.type !== b.type)) {
+      throw new Error('Only documents, or elements of the same type, can be diffed');
+    }
+    const keys = options.keys ?? [];
+    const ignore = options.whitespace === 'ignore';
+    const hashes = new Map([...Xml.#hashes(a), ...Xml.#hashes(b)]);
+    /** @type {XmlChange[]} */
+    const changes = [];
+    /** @type {[InstanceType<Xml.Node>, InstanceType<Xml.Node>, string][]} */
+    const stack = [[a, b, '.']];
+    for (let entry = stack.pop(); entry; entry = stack.pop()) {
+      const [from, to, path] = entry;
+      if (from instanceof Xml.ContentNode && to instanceof Xml.ContentNode) {
+        if (from.content !== to.content) { changes.push({type: 'text', path, value: to.content, oldValue: from.content}); }
+        continue;
+      }
+      if (from instanceof Xml.Element && to instanceof Xml.Element) {
+        for (const [name, value] of Object.entries(to.attributes)) {
+          const oldValue = from.attributes[name];
+          if (!Object.hasOwn(from.attributes, name)) { changes.push({type: 'add-attribute', path, name, value}); }
+          else if (oldValue !== value) { changes.push({type: 'change-attribute', path, name, value, oldValue}); }
+        }
+        for (const [name, oldValue] of Object.entries(from.attributes)) {
+          if (!Object.hasOwn(to.attributes, name)) { changes.push({type: 'remove-attribute', path, name, oldValue}); }
+        }
+      }
+      stack.push(...Xml.#diffChildren(from, to, path, keys, ignore, hashes, changes).reverse());
+    }
+    return changes;
+  }
+  /**
+   * @method patch - Applies structural changes, such as those listed by Xml.diff, in order.
+   * @param {InstanceType<Xml.Node>} node - The document or element to change in place.
+   * @param {XmlChange[]} changes - The changes, with paths relative to the node.
+   * @returns {InstanceType<Xml.Node>} - The node changed.
+   * @throws {Error} - If a path does not address a node of the kind the change needs. Changes before it remain applied.
+   */
+  static patch(node, changes) {
+    /** @type {(path: string|undefined, change: XmlChange) => InstanceType<Xml.Node>} */
+    const resolve = (path, change) => {
+      const [found] = /** @type {XPathNode[]} */(Xml.evaluate(`${path}`, node));
+      if (!(found instanceof Xml.Node)) { throw new Error(`Cannot ${change.type}, there is no node at ${path}`); }
+      return found;
+    };
+    for (const change of changes) {
+      const target = resolve(change.type === 'move' ? change.from : change.path, change);
+      if (change.type === 'insert') {
+        const items = [...Xml.parse(`${change.node ?? ''}`)];
+        items.forEach((item, i) => target.insertAt(item, (change.index ?? target.length) + i));
+      }
+      else if (change.type === 'remove') { target.replaceWith(); }
+      else if (change.type === 'move') { resolve(change.path, change).insertAt(target, change.index ?? -1); }
+      else if (change.type === 'text') {
+        if (!(target instanceof Xml.ContentNode)) { throw new Error(`Cannot change text, the node at ${change.path} has none`); }
+        target.content = `${change.value ?? ''}`;
+      }
+      else if (['add-attribute', 'change-attribute', 'remove-attribute'].includes(change.type)) {
+        if (!(target instanceof Xml.Element)) { throw new Error(`Cannot ${change.type}, the node at ${change.path} is not an element`); }
+        if (change.type === 'remove-attribute') { delete target.attributes[`${change.name}`]; }
+        else { target.attributes[`${change.name}`] = `${change.value}`; }
+      }
+      else { throw new Error(`Unknown change type: ${change.type}`); }
+    }
+    return node;
+  }
+  /**
+   * @method #diffChildren - Matches the children of two nodes, listing the removals, moves and inserts that reorder them.
+   * @param {InstanceType<Xml.Node>} from - The original node.
+   * @param {InstanceType<Xml.Node>} to - The changed node.
+   * @param {string} path - The path of the node.
+   * @param {string[]} keys - The key attributes.
+   * @param {boolean} ignore - Whether whitespace-only text is left out.
+   * @param {Map<InstanceType<Xml.Node>, number>} hashes - The subtree hashes of both trees.
+   * @param {XmlChange[]} changes - The changes to add to.
+   * @returns {[InstanceType<Xml.Node>, InstanceType<Xml.Node>, string][]} - The matched children, with their paths once the changes are applied.
+   */
+  static #diffChildren(from, to, path, keys, ignore, hashes, changes) {
+    const prefix = path === '.' ? '' : `${path}/`;
+    /** @type {(node: InstanceType<Xml.Node>) => boolean} */
+    const relevant = node => !ignore || !(node instanceof Xml.Text) || /[^ \t\r\n]/.test(node.content);
+    const olds = [...from].filter(relevant);
+    const news = [...to].filter(relevant);
+    /** @type {Map<InstanceType<Xml.Node>, InstanceType<Xml.Node>>} - Original children by the changed children they match. */
+    const matches = new Map();
+    /** @type {((node: InstanceType<Xml.Node>) => string|undefined)[]} - Keys by key attribute, identical subtrees, and kind in order. */
+    const passes = [
+      node => {
+        const key = node instanceof Xml.Element ? keys.find(name => Object.hasOwn(node.attributes, name)) : Xml.#unset;
+        return key && node instanceof Xml.Element ? `${node.type} ${key}=${node.attributes[key]}` : Xml.#unset;
+      },
+      node => node instanceof Xml.Element && keys.some(name => Object.hasOwn(node.attributes, name)) ? Xml.#unset : `${hashes.get(node)}`,
+      node => node instanceof Xml.Element ? (keys.some(name => Object.hasOwn(node.attributes, name)) ? Xml.#unset : `<${node.type}`)
+        : node instanceof Xml.Text || node instanceof Xml.CData || node instanceof Xml.Comment ? node.constructor.name : Xml.#unset,
+    ];
+    const matched = new Set();
+    for (const pass of passes) {
+      /** @type {Map<string, {items: InstanceType<Xml.Node>[], next: number}>} */
+      const pending = new Map();
+      for (const old of olds) {
+        const key = matched.has(old) ? Xml.#unset : pass(old);
+        if (key === Xml.#unset) { continue; }
+        const queue = pending.get(key);
+        if (queue) { queue.items.push(old); } else { pending.set(key, {items: [old], next: 0}); }
+      }
+      for (const node of news) {
+        const queue = matches.has(node) ? Xml.#unset : pending.get(`${pass(node)}`);
+        const old = queue?.items[queue.next++];
+        if (old) { matches.set(node, old); matched.add(old); }
+      }
+    }
+    const current = [...from];
+    for (const old of olds) {
+      if (matched.has(old)) { continue; }
+      changes.push({type: 'remove', path: `${prefix}${Xml.#steps(current, keys).get(old)}`, node: Xml.serialize(old)});
+      current.splice(current.indexOf(old), 1);
+    }
+    const order = news.filter(node => matches.has(node)).map(node => /** @type {InstanceType<Xml.Node>} */(matches.get(node)));
+    const positions = new Map(current.map((node, i) => [node, i]));
+    const stayers = new Set(Xml.#increasing(order.map(old => /** @type {number} */(positions.get(old)))).map(i => order[i]));
+    /** @type {InstanceType<Xml.Node>|undefined} */
+    let previous = Xml.#unset;
+    for (const node of news) {
+      const old = matches.get(node);
+      if (old && stayers.has(old)) { previous = old; continue; }
+      const item = old ?? node;
+      const from = old ? `${prefix}${Xml.#steps(current, keys).get(old)}` : '';
+      const index = old ? current.indexOf(old) : -1;
+      if (old) { current.splice(index, 1); }
+      const target = previous ? current.indexOf(previous) + 1 : 0;
+      current.splice(target, 0, item);
+      if (!old) { changes.push({type: 'insert', path, index: target, node: Xml.serialize(node)}); }
+      else if (target !== index) { changes.push({type: 'move', from, path, index: target}); }
+      previous = item;
+    }
+    const steps = Xml.#steps(current, keys);
+    return news.flatMap(node => {
+      const old = matches.get(node);
+      return old ? [/** @type {[InstanceType<Xml.Node>, InstanceType<Xml.Node>, string]} */([old, node, `${prefix}${steps.get(old)}`])] : [];
+    });
+  }
+  /**
+   * @method #steps - Writes the XPath steps that select each of a list of siblings.
+   * @param {InstanceType<Xml.Node>[]} siblings - The children of a node.
+   * @param {string[]} keys - The key attributes, used when they identify an element among the siblings.
+   * @returns {Map<InstanceType<Xml.Node>, string>}
+   */
+  static #steps(siblings, keys) {
+    /** @type {(node: InstanceType<Xml.Node>) => string} */
+    const test = node => node instanceof Xml.Element ? (node.prefix ? `*[name()="${node.type}"]` : node.type)
+      : node instanceof Xml.Text || node instanceof Xml.CData ? 'text()'
+      : node instanceof Xml.Comment ? 'comment()'
+      : node instanceof Xml.ProcessingInstruction ? 'processing-instruction()'
+      : 'node()';
+    /** @type {Record<string, number>} */
+    const counts = {};
+    const tests = siblings.map(node => test(node));
+    for (const name of tests) { counts[name] = (counts[name] ?? 0) + 1; }
+    counts['node()'] = siblings.length;
+    /** @type {(node: InstanceType<Xml.Node>) => string|undefined} */
+    const keyOf = node => {
+      const key = node instanceof Xml.Element ? keys.find(name => Object.hasOwn(node.attributes, name)) : Xml.#unset;
+      return key && node instanceof Xml.Element && !node.attributes[key].includes('"') ? `[@${key}="${node.attributes[key]}"]` : Xml.#unset;
+    };
+    /** @type {Record<string, number>} */
+    const keyCounts = {};
+    for (const [i, node] of siblings.entries()) {
+      const key = keyOf(node);
+      if (key) { keyCounts[`${tests[i]}${key}`] = (keyCounts[`${tests[i]}${key}`] ?? 0) + 1; }
+    }
+    /** @type {Record<string, number>} */
+    const seen = {};
+    return new Map(siblings.map((node, i) => {
+      const name = tests[i];
+      const index = name === 'node()' ? i + 1 : seen[name] = (seen[name] ?? 0) + 1;
+      const key = keyOf(node);
+      if (key && keyCounts[`${name}${key}`] === 1) { return [node, `${name}${key}`]; }
+      return [node, node instanceof Xml.Element && counts[name] === 1 ? name : `${name}[${index}]`];
+    }));
+  }
+  /**
+   * @method #hashes - Hashes every subtree of a tree, so identical subtrees have equal hashes.
+   * @param {InstanceType<Xml.Node>} root - The root of the tree.
+   * @returns {Map<InstanceType<Xml.Node>, number>}
+   */
+  static #hashes(root) {
+    /** @type {Map<InstanceType<Xml.Node>, number>} */
+    const hashes = new Map();
+    /** @type {(hash: number, text: string) => number} */
+    const mix = (hash, text) => {
+      for (let i = 0; i < text.length; i++) { hash = Math.imul(hash ^ text.charCodeAt(i), 16777619); }
+      return hash >>> 0;
+    };
+    /** @type {[InstanceType<Xml.Node>, boolean][]} */
+    const stack = [[root, false]];
+    for (let entry = stack.pop(); entry; entry = stack.pop()) {
+      const [node, visited] = entry;
+      if (!visited) {
+        stack.push([node, true]);
+        for (const child of node) { stack.push([child, false]); }
+        continue;
+      }
+      let hash = mix(2166136261, node.constructor.name);
+      if (node instanceof Xml.Element) { hash = mix(hash, `<${node.type} ${JSON.stringify(Object.entries(node.attributes))}`); }
+      else if (node instanceof Xml.ContentNode) { hash = mix(hash, node.content); }
+      else if (node.constructor !== Xml.Node) { hash = mix(hash, node.toString()); }
+      for (const child of node) { hash = mix(hash, `${hashes.get(child)},`); }
+      hashes.set(node, hash);
+    }
+    return hashes;
+  }
+  /**
+   * @method #increasing - Finds a longest increasing subsequence, in O(n log n).
+   * @param {number[]} values - The values.
+   * @returns {number[]} - The indexes of the values in the subsequence.
+   */
+  static #increasing(values) {
+    /** @type {number[]} - The index ending the best subsequence of each length. */
+    const ends = [];
+    /** @type {number[]} */
+    const previous = [];
+    values.forEach((value, i) => {
+      let [low, high] = [0, ends.length];
+      while (low < high) {
+        const middle = (low + high) >> 1;
+        if (values[ends[middle]] < value) { low = middle + 1; } else { high = middle; }
+      }
+      previous[i] = low ? ends[low - 1] : -1;
+      ends[low] = i;
+    });
+    /** @type {number[]} */
+    const indexes = [];
+    for (let i = ends.length ? ends[ends.length - 1] : -1; i >= 0; i = previous[i]) { indexes.push(i); }
+    return indexes.reverse();
+  }
+  /**
+   * @method xml - A template tag building nodes, with values escaped for where they are interpolated.
+   * @example Xml.xml`<item id=${id} ${attributes}>${name}${children}</item>`
+   * @note Values are escaped as text in content and as attribute values after "=", quoted or not. In a tag, objects are spread as attributes,
+   *       skipping null, undefined and false values. In content, nodes and arrays are inserted; nodes already in a tree are cloned,
+   *       while the children of an interpolated document are moved. null, undefined and booleans are left out.
+   * @param {TemplateStringsArray} strings - The literal parts of the template.
+   * @param {...any} values - The interpolated values.
+   * @returns {InstanceType<Xml.Node>} - The only node of the template, ignoring surrounding whitespace, or otherwise a document of its nodes.
+   * @throws {Error} - If a value other than an object is interpolated where attributes go, or an attribute name is invalid.
+   */
+  static xml(strings, ...values) {
+    const nonce = Math.random().toString(36).slice(2);
+    /** @type {any[]} */
+    const slots = [];
+    /** @type {(value: any) => string} */
+    const content = value => {
+      if (Array.isArray(value)) { return value.map(content).join(''); }
+      if (value instanceof Xml.Node) { return `<?xml-slot ${nonce} ${slots.push(value) - 1}?>`; }
+      return value === null || value === Xml.#unset || typeof(value) === 'boolean' ? '' : Xml.escape(`${value}`);
+    };
+    let state = {mode: 'text', quote: ''};
+    let source = '';
+    strings.forEach((string, i) => {
+      source += string;
+      state = Xml.#templateState(state, string);
+      if (i >= values.length) { return; }
+      const value = values[i];
+      const text = value === null || value === Xml.#unset ? '' : `${value}`;
+      if (state.mode === 'text') { source += content(value); }
+      else if (state.mode === 'value') { source += Xml.escapeValue(text); }
+      else if (state.mode === 'comment') {
+        // a hyphen may not follow another or end the comment, so one is spaced from a hyphen before it in the template
+        const spaced = source.endsWith('-') && !source.endsWith('<!--') && text.startsWith('-') ? ' ' : '';
+        source += spaced + text.replace(/-(?=-|$)/g, '- ');
+      }
+      else if (state.mode === 'cdata') { source += text.replace(/\]\]>/g, ']]]]><![CDATA[>'); }
+      else if (state.mode === 'pi') { source += text.replace(/\?>/g, '? >'); }
+      else if (/<\/?\s*$/.test(source)) { source += Xml.validateName(text); }
+      else if (/=\s*$/.test(source)) { source += `"${Xml.escapeValue(text)}"`; }
+      else if (value === null || value === Xml.#unset || value === false) { return; }
+      else if (typeof(value) !== 'object') { throw new Error(`Only attribute objects can be interpolated in a tag, not ${text}`); }
+      else {
+        for (const [name, item] of Object.entries(value)) {
+          if (item !== null && item !== Xml.#unset && item !== false) { source += ` ${Xml.validateName(name)}="${Xml.escapeValue(`${item}`)}"`; }
+        }
+      }
+    });
+    const doc = Xml.parse(source);
+    const stack = [...doc];
+    for (let node = stack.pop(); node; node = stack.pop()) {
+      stack.push(...node);
+      if (!(node instanceof Xml.ProcessingInstruction) || node.target !== 'xml-slot' || !node.data.startsWith(`${nonce} `)) { continue; }
+      const value = slots[Number(node.data.slice(nonce.length + 1))];
+      node.replaceWith(...(value.constructor === Xml.Node ? value.children : [value.parent ? value.clone() : value]));
+    }
+    const [first, last] = [doc.firstChild, doc.lastChild];
+    if (doc.length > 1 && first instanceof Xml.Text && !first.content.trim()) { doc.remove(first); }
+    if (doc.length > 1 && last instanceof Xml.Text && !last.content.trim()) { doc.remove(last); }
+    return doc.length === 1 ? /** @type {InstanceType<Xml.Node>} */(doc.firstChild).replaceWith() : doc;
+  }
+  /**
+   * @method #templateState - Scans literal template text, tracking whether an interpolation falls in content, a tag or an attribute value.
+   * @param {{mode: string, quote: string}} state - The state before the text.
+   * @param {string} text - The literal text.
+   * @returns {{mode: string, quote: string}} - The state after the text.
+   */
+  static #templateState(state, text) {
+    let {mode, quote} = state;
+    for (let i = 0; i < text.length; i++) {
+      if (mode === 'text' && text[i] === '<') {
+        if (text.startsWith('<!--', i)) { mode = 'comment'; i += 3; }
+        else if (text.startsWith('<![CDATA[', i)) { mode = 'cdata'; i += 8; }
+        else if (text[i + 1] === '?') { mode = 'pi'; i++; }
+        else { mode = 'tag'; }
+      }
+      else if (mode === 'tag' && (text[i] === '"' || text[i] === "'")) { [mode, quote] = ['value', text[i]]; }
+      else if (mode === 'tag' && text[i] === '>') { mode = 'text'; }
+      else if (mode === 'value' && text[i] === quote) { mode = 'tag'; }
+      else if ((mode === 'comment' && text.startsWith('-->', i)) || (mode === 'cdata' && text.startsWith(']]>', i)) || (mode === 'pi' && text.startsWith('?>', i))) {
+        i += mode === 'pi' ? 1 : 2;
+        mode = 'text';
+      }
+    }
+    return {mode, quote};
+  }
+  /**
+   * @method toObject - Converts the elements of a node to a plain object, keyed by element type.
+   * @param {InstanceType<Xml.Node>} node - A document, or an element.
+   * @param {ObjectOptions} [options={}] - The mapping conventions.
+   * @returns {XmlObject} - The plain object.
+   * @note Comments, declarations and metadata are dropped, as is the order of differently named children and mixed content.
+   *       Whitespace only text beside child elements is ignored.
+   */
+  static toObject(node, options = {}) {
+    const conventions = Xml.#conventions(options);
+    return Xml.#toObject(node instanceof Xml.Element ? [node] : [...node], conventions);
+  }
+  /**
+   * @method fromObject - Converts a plain object to a document, the reverse of Xml.toObject.
+   * @param {XmlObject} object - The plain object, keyed by element type.
+   * @param {ObjectOptions} [options={}] - The mapping conventions.
+   * @returns {InstanceType<Xml.Node>} - The document.
+   * @throws {Error} - If a key is not a valid name.
+   */
+  static fromObject(object, options = {}) {
+    const conventions = Xml.#conventions(options);
+    const doc = new Xml.Node();
+    for (const [key, value] of Object.entries(object)) { Xml.#fromValue(doc, key, value, conventions); }
+    return doc;
+  }
+  /** @method #conventions - Applies the defaults of ObjectOptions. @param {ObjectOptions} options @returns {ObjectConventions} */
+  static #conventions(options) {
+    return {attributePrefix: '@_', textKey: '#text', arrays: 'repeated', coerce: false, ...options};
+  }
+  /**
+   * @method #toObject - Converts the elements among nodes to an object, keyed by element type.
+   * @param {InstanceType<Xml.Node>[]} nodes - The nodes.
+   * @param {ObjectConventions} options - The mapping conventions.
+   * @returns {XmlObject}
+   */
+  static #toObject(nodes, options) {
+    const elements = /** @type {InstanceType<Xml.Element>[]} */(nodes.filter(node => node instanceof Xml.Element));
+    /** @type {Record<string, number>} */
+    const counts = {};
+    for (const element of elements) { counts[element.type] = (counts[element.type] ?? 0) + 1; }
+    /** @type {XmlObject} */
+    const object = {};
+    for (const element of elements) {
+      const value = Xml.#toValue(element, options);
+      const repeated = options.arrays === 'always' || (Array.isArray(options.arrays) && options.arrays.includes(element.type))
+        || counts[element.type] > 1;
+      if (!repeated) { object[element.type] = value; }
+      else if (Array.isArray(object[element.type])) { /** @type {XmlValue[]} */(object[element.type]).push(value); }
+      else { object[element.type] = [value]; }
+    }
+    return object;
+  }
+  /**
+   * @method #toValue - Converts an element to its value, text alone when it has no attributes or child elements.
+   * @param {InstanceType<Xml.Element>} element - The element.
+   * @param {ObjectConventions} options - The mapping conventions.
+   * @returns {XmlValue}
+   */
+  static #toValue(element, options) {
+    const children = [...element];
+    const value = (/** @type {string} */ text) => options.coerce ? Xml.#coerce(text) : text;
+    const hasElements = children.some(child => child instanceof Xml.Element);
+    const text = children.map(child => child instanceof Xml.Text || (child instanceof Xml.CData && !options.cdataKey) ? child.content : '').join('');
+    const cdata = children.map(child => child instanceof Xml.CData ? child.content : '').join('');
+    const hasText = hasElements ? /[^ \t\r\n]/.test(text) : !!text;
+    const hasCData = !!options.cdataKey && children.some(child => child instanceof Xml.CData);
+    const attributes = Object.entries(element.attributes);
+    if (!attributes.length && !hasElements && !hasCData) { return value(text); }
+    /** @type {XmlObject} */
+    const object = {};
+    for (const [name, attribute] of attributes) { object[`${options.attributePrefix}${name}`] = value(attribute); }
+    if (hasText) { object[options.textKey] = value(text); }
+    if (hasCData) { object[/** @type {string} */(options.cdataKey)] = cdata; }
+    return Object.assign(object, Xml.#toObject(children, options));
+  }
+  /** @method #coerce - Converts text to a number or boolean when it converts back unchanged. @param {string} text @returns {string|number|boolean} */
+  static #coerce(text) {
+    if (text === 'true' || text === 'false') { return text === 'true'; }
+    return text.trim() && String(Number(text)) === text ? Number(text) : text;
+  }
+  /**
+   * @method #fromValue - Adds the elements for a key and value to a parent.
+   * @param {InstanceType<Xml.Node>} parent - The parent node.
+   * @param {string} type - The element type.
+   * @param {XmlValue|XmlValue[]} value - The value, an array for repeated elements.
+   * @param {ObjectConventions} options - The mapping conventions.
+   */
+  static #fromValue(parent, type, value, options) {
+    if (Array.isArray(value)) {
+      for (const item of value) { Xml.#fromValue(parent, type, item, options); }
+      return;
+    }
+    const element = new Xml.Element();
+    element.type = type;
+    parent.add(element);
+    if (value === null || value === Xml.#unset) { return; }
+    if (typeof(value) !== 'object') {
+      if (`${value}`) { element.add(Object.assign(new Xml.Text(), {content: value})); }
+      return;
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (item === Xml.#unset) { continue; }
+      if (key === options.textKey) { element.add(Object.assign(new Xml.Text(), {content: item ?? ''})); }
+      else if (key === options.cdataKey) { element.add(Object.assign(new Xml.CData(), {content: item ?? ''})); }
+      else if (key.startsWith(options.attributePrefix) && key.length > options.attributePrefix.length) {
+        element.attributes[key.slice(options.attributePrefix.length)] = `${item ?? ''}`;
+      }
+      else { Xml.#fromValue(element, key, item, options); }
+    }
+  }
   static Parser =
-  /** @class Xml.Parser - A base class for XML parsers. */
+  /**
+   * @class Xml.Parser - A base class for XML parsers.
+   * @note Parsers read from a shared source at an offset, so no text is copied as a document is parsed.
+   *       Parsers written against the text based canParse and parse methods are still supported.
+   */
   class Parser {
+    /** @property {boolean} strict - Whether this parser enforces XML 1.0 well-formedness. Xml.parse sets this for the strict option. */
+    strict = false;
+    /** @property {InstanceType<Xml.Entities>} entities - The entities declared so far. Xml.parse provides a new table for each document. */
+    entities = new Xml.Entities();
+    /** @property {boolean} lossless - Whether this parser keeps the original text of the nodes it reads. Xml.parse sets this for the lossless option. */
+    lossless = false;
+    /**
+     * @method canRead - Checks whether this parser can read the source at an offset. Defaults to canParse of the text from the offset.
+     * @param {string} source - The source being parsed.
+     * @param {number} offset - The offset to read from.
+     * @returns {boolean} - Whether this parser can read the source at the offset.
+     */
+    canRead(source, offset) {
+      if (this.canParse === Xml.Parser.prototype.canParse) { throw new Error(`${this.constructor.name} does not implement canRead`); }
+      return this.canParse(source.slice(offset));
+    }
+    /**
+     * @method read - Reads a node from the source at an offset. Defaults to parse of the text from the offset.
+     * @param {string} source - The source being parsed.
+     * @param {number} offset - The offset to read from.
+     * @param {InstanceType<Xml.Parser>[]} parsers - The set of parsers used in this session.
+     * @returns {[InstanceType<Xml.Node>, number]} - The parsed XML node and the offset following it.
+     */
+    read(source, offset, parsers) {
+      if (this.parse === Xml.Parser.prototype.parse) { throw new Error(`${this.constructor.name} does not implement read`); }
+      const [node, remaining] = this.parse(source.slice(offset), parsers);
+      return [node, source.length - remaining.length];
+    }
     /**
-     * @method canParse - Base canParse method.
+     * @method canParse - Checks whether this parser can parse the text. Defaults to canRead of the text.
      * @param {string} text - The text to check.
      * @returns {boolean} - Whether this parser can parse the text.
      */
-    canParse(text) { throw new Error(`${this.constructor.name} does not implement canParse`);  }
+    canParse(text) {
+      if (this.canRead === Xml.Parser.prototype.canRead) { throw new Error(`${this.constructor.name} does not implement canParse`); }
+      return this.canRead(text, 0);
+    }
     /**
-     * @method parse - Base parse method.
+     * @method parse - Parses a node from the start of the text. Defaults to read of the text.
      * @param {string} text - The text to parse.
      * @param {InstanceType<Xml.Parser>[]} parsers - The set of parsers used in this session.
      * @returns {[InstanceType<Xml.Node>, string]} - The parsed XML node and the remaining text.
      */
-    parse(text, parsers) { throw new Error(`${this.constructor.name} does not implement parse`); }
+    parse(text, parsers) {
+      if (this.read === Xml.Parser.prototype.read) { throw new Error(`${this.constructor.name} does not implement parse`); }
+      const [node, end] = this.read(text, 0, parsers);
+      return [node, text.slice(end)];
+    }
+    /**
+     * @method locate - Maps the length of the text remaining after a point to its position in the source.
+     * @param {number} remaining - The length of the remaining text.
+     * @returns {SourcePosition|undefined} - The position, or undefined when positions are not being recorded.
+     */
+    locate(remaining) { return Xml.#unset; }
+  }
+  static SyntaxError =
+  /**
+   * @class Xml.SyntaxError - An error raised for unparsable XML, with its location in the source.
+   * @extends Error
+   */
+  class XmlSyntaxError extends Error {
+    /** @type {string} */
+    #reason;
+    /** @readonly @property {string} reason - The description of the error, without its location. */
+    get reason() { return this.#reason; }
+    /** @type {string} */
+    #code;
+    /** @readonly @property {string} code - A machine readable error code, e.g. "no-parser" or "unclosed-tag". */
+    get code() { return this.#code; }
+    /** @type {number} */
+    #remaining;
+    /** @readonly @property {number} remaining - The length of the text remaining after the error. */
+    get remaining() { return this.#remaining; }
+    /** @type {SourcePosition|undefined} */
+    #position = Xml.#unset;
+    /** @readonly @property {number|undefined} offset - The zero based offset of the error, once located. */
+    get offset() { return this.#position?.offset; }
+    /** @readonly @property {number|undefined} line - The one based line of the error, once located. */
+    get line() { return this.#position?.line; }
+    /** @readonly @property {number|undefined} column - The one based column of the error, once located. */
+    get column() { return this.#position?.column; }
+    /** @type {string} */
+    #frame = '';
+    /** @readonly @property {string} frame - A snippet of the source around the error with a caret under it, once located. */
+    get frame() { return this.#frame; }
+    /**
+     * @constructor
+     * @param {string} reason - The description of the error.
+     * @param {string} code - A machine readable error code.
+     * @param {number} remaining - The length of the text remaining after the error.
+     */
+    constructor(reason, code, remaining) {
+      super(`${reason}: -${remaining}`);
+      this.name = 'XmlSyntaxError';
+      this.#reason = reason;
+      this.#code = code;
+      this.#remaining = remaining;
+    }
+    /**
+     * @method locate - Resolves the position of this error within the text it was raised for.
+     * @param {string} source - The text being parsed when the error was raised.
+     * @param {SourcePosition} [base] - The position of the start of the text, when it is part of a larger source.
+     * @returns {InstanceType<Xml.SyntaxError>} - This error.
+     */
+    locate(source, base) {
+      const position = this.#position = Xml.#locator(source, base)(this.#remaining);
+      const lines = source.split('\n');
+      const index = position.line - (base?.line ?? 1);
+      const width = `${position.line}`.length;
+      const column = position.column - (index ? 1 : base?.column ?? 1);
+      this.#frame = lines.slice(Math.max(0, index - 2), index + 1)
+        .map((line, i, shown) => `${i === shown.length - 1 ? '>' : ' '} ${`${position.line - shown.length + 1 + i}`.padStart(width)} | ${line}`)
+        .concat(`  ${' '.repeat(width)} | ${' '.repeat(column)}^`)
+        .join('\n');
+      this.message = `${this.#reason} (line ${position.line}, column ${position.column})\n${this.#frame}`;
+      return this;
+    }
   }
   /** @class Xml.Node - A base class for representing XML content. */
   static Node = class Node {
+    /** @type {SourceRange|undefined} */
+    #source = Xml.#unset;
+    /** @property {SourceRange|undefined} source - Where this Xml.Node was parsed from, when parsed with positions enabled. */
+    get source() { return this.#source; }
+    set source(range) { this.#source = range; }
     /** @type {InstanceType<Xml.Node>|undefined} */
     #parent = Xml.#unset;
     /** @property {InstanceType<Xml.Node>|undefined} parent - The parent Xml.Node of this XML.Node. */
@@ -120,18 +1067,102 @@ class Xml {
     [Symbol.iterator]() { return this.#children[Symbol.iterator](); } 
     /** @readonly @property {number} length - The number of child nodes. */
     get length() { return this.#children.length; }
+    /** @readonly @property {InstanceType<Xml.Node>[]} children - A copy of the child nodes, of every type, for access by index. */
+    get children() { return [...this.#children]; }
+    /** @readonly @property {InstanceType<Xml.Node>|undefined} firstChild - The first child node, if any. */
+    get firstChild() { return this.#children[0]; }
+    /** @readonly @property {InstanceType<Xml.Node>|undefined} lastChild - The last child node, if any. */
+    get lastChild() { return this.#children[this.#children.length - 1]; }
+    /** @readonly @property {InstanceType<Xml.Node>|undefined} previousSibling - The child of the parent before this one, if any. */
+    get previousSibling() { return this.#sibling(-1); }
+    /** @readonly @property {InstanceType<Xml.Node>|undefined} nextSibling - The child of the parent after this one, if any. */
+    get nextSibling() { return this.#sibling(1); }
+    /** @type {number} - Where this node was last found among the children of its parent, checked before use. */
+    #position = 0;
+    /** @method #sibling - The child of the parent at an offset from this one, looked up from the last known position. @param {number} offset @returns {InstanceType<Xml.Node>|undefined} */
+    #sibling(offset) {
+      const siblings = this.#parent ? this.#parent.#children : [];
+      if (siblings[this.#position] !== this) { this.#position = siblings.indexOf(this); }
+      const sibling = this.#position < 0 ? Xml.#unset : siblings[this.#position + offset];
+      if (sibling) { sibling.#position = this.#position + offset; }
+      return sibling;
+    }
+    /**
+     * @property {string} textContent - The content of every Xml.Text and Xml.CData descendant, in document order.
+     * @note Setting replaces every child with a single Xml.Text, or none for empty text.
+     * @returns {string}
+     */
+    get textContent() {
+      return [...this.#descendants()].map(node => node instanceof Xml.Text || node instanceof Xml.CData ? node.textContent : '').join('');
+    }
+    set textContent(text) {
+      for (const child of this.#children) { child.#parent = Xml.#unset; }
+      this.#children = [];
+      if (`${text ?? ''}`) { this.add(Object.assign(new Xml.Text(), {content: text})); }
+    }
     /**
      * @method add - Adds a child XML node.
      * @param {InstanceType<Xml.Node>} item - The XML node to add.
      * @returns {InstanceType<Xml.Node>} - Xml.Node being added to.
      */
-    add(item) {
+    add(item) { return this.insertAt(item, this.#children.length); }
+    /**
+     * @method insertAt - Inserts a child XML node at an index, moving it from any current parent.
+     * @param {InstanceType<Xml.Node>} item - The XML node to insert.
+     * @param {number} index - The index the node will have, clamped to the children. Negative indexes count from the end.
+     * @returns {InstanceType<Xml.Node>} - Xml.Node being inserted into.
+     * @throws {Error} - If the node is this Xml.Node or one of its ancestors.
+     */
+    insertAt(item, index) {
       if (!(item instanceof Xml.Node)) { return this; }
+      for (let node = /** @type {InstanceType<Xml.Node>|undefined} */(this); node; node = node.#parent) {
+        if (node === item) { throw new Error('Cannot insert an Xml.Node into itself'); }
+      }
       if (item.#parent instanceof Xml.Node) { item.#parent.remove(item); }
+      if (index < 0) { index += this.#children.length + 1; }
+      index = Math.min(Math.max(0, Math.trunc(index) || 0), this.#children.length);
       item.#parent = this;
-      this.#children.push(item);
+      this.#children.splice(index, 0, item);
+      return this;
+    }
+    /**
+     * @method insertBefore - Inserts a child XML node before one of the children.
+     * @param {InstanceType<Xml.Node>} item - The XML node to insert.
+     * @param {InstanceType<Xml.Node>|null} [reference] - The child to insert before, or nothing to add at the end.
+     * @returns {InstanceType<Xml.Node>} - Xml.Node being inserted into.
+     * @throws {Error} - If the reference is not a child of this Xml.Node.
+     */
+    insertBefore(item, reference) {
+      if (!reference) { return this.add(item); }
+      if (reference.#parent !== this) { throw new Error('The reference is not a child of this Xml.Node'); }
+      if (item === reference) { return this; }
+      if (item instanceof Xml.Node && item.#parent === this) { this.remove(item); }
+      return this.insertAt(item, this.indexOf(reference));
+    }
+    /**
+     * @method prepend - Inserts a child XML node before the other children.
+     * @param {InstanceType<Xml.Node>} item - The XML node to insert.
+     * @returns {InstanceType<Xml.Node>} - Xml.Node being inserted into.
+     */
+    prepend(item) { return this.insertAt(item, 0); }
+    /**
+     * @method replaceWith - Replaces this Xml.Node in its parent with other nodes.
+     * @param {...InstanceType<Xml.Node>} items - The XML nodes to put in its place, none to just remove it.
+     * @returns {InstanceType<Xml.Node>} - This Xml.Node, now without a parent.
+     */
+    replaceWith(...items) {
+      const parent = this.#parent;
+      if (!parent) { return this; }
+      for (const item of items) { if (item !== this) { parent.insertBefore(item, this); } }
+      parent.remove(this);
       return this;
     }
+    /**
+     * @method indexOf - Finds the index of a child XML node.
+     * @param {InstanceType<Xml.Node>} item - The XML node to find.
+     * @returns {number} - The index of the child, or -1 when it is not a child.
+     */
+    indexOf(item) { return this.#children.indexOf(item); }
     /**
      * @method remove - Removes a child XML node.
      * @param {InstanceType<Xml.Node>} item - The XML node to remove.
@@ -143,8 +1174,117 @@ class Xml {
       this.#children = this.#children.filter(child => child !== item);
       return this;
     }
+    /**
+     * @method lookupNamespaceURI - Finds the namespace URI bound to a prefix in scope of this Xml.Node.
+     * @param {string|null} [prefix=''] - The prefix to look up, or empty for the default namespace.
+     * @returns {string|undefined} - The bound namespace URI, if any.
+     */
+    lookupNamespaceURI(prefix = '') {
+      prefix = prefix ?? '';
+      if (prefix === 'xml') { return Xml.#xmlNamespace; }
+      if (prefix === 'xmlns') { return Xml.#xmlnsNamespace; }
+      for (let node = /** @type {InstanceType<Xml.Node>|undefined} */(this); node; node = node.#parent) {
+        if (!(node instanceof Xml.Element)) { continue; }
+        const namespaces = node.namespaces;
+        if (Object.hasOwn(namespaces, prefix)) { return namespaces[prefix] || Xml.#unset; }
+      }
+      return Xml.#unset;
+    }
+    /**
+     * @method lookupPrefix - Finds a prefix bound to a namespace URI in scope of this Xml.Node.
+     * @param {string} namespaceURI - The namespace URI to look up.
+     * @returns {string|undefined} - The nearest prefix bound to the namespace URI, if any.
+     */
+    lookupPrefix(namespaceURI) {
+      if (!namespaceURI) { return Xml.#unset; }
+      if (namespaceURI === Xml.#xmlNamespace) { return 'xml'; }
+      for (let node = /** @type {InstanceType<Xml.Node>|undefined} */(this); node; node = node.#parent) {
+        if (!(node instanceof Xml.Element)) { continue; }
+        for (const [prefix, uri] of Object.entries(node.namespaces)) {
+          if (prefix && uri === namespaceURI && this.lookupNamespaceURI(prefix) === namespaceURI) { return prefix; }
+        }
+      }
+      return Xml.#unset;
+    }
+    /**
+     * @method matches - Checks if this Xml.Node is an Xml.Element matching a selector.
+     * @param {string|InstanceType<Xml.Selector>} selector - The selector to match.
+     * @param {Record<string, string>} [namespaces={}] - Namespace URIs for the prefixes used in "prefix|name" selectors.
+     * @returns {boolean} - Whether this Xml.Node matches the selector.
+     */
+    matches(selector, namespaces = {}) { return Xml.Selector.from(selector, namespaces).matches(this); }
+    /**
+     * @method closest - Finds the nearest Xml.Element, starting with this one and walking up its parents, matching a selector.
+     * @param {string|InstanceType<Xml.Selector>} selector - The selector to match.
+     * @param {Record<string, string>} [namespaces={}] - Namespace URIs for the prefixes used in "prefix|name" selectors.
+     * @returns {InstanceType<Xml.Element>|undefined} - The matching Xml.Element, if any.
+     */
+    closest(selector, namespaces = {}) {
+      const test = Xml.Selector.from(selector, namespaces);
+      for (let node = /** @type {InstanceType<Xml.Node>|undefined} */(this); node; node = node.#parent) {
+        if (test.matches(node)) { return /** @type {InstanceType<Xml.Element>} */(node); }
+      }
+      return Xml.#unset;
+    }
+    /**
+     * @method querySelector - Finds the first descendant Xml.Element, in document order, matching a selector.
+     * @param {string|InstanceType<Xml.Selector>} selector - The selector to match.
+     * @param {Record<string, string>} [namespaces={}] - Namespace URIs for the prefixes used in "prefix|name" selectors.
+     * @returns {InstanceType<Xml.Element>|undefined} - The matching Xml.Element, if any.
+     */
+    querySelector(selector, namespaces = {}) {
+      return Xml.Selector.from(selector, namespaces).find(this.#descendants());
+    }
+    /**
+     * @method querySelectorAll - Finds all descendant Xml.Elements, in document order, matching a selector.
+     * @param {string|InstanceType<Xml.Selector>} selector - The selector to match.
+     * @param {Record<string, string>} [namespaces={}] - Namespace URIs for the prefixes used in "prefix|name" selectors.
+     * @returns {InstanceType<Xml.Element>[]} - The matching Xml.Elements.
+     */
+    querySelectorAll(selector, namespaces = {}) {
+      return Xml.Selector.from(selector, namespaces).filter(this.#descendants());
+    }
+    /** @method #descendants - Iterates all descendants in document order without recursion. @returns {Generator<InstanceType<Xml.Node>>} */
+    *#descendants() {
+      const stack = [...this.#children].reverse();
+      while (stack.length) {
+        const node = /** @type {InstanceType<Xml.Node>} */(stack.pop());
+        yield node;
+        for (let i = node.#children.length - 1; i >= 0; i--) { stack.push(node.#children[i]); }
+      }
+    }
+    /**
+     * @method clone - Deeply copies this Xml.Node, without a parent or source.
+     * @returns {this} - The copy.
+     */
+    clone() {
+      const copy = /** @type {this} */(new /** @type {any} */(this.constructor)());
+      for (const child of this.#children) { copy.add(child.clone()); }
+      return copy;
+    }
+    /**
+     * @method normalize - Merges adjacent Xml.Text descendants and removes empty ones.
+     * @returns {InstanceType<Xml.Node>} - This Xml.Node.
+     */
+    normalize() {
+      for (const node of [this, ...this.#descendants()]) {
+        /** @type {InstanceType<Xml.Node>[]} */
+        const children = [];
+        for (const child of node.#children) {
+          const previous = children[children.length - 1];
+          if (!(child instanceof Xml.Text) || child.constructor !== Xml.Text) { children.push(child); continue; }
+          if (!child.content) { child.#parent = Xml.#unset; continue; }
+          if (!(previous instanceof Xml.Text) || previous.constructor !== Xml.Text) { children.push(child); continue; }
+          previous.content += child.content;
+          if (previous.#source && child.#source) { previous.#source = {start: previous.#source.start, end: child.#source.end}; }
+          child.#parent = Xml.#unset;
+        }
+        node.#children = children;
+      }
+      return this;
+    }
     /** @method toString @returns {string} */
-    toString() { return this.#children.map(c => c.toString()).join(''); }
+    toString() { return this.#children.map(c => Xml.#lossless(c)).join(''); }
   }
   static ContentNode =
   /**
@@ -157,6 +1297,11 @@ class Xml {
     /** @property {string} content - The content of this XML element. */
     get content() { return this.#content; }
     set content(content) { this.#content = `${content}`; }
+    /** @property {string} textContent - The content of this node. */
+    get textContent() { return this.#content; }
+    set textContent(text) { this.#content = `${text ?? ''}`; }
+    /** @inheritdoc */
+    clone() { return Object.assign(super.clone(), {content: this.#content}); }
     /** @method toString @returns {string} */
     toString() { return Xml.escape(this.content); }
   }
@@ -174,16 +1319,17 @@ class Xml {
      */
     class Parser extends Xml.Parser {
       /** @inheritdoc */
-      canParse(/** @type {string} */text) { return !text.startsWith('<'); }
+      canRead(/** @type {string} */source, /** @type {number} */offset) { return source[offset] !== '<'; }
       /** @inheritdoc */
-      parse(/** @type {string} */text, /** @type {InstanceType<Xml.Parser>[]} */parsers) {
-        const term = text.indexOf('<');
-        const content = term < 0 ? text : text.slice(0, term);
-        const remaining = term < 0 ? '' : text.slice(term);
+      read(/** @type {string} */source, /** @type {number} */offset, /** @type {InstanceType<Xml.Parser>[]} */parsers) {
+        const term = source.indexOf('<', offset);
+        const end = term < 0 ? source.length : term;
         const item = new Xml.Text();
-        item.content = content;
-        return /** @type {[InstanceType<Xml.Text>, string]} */ ([item, remaining]);
+        item.content = this.entities.expand(source.slice(offset, end), source.length - offset, this.strict);
+        return /** @type {[InstanceType<Xml.Text>, number]} */ ([item, end]);
       }
+      /** @inheritdoc @returns {[InstanceType<Xml.Text>, string]} */
+      parse(/** @type {string} */text, /** @type {InstanceType<Xml.Parser>[]} */parsers) { return /** @type {[InstanceType<Xml.Text>, string]} */(super.parse(text, parsers)); }
     }
   }
   static Comment =
@@ -202,16 +1348,22 @@ class Xml {
      */
     class Parser extends Xml.Parser {
       /** @inheritdoc */
-      canParse(/** @type {string} */text) { return text.startsWith('<!--'); }
+      canRead(/** @type {string} */source, /** @type {number} */offset) { return source.startsWith('<!--', offset); }
       /** @inheritdoc */
-      parse(/** @type {string} */text, /** @type {InstanceType<Xml.Parser>[]} */parsers) {
-        const end = (text = text.slice(4)).indexOf('-->');
-        const content = end < 0 ? text : text.slice(0, end);
-        const remaining = end < 0 ? '' : text.slice(end + 3);
+      read(/** @type {string} */source, /** @type {number} */offset, /** @type {InstanceType<Xml.Parser>[]} */parsers) {
+        const end = source.indexOf('-->', offset + 4);
+        if (this.strict && end < 0) { throw new Xml.SyntaxError('Comment is not terminated', 'unterminated-comment', source.length - offset); }
+        const content = source.slice(offset + 4, end < 0 ? source.length : end);
+        if (this.strict && (content.includes('--') || content.endsWith('-'))) {
+          const index = content.includes('--') ? content.indexOf('--') : content.length - 1;
+          throw new Xml.SyntaxError('Comment must not contain "--"', 'invalid-comment', source.length - offset - 4 - index);
+        }
         const item = new Xml.Comment();
         item.content = Xml.unescape(content);
-        return /** @type {[InstanceType<Xml.Comment>, string]} */ ([item, remaining]);
+        return /** @type {[InstanceType<Xml.Comment>, number]} */ ([item, end < 0 ? source.length : end + 3]);
       }
+      /** @inheritdoc @returns {[InstanceType<Xml.Comment>, string]} */
+      parse(/** @type {string} */text, /** @type {InstanceType<Xml.Parser>[]} */parsers) { return /** @type {[InstanceType<Xml.Comment>, string]} */(super.parse(text, parsers)); }
     }
   }
   static CData =
@@ -230,16 +1382,17 @@ class Xml {
      */
     class Parser extends Xml.Parser {
       /** @inheritdoc */
-      canParse(/** @type {string} */text) { return text.startsWith('<![CDATA['); }
+      canRead(/** @type {string} */source, /** @type {number} */offset) { return source.startsWith('<![CDATA[', offset); }
       /** @inheritdoc */
-      parse(/** @type {string} */text, /** @type {InstanceType<Xml.Parser>[]} */parsers) {
-        const end = text.indexOf(']]>');
-        const content = end < 0 ? text : text.slice(9, end);
-        const remaining = end < 0 ? '' : text.slice(end + 3);
+      read(/** @type {string} */source, /** @type {number} */offset, /** @type {InstanceType<Xml.Parser>[]} */parsers) {
+        const end = source.indexOf(']]>', offset);
+        if (this.strict && end < 0) { throw new Xml.SyntaxError('CDATA section is not terminated', 'unterminated-cdata', source.length - offset); }
         const item = new Xml.CData();
-        item.content = content;
-        return /** @type {[InstanceType<Xml.CData>, string]} */ ([item, remaining]);
+        item.content = end < 0 ? source.slice(offset) : source.slice(offset + 9, end);
+        return /** @type {[InstanceType<Xml.CData>, number]} */ ([item, end < 0 ? source.length : end + 3]);
       }
+      /** @inheritdoc @returns {[InstanceType<Xml.CData>, string]} */
+      parse(/** @type {string} */text, /** @type {InstanceType<Xml.Parser>[]} */parsers) { return /** @type {[InstanceType<Xml.CData>, string]} */(super.parse(text, parsers)); }
     }
   }
   static Element = 
@@ -262,60 +1415,383 @@ class Xml {
     });
     /** @property {Object<string, string>} attributes - The attributes of this XML element.*/
     get attributes() { return this.#attributes; } 
-    toString() {
-      const open = `<${this.#type} `;
-      const attr = Object.entries(this.#attributes)
-        .map(([k, v]) => `${k}="${Xml.escapeValue(v)}"`)
-        .join(' ');
-      const close = this.length > 0
-        ? `>${super.toString()}</${this.#type}>`
-        : '/>';
-      return `${open}${attr}${close}`;
-    }
-    static Parser = 
+    /** @type {Map<string, string>} */
+    #bindings = new Map();
+    /** @readonly @property {string} prefix - The namespace prefix of this element's type, or empty. */
+    get prefix() { return Xml.#prefix(this.#type); }
+    /** @readonly @property {string} localName - This element's type without its namespace prefix. */
+    get localName() { return Xml.#localName(this.#type); }
     /**
-     * @class Xml.Element.Parser - A parser for XML elements.
-     * @extends Xml.Parser
+     * @property {string|undefined} namespaceURI - The namespace URI this element's prefix is bound to.
+     * @note Setting a namespace that is not already in scope will be declared when serialized.
+     */
+    get namespaceURI() { return this.lookupNamespaceURI(this.prefix); }
+    set namespaceURI(uri) { this.#bind(this.prefix, `${uri ?? ''}`); }
+    /** @readonly @property {Record<string, string>} namespaces - The namespaces declared on this element, by xmlns attributes or programmatically, keyed by prefix ('' for the default). */
+    get namespaces() {
+      const namespaces = Object.fromEntries(this.#bindings);
+      for (const [name, value] of Object.entries(this.#attributes)) {
+        if (name === 'xmlns') { namespaces[''] = value; }
+        else if (name.startsWith('xmlns:')) { namespaces[name.slice(6)] = value; }
+      }
+      return namespaces;
+    }
+    /**
+     * @method getAttributeNS - Gets an attribute value by namespace URI and local name.
+     * @param {string|null|undefined} namespaceURI - The namespace URI of the attribute, or empty for none.
+     * @param {string} localName - The local name of the attribute.
+     * @returns {string|undefined} - The attribute value, if any.
+     */
+    getAttributeNS(namespaceURI, localName) {
+      const name = this.#findAttributeNS(namespaceURI, localName);
+      return name === Xml.#unset ? Xml.#unset : this.#attributes[name];
+    }
+    /**
+     * @method setAttributeNS - Sets an attribute by namespace URI, declaring the namespace when serialized if needed.
+     * @param {string|null|undefined} namespaceURI - The namespace URI of the attribute, or empty for none.
+     * @param {string} name - The qualified or local name of the attribute.
+     * @param {string} value - The attribute value.
+     * @returns {InstanceType<Xml.Element>} - This Xml.Element.
+     */
+    setAttributeNS(namespaceURI, name, value) {
+      let [prefix, localName] = [Xml.#prefix(Xml.validateName(name)), Xml.#localName(name)];
+      const existing = this.#findAttributeNS(namespaceURI, localName);
+      if (existing !== Xml.#unset) { delete this.#attributes[existing]; }
+      if (namespaceURI && !prefix) {
+        prefix = this.lookupPrefix(namespaceURI) ?? '';
+        for (let i = 0; !prefix; i++) { if (this.lookupNamespaceURI(`ns${i}`) === Xml.#unset) { prefix = `ns${i}`; } }
+      }
+      if (namespaceURI && this.lookupNamespaceURI(prefix) !== namespaceURI) { this.#bind(prefix, namespaceURI); }
+      this.#attributes[namespaceURI ? `${prefix}:${localName}` : localName] = value;
+      return this;
+    }
+    /** @method #findAttributeNS @param {string|null|undefined} namespaceURI @param {string} localName @returns {string|undefined} */
+    #findAttributeNS(namespaceURI, localName) {
+      return Object.keys(this.#attributes).find(name => Xml.#localName(name) === localName
+        && Xml.Attribute.of(this, name).namespaceURI === (namespaceURI || Xml.#unset));
+    }
+    /** @method #bind - Binds a prefix on this element, updating an existing xmlns attribute if there is one. @param {string} prefix @param {string} uri */
+    #bind(prefix, uri) {
+      const attribute = prefix ? `xmlns:${prefix}` : 'xmlns';
+      if (Object.hasOwn(this.#attributes, attribute)) { this.#attributes[attribute] = uri; }
+      else { this.#bindings.set(prefix, uri); }
+    }
+    /** @inheritdoc */
+    clone() {
+      const copy = super.clone();
+      copy.#type = this.#type;
+      Object.assign(copy.#attributes, this.#attributes);
+      copy.#bindings = new Map(this.#bindings);
+      return copy;
+    }
+    /**
+     * @method toString
+     * @note When parsed losslessly, the original tags are kept while the type, attributes and namespaces are unchanged.
+     * @returns {string}
+     */
+    toString() {
+      const tag = this.#openTag();
+      const original = Xml.#originals.get(this);
+      const kept = original?.type === this.#type ? original.close : Xml.#unset;
+      if (original?.check === tag && !(this.length && kept === '' && original.text.endsWith('/>'))) { return `${original.text}${super.toString()}${kept}`; }
+      const close = this.length > 0
+        ? `>${super.toString()}${kept || `</${this.#type}>`}`
+        : '/>';
+      return `${tag}${close}`;
+    }
+    /** @method #openTag - Renders the opening tag up to its closing bracket. @returns {string} */
+    #openTag() {
+      const open = `<${this.#type} `;
+      const declarations = [...this.#bindings]
+        .filter(([prefix, uri]) => (this.parent?.lookupNamespaceURI(prefix) ?? '') !== uri)
+        .map(([prefix, uri]) => [prefix ? `xmlns:${prefix}` : 'xmlns', uri]);
+      const attr = [...declarations, ...Object.entries(this.#attributes)]
+        .map(([k, v]) => `${k}="${Xml.escapeValue(v)}"`)
+        .join(' ');
+      return `${open}${attr}`;
+    }
+    /** @method #keep - Records the original opening tag of an element parsed losslessly. @param {string} text */
+    #keep(text) { Xml.#originals.set(this, {text, check: this.#openTag(), type: this.#type, close: ''}); }
+    static Parser = 
+    /**
+     * @class Xml.Element.Parser - A parser for XML elements.
+     * @extends Xml.Parser
      */
     class Parser extends Xml.Parser {
-      static #nameParser = new RegExp(`^${Xml.#namePattern}`);
-      static #valueParser = /^=\s*("([^"]*)"|'([^']*)')/;
-      static #closeParser = new RegExp(`^<\\s*\\/\\s*(${Xml.#namePattern})\\s*>`);
+      static #nameParser = new RegExp(Xml.#namePattern, 'y');
+      static #valueParser = /=\s*("([^"]*)"|'([^']*)')/y;
+      static #closeParser = new RegExp(`<\\s*\\/\\s*(${Xml.#namePattern})\\s*>`, 'y');
+      static #tagCloser = /\/?\s*>/y;
       /** @inheritdoc */
-      canParse(/** @type {string} */text) { return /^<\w/.test(text); }
+      canRead(/** @type {string} */source, /** @type {number} */offset) { return source[offset] === '<' && /\w/.test(source[offset + 1] ?? ''); }
+      /**
+       * @inheritdoc
+       * @note Nested elements are read with an explicit stack rather than recursion, so any depth of nesting can be read.
+       * @returns {[InstanceType<Xml.Element>, number]}
+       */
+      read(/** @type {string} */source, /** @type {number} */offset, /** @type {InstanceType<Xml.Parser>[]} */parsers) {
+        const [node, end, closed] = this.readOpen(source, offset);
+        return [node, closed ? end : this.readContent(node, source, end, parsers)];
+      }
+      /**
+       * @method readContent - Reads the content of an open node up to and including its closing tag, nesting elements with an explicit stack.
+       * @note Elements whose parser overrides read or parse are read whole by that parser.
+       * @param {InstanceType<Xml.Node>} root - The open node, an element or a document.
+       * @param {string} source - The source being parsed.
+       * @param {number} offset - The offset following the opening tag.
+       * @param {InstanceType<Xml.Parser>[]} parsers - The set of parsers used in this session.
+       * @returns {number} - The offset following the content, which is before any tag that implicitly closes the root.
+       */
+      readContent(root, source, offset, parsers) {
+        /** @type {{parser: Parser, offset: number}[]} */
+        const open = [{parser: this, offset}];
+        const nodes = [root];
+        /** @type {(end: number) => void} */
+        const close = end => {
+          const {parser, offset} = /** @type {typeof open[number]} */(open.pop());
+          const node = /** @type {InstanceType<Xml.Node>} */(nodes.pop());
+          if (!open.length) { return; }
+          const start = parser.locate(source.length - offset);
+          if (start) { node.source = {start, end: /** @type {SourcePosition} */(parser.locate(source.length - end))}; }
+          nodes[nodes.length - 1].add(node);
+        };
+        let position = offset;
+        while (open.length) {
+          const {parser: owner, offset} = open[open.length - 1];
+          const node = /** @type {InstanceType<Xml.Element>} */(nodes[nodes.length - 1]);
+          if (position >= source.length) {
+            if (this.strict) { throw new Xml.SyntaxError(`Element ${node.type} is not closed`, 'unclosed-element', source.length - offset); }
+            while (open.length) { close(position); }
+            break;
+          }
+          if (Xml.#sticky(Xml.#closingTag, source, position)) {
+            const [name, end] = owner.readClose(source, position);
+            if (owner.strict && name !== node.type) {
+              throw new Xml.SyntaxError(`Closing tag ${name || '?'} does not match element ${node.type}`, 'mismatched-tag', source.length - position);
+            }
+            if (end === position) { while (open.length) { close(position); } break; }
+            const count = owner.closes(nodes, name);
+            const original = owner.lossless && count > 0 ? Xml.#originals.get(nodes[Math.max(0, nodes.length - count)]) : Xml.#unset;
+            if (original) { original.close = source.slice(position, end); }
+            for (let remaining = count; remaining > 0 && open.length; remaining--) { close(end); }
+            position = end;
+            continue;
+          }
+          const parser = Xml.#find(parsers, source, position);
+          if (!parser) { throw new Xml.SyntaxError('No Parser Found', 'no-parser', source.length - position); }
+          if (parser instanceof Element.Parser && parser.read === Element.Parser.prototype.read && !Xml.#overrides(parser).parse) {
+            const [child, end, closed] = parser.readOpen(source, position);
+            for (let count = parser.implies(nodes, child); count > 0 && open.length; count--) { close(position); }
+            if (!open.length) { break; }
+            open.push({parser, offset: position});
+            nodes.push(child);
+            if (closed) { close(end); }
+            position = end;
+            continue;
+          }
+          const [child, end] = Xml.#read(parser, source, position, parsers);
+          node.add(child);
+          position = end;
+        }
+        return position;
+      }
+      /**
+       * @method implies - Counts the open elements implicitly closed by an opening tag, such as an open <li> by another <li> in HTML.
+       * @param {InstanceType<Xml.Node>[]} nodes - The open nodes, innermost last.
+       * @param {InstanceType<Xml.Element>} element - The element being opened.
+       * @returns {number} - The number of innermost open nodes to close, none in XML.
+       */
+      implies(nodes, element) { return 0; }
+      /**
+       * @method closes - Counts the open elements closed by a closing tag.
+       * @param {InstanceType<Xml.Node>[]} nodes - The open nodes, innermost last.
+       * @param {string} name - The name of the closing tag.
+       * @returns {number} - The number of innermost open nodes to close, the innermost one in XML.
+       */
+      closes(nodes, name) { return 1; }
+      /** @inheritdoc @returns {[InstanceType<Xml.Element>, string]} */
+      parse(/** @type {string} */text, /** @type {InstanceType<Xml.Parser>[]} */parsers) { return /** @type {[InstanceType<Xml.Element>, string]} */(super.parse(text, parsers)); }
+      /**
+       * @method readOpen - Reads only the opening tag of an element.
+       * @param {string} source - The source being parsed.
+       * @param {number} offset - The offset of the tag.
+       * @returns {[InstanceType<Xml.Element>, number, boolean]} - The Xml.Element without children, the offset following the tag and whether the tag was self-closing.
+       */
+      readOpen(source, offset) {
+        if (source[offset] !== '<') { throw new Xml.SyntaxError('Element must start with <', 'element-start', source.length - offset); }
+        let position = offset + 1;
+        const node = new Xml.Element();
+        node.type = Xml.#sticky(Element.Parser.#nameParser, source, position)?.[0] ?? '';
+        if (this.strict && !Xml.#strictName.test(node.type)) { throw new Xml.SyntaxError(`Invalid element name ${node.type}`, 'invalid-name', source.length - position); }
+        position += node.type.length;
+        while ((position = Xml.#skip(source, position)) < source.length) {
+          if (Xml.#sticky(Element.Parser.#tagCloser, source, position)) { break; }
+          const name = Xml.#sticky(Element.Parser.#nameParser, source, position)?.[0];
+          if (!name) { throw new Xml.SyntaxError(`Invalid attribute name in element ${node.type}`, 'attribute-name', source.length - position); }
+          const start = this.locate(source.length - position);
+          if (this.strict) { Element.Parser.#checkAttribute(node, name, source, position); }
+          position = Xml.#skip(source, position + name.length);
+          const value = Xml.#sticky(Element.Parser.#valueParser, source, position);
+          node.attributes[name] = value ? this.entities.expand(value[1].slice(1, -1), source.length - position, this.strict) : `${name}`;
+          position += value ? value[0].length : 0;
+          const end = this.locate(source.length - position);
+          if (start && end) { Xml.Attribute.of(node, name).source = {start, end}; }
+        }
+        const closer = Xml.#sticky(Element.Parser.#tagCloser, source, position)?.[0];
+        if (!closer) { throw new Xml.SyntaxError(`Element ${node.type} not closed properly`, 'unclosed-tag', source.length - position); }
+        if (this.lossless) { node.#keep(source.slice(offset, position + closer.length)); }
+        return [node, position + closer.length, closer.includes('/')];
+      }
+      /**
+       * @method parseOpen - Parses only the opening tag of an element.
+       * @param {string} text - The text to parse.
+       * @returns {[InstanceType<Xml.Element>, string, boolean]} - The Xml.Element without children, the remaining text and whether the tag was self-closing.
+       */
+      parseOpen(text) {
+        const [node, end, closed] = this.readOpen(text, 0);
+        return [node, text.slice(end), closed];
+      }
+      /**
+       * @method #checkAttribute - Enforces the well-formedness of an attribute in strict mode.
+       * @param {InstanceType<Xml.Element>} node - The element being parsed.
+       * @param {string} name - The attribute name.
+       * @param {string} source - The source being parsed.
+       * @param {number} offset - The offset of the attribute.
+       */
+      static #checkAttribute(node, name, source, offset) {
+        const remaining = source.length - offset;
+        if (!Xml.#strictName.test(name)) { throw new Xml.SyntaxError(`Invalid attribute name ${name}`, 'invalid-name', remaining); }
+        if (Object.hasOwn(node.attributes, name)) { throw new Xml.SyntaxError(`Duplicate attribute ${name} in element ${node.type}`, 'duplicate-attribute', remaining); }
+        const value = Xml.#sticky(Element.Parser.#valueParser, source, Xml.#skip(source, offset + name.length));
+        if (!value) { throw new Xml.SyntaxError(`Attribute ${name} must have a quoted value`, 'missing-attribute-value', remaining); }
+        if (value[1].includes('<')) { throw new Xml.SyntaxError(`Attribute ${name} must not contain <`, 'invalid-attribute-value', remaining); }
+      }
+      /**
+       * @method readClose - Reads a closing tag.
+       * @param {string} source - The source being parsed.
+       * @param {number} offset - The offset of the tag.
+       * @returns {[string, number]} - The name of the closing tag (empty if there is none) and the offset following it (unchanged if there is none).
+       */
+      readClose(source, offset) {
+        const match = Xml.#sticky(Element.Parser.#closeParser, source, offset);
+        return [match?.[1] ?? '', match ? offset + match[0].length : offset];
+      }
+      /**
+       * @method parseClose - Parses a closing tag.
+       * @param {string} text - The text to parse.
+       * @returns {[string, string]} - The name of the closing tag (empty if there is none) and the remaining text.
+       */
+      parseClose(text) {
+        const [name, end] = this.readClose(text, 0);
+        return [name, text.slice(end)];
+      }
+    }
+    static HTMLParser =
+    /**
+     * @class Xml.Element.HTMLParser - A lenient parser for HTML elements, used by Xml.parseHTML.
+     * @note Tag names match case-insensitively, void elements such as <br> have no content, attribute values may be unquoted or missing,
+     *       the content of raw text elements such as <script> is text, and elements such as <p>, <li> and <td> are closed implicitly.
+     * @extends Xml.Element.Parser
+     */
+    class HTMLParser extends Element.Parser {
+      static #tagParser = /[A-Za-z][\w.\-:]*/y;
+      static #nameParser = /[^\s"'>\/=]+/y;
+      static #valueParser = /\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/y;
+      static #closeParser = /<\s*\/\s*([A-Za-z][\w.\-:]*)[^>]*>/y;
+      static #tagCloser = /\/?\s*>/y;
+      /** @type {Record<string, [string[], string[]]>} - The open elements closed by an opening tag, and the open elements that stop the search for them. */
+      static #implied = (() => {
+        const scope = ['applet', 'button', 'caption', 'html', 'marquee', 'object', 'table', 'td', 'template', 'th'];
+        const blocks = ['address', 'article', 'aside', 'blockquote', 'details', 'dialog', 'div', 'dl', 'fieldset', 'figcaption', 'figure', 'footer',
+          'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'hr', 'main', 'menu', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'];
+        return /** @type {Record<string, [string[], string[]]>} */({
+          ...Object.fromEntries(blocks.map(name => [name, [['p'], scope]])),
+          li: [['li'], ['ol', 'ul', ...scope]],
+          dt: [['dd', 'dt'], ['dl', ...scope]],
+          dd: [['dd', 'dt'], ['dl', ...scope]],
+          td: [['td', 'th'], ['table', 'tr']],
+          th: [['td', 'th'], ['table', 'tr']],
+          tr: [['tr'], ['table', 'tbody', 'tfoot', 'thead']],
+          tbody: [['tbody', 'tfoot', 'thead'], ['table']],
+          tfoot: [['tbody', 'tfoot', 'thead'], ['table']],
+          thead: [['tbody', 'tfoot', 'thead'], ['table']],
+          option: [['option'], ['datalist', 'optgroup', 'select']],
+          optgroup: [['optgroup', 'option'], ['datalist', 'select']],
+        });
+      })();
       /** @inheritdoc */
-      parse(/** @type {string} */text, /** @type {InstanceType<Xml.Parser>[]} */parsers) {
-        if (!text.startsWith('<')) { throw new Error(`Element must start with <: -${text.length}`); }
-        let remaining = text.slice(1);
+      canRead(/** @type {string} */source, /** @type {number} */offset) { return source[offset] === '<' && /[A-Za-z]/.test(source[offset + 1] ?? ''); }
+      /**
+       * @inheritdoc
+       * @note Void elements and raw text elements are read whole, so they are returned as self-closing.
+       * @returns {[InstanceType<Xml.Element>, number, boolean]}
+       */
+      readOpen(/** @type {string} */source, /** @type {number} */offset) {
+        const type = Xml.#sticky(HTMLParser.#tagParser, source, offset + 1)?.[0];
+        if (source[offset] !== '<' || !type) { throw new Xml.SyntaxError('Element must start with <', 'element-start', source.length - offset); }
         const node = new Xml.Element();
-        node.type = Element.Parser.#nameParser.exec(remaining)?.[0] ?? '';
-        remaining = remaining.slice(node.type.length);
-        while ((remaining = remaining.trimStart()).length) {
-          if (/^\/?\s*>/.test(remaining)) { break; }
-          const name = Element.Parser.#nameParser.exec(remaining)?.[0];
-          if (!name) { throw new Error(`Invalid attribute name in element ${node.type}: -${remaining.length}`); }
-          remaining = remaining.slice(name.length).trimStart();
-          const value = Element.Parser.#valueParser.exec(remaining);
-          node.attributes[name] = value ? Xml.unescape(value[1].slice(1, -1)) : `${name}`;
-          remaining = remaining.slice(value ? value[0].length : 0);
-        }
-        const closer = (/^\/?\s*>/.exec(remaining)?.[0]);
-        if (!closer) { throw new Error(`Element ${node.type} not closed properly: -${remaining.length}`); }
-        remaining = remaining.slice(closer.length);
-        if (!closer.includes('/')) {
-          while (remaining.length) {
-            if (/^<\s*\//.test(remaining)) { break; }
-            const parser = parsers.find(parser => parser.canParse(remaining));
-            if (!parser) { throw new Error(`No Parser Found: -${remaining.length}`); }
-            const [child, next] = parser.parse(remaining, parsers);
-            node.add(child);
-            if (next === remaining) { throw new Error(`${parser.constructor.name} did not consume content: -${remaining.length}`); }
-            remaining = next;
-          }
-          const closingTag = Element.Parser.#closeParser.exec(remaining)?.[0] ?? '';
-          remaining = remaining.slice(closingTag.length);
+        node.type = type;
+        let position = offset + 1 + type.length;
+        while ((position = Xml.#skip(source, position)) < source.length && !Xml.#sticky(HTMLParser.#tagCloser, source, position)) {
+          const name = Xml.#sticky(HTMLParser.#nameParser, source, position)?.[0];
+          if (!name) { position++; continue; }
+          const start = this.locate(source.length - position);
+          const value = Xml.#sticky(HTMLParser.#valueParser, source, position += name.length);
+          const raw = value ? value[1] ?? value[2] ?? value[3] : '';
+          if (!Object.hasOwn(node.attributes, name)) { node.attributes[name] = this.entities.expand(raw, source.length - position); }
+          position += value ? value[0].length : 0;
+          const end = this.locate(source.length - position);
+          if (start && end) { Xml.Attribute.of(node, name).source = {start, end}; }
+        }
+        const closer = Xml.#sticky(HTMLParser.#tagCloser, source, position)?.[0];
+        if (!closer) { throw new Xml.SyntaxError(`Element ${node.type} not closed properly`, 'unclosed-tag', source.length - position); }
+        position += closer.length;
+        if (this.lossless) { node.#keep(source.slice(offset, position)); }
+        const name = type.toLowerCase();
+        if (closer.includes('/') || Xml.#voidElements.has(name)) { return [node, position, true]; }
+        if (!Object.hasOwn(Xml.#rawTextElements, name)) { return [node, position, false]; }
+        const match = Xml.#sticky(new RegExp(`[^]*?(?=<\\/${name}[\\s/>]|$)`, 'iy'), source, position);
+        const end = position + /** @type {RegExpExecArray} */(match)[0].length;
+        if (end > position) {
+          const text = new Xml.Text();
+          text.content = Xml.#rawTextElements[name] ? this.entities.expand(source.slice(position, end), source.length - position) : source.slice(position, end);
+          const start = this.locate(source.length - position);
+          if (start) { text.source = {start, end: /** @type {SourcePosition} */(this.locate(source.length - end))}; }
+          if (this.lossless) { Xml.#originals.set(text, {text: source.slice(position, end), check: text.toString()}); }
+          node.add(text);
+        }
+        const close = source.indexOf('>', end);
+        const original = this.lossless ? Xml.#originals.get(node) : Xml.#unset;
+        if (original) { original.close = source.slice(end, close < 0 ? source.length : close + 1); }
+        return [node, close < 0 ? source.length : close + 1, true];
+      }
+      /** @inheritdoc */
+      readClose(/** @type {string} */source, /** @type {number} */offset) {
+        const match = Xml.#sticky(HTMLParser.#closeParser, source, offset);
+        return /** @type {[string, number]} */([match?.[1] ?? '', match ? offset + match[0].length : offset]);
+      }
+      /** @inheritdoc */
+      implies(/** @type {InstanceType<Xml.Node>[]} */nodes, /** @type {InstanceType<Xml.Element>} */element) {
+        const [targets, boundaries] = HTMLParser.#implied[element.type.toLowerCase()] ?? [[], []];
+        for (let i = nodes.length - 1; i >= 0; i--) {
+          const node = nodes[i];
+          const name = node instanceof Xml.Element ? node.type.toLowerCase() : '';
+          if (targets.includes(name)) { return nodes.length - i; }
+          if (!name || boundaries.includes(name)) { return 0; }
+        }
+        return 0;
+      }
+      /**
+       * @inheritdoc
+       * @note Closes any elements within the matching open element, and ignores closing tags without one.
+       */
+      closes(/** @type {InstanceType<Xml.Node>[]} */nodes, /** @type {string} */name) {
+        name = name.toLowerCase();
+        for (let i = nodes.length - 1; i >= 0; i--) {
+          const node = nodes[i];
+          if (node instanceof Xml.Element && node.type.toLowerCase() === name) { return nodes.length - i; }
         }
-        return /** @type {[InstanceType<Xml.Element>, string]} */ ([node, remaining]);
+        return 0;
       }
     }
   }
@@ -339,6 +1815,13 @@ class Xml {
     });
     /** @property {Record<string, string>} pairs - The key-value pairs of the declaration */
     get pairs() { return this.#pairs; } 
+    /** @inheritdoc */
+    clone() {
+      const copy = super.clone();
+      copy.#type = this.#type;
+      Object.assign(copy.#pairs, this.#pairs);
+      return copy;
+    }
     toString() {
       return `<?${this.type} ${Object.entries(this.#pairs).map(([k,v]) => `${k}="${Xml.escapeValue(v)}"`).join(' ')}?>`;
     }
@@ -351,27 +1834,78 @@ class Xml {
       /** @type {RegExp} */
       static #typeParser = new RegExp(`^${Xml.#namePattern}`);
       /** @inheritdoc */
-      canParse(/** @type {string} */text) { return text.startsWith('<?'); }
+      canRead(/** @type {string} */source, /** @type {number} */offset) { return source.startsWith('<?', offset); }
       /** @inheritdoc */
-      parse(/** @type {string} */text, /** @type {InstanceType<Xml.Parser>[]} */parsers) {
-        const end = (text = text.slice(2)).indexOf('?>');
-        const content = end < 0 ? text : text.slice(0, end).trim();
-        const remaining = end < 0 ? '' : text.slice(end + 2);
+      read(/** @type {string} */source, /** @type {number} */offset, /** @type {InstanceType<Xml.Parser>[]} */parsers) {
+        const end = source.indexOf('?>', offset + 2);
+        if (this.strict && end < 0) { throw new Xml.SyntaxError('Declaration is not terminated', 'unterminated-declaration', source.length - offset); }
+        const content = end < 0 ? source.slice(offset + 2) : source.slice(offset + 2, end).trim();
         const item = new Declaration();
         item.type = Declaration.Parser.#typeParser.exec(content)?.[0] ?? 'declaration';
         const pairsContent = content.slice(item.type.length).trim();
-        const pairs = pairsContent.matchAll(/(\S+)\s*=\s*"([^"]*)"/g) || [];
-        for (const [_, key, value] of pairs) {
-          item.pairs[key] = Xml.unescape(value);
+        const pairs = pairsContent.matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g) || [];
+        for (const [_, key, double, single] of pairs) {
+          item.pairs[key] = Xml.unescape(double ?? single);
         }
-        return /** @type {[InstanceType<Xml.Node>, string]} */ ([item, remaining]);
+        return /** @type {[InstanceType<Xml.Node>, number]} */ ([item, end < 0 ? source.length : end + 2]);
+      }
+    }
+  }
+  static ProcessingInstruction =
+  /**
+   * @class Xml.ProcessingInstruction - Represents a processing instruction, such as <?xml-stylesheet href="a.xsl"?>.
+   * @extends Xml.Node
+   */
+  class ProcessingInstruction extends Xml.Node {
+    /** @type {string} */
+    #target = 'target';
+    /** @property {string} target - The application the instruction is for. */
+    get target() { return this.#target; }
+    set target(target) { this.#target = Xml.validateName(target); }
+    /** @type {string} */
+    #data = '';
+    /** @property {string} data - The instruction, as written. */
+    get data() { return this.#data; }
+    set data(data) {
+      if (`${data}`.includes('?>')) { throw new Error('Processing instruction data cannot contain ?>'); }
+      this.#data = `${data}`;
+    }
+    /** @inheritdoc */
+    clone() { return Object.assign(super.clone(), {target: this.#target, data: this.#data}); }
+    toString() { return `<?${this.#target}${this.#data ? ` ${this.#data}` : ''}?>`; }
+    static Parser =
+    /**
+     * @class Xml.ProcessingInstruction.Parser - A parser for processing instructions, other than the XML declaration.
+     * @extends Xml.Parser
+     */
+    class Parser extends Xml.Parser {
+      /** @type {RegExp} */
+      static #targetParser = new RegExp(`^${Xml.#namePattern}`);
+      /** @inheritdoc */
+      canRead(/** @type {string} */source, /** @type {number} */offset) {
+        return source.startsWith('<?', offset) && !Xml.#sticky(/<\?xml(?:\s|\?|$)/iy, source, offset);
       }
+      /** @inheritdoc */
+      read(/** @type {string} */source, /** @type {number} */offset, /** @type {InstanceType<Xml.Parser>[]} */parsers) {
+        const end = source.indexOf('?>', offset + 2);
+        if (this.strict && end < 0) { throw new Xml.SyntaxError('Processing instruction is not terminated', 'unterminated-pi', source.length - offset); }
+        const content = source.slice(offset + 2, end < 0 ? source.length : end);
+        const target = ProcessingInstruction.Parser.#targetParser.exec(content)?.[0];
+        if (!target) { throw new Xml.SyntaxError('Invalid processing instruction target', 'invalid-name', source.length - offset - 2); }
+        const item = new ProcessingInstruction();
+        item.target = target;
+        item.data = content.slice(target.length).trimStart();
+        return /** @type {[InstanceType<Xml.ProcessingInstruction>, number]} */([item, end < 0 ? source.length : end + 2]);
+      }
+      /** @inheritdoc @returns {[InstanceType<Xml.ProcessingInstruction>, string]} */
+      parse(/** @type {string} */text, /** @type {InstanceType<Xml.Parser>[]} */parsers) { return /** @type {[InstanceType<Xml.ProcessingInstruction>, string]} */(super.parse(text, parsers)); }
     }
   }
   static Metadata = 
   /**
    * @class Xml.Metadata
-   * @description A common type for metadata in XML, such as DOCTYPE, ENTITY, and NOTATION.
+   * @description A common type for metadata in XML, such as ENTITY, ELEMENT, ATTLIST and NOTATION.
+   *              Without an Xml.DocumentType.Parser, DOCTYPE is parsed as metadata with its internal subset declarations as children.
    */
   class Metadata extends Xml.Node {
     /** @type {string} */
@@ -382,54 +1916,2309 @@ class Xml {
     /** @type {string[]} */
     #names = new Proxy([], {
       set(/** @type {any} */t, /** @type {string} */k, /** @type {any} */v) {
+        if (k === 'length') { t.length = v; return true; }
         if (isNaN(Number(k))) { return false; }
-        if (isNaN(Number(k))) { t[k] = `${Xml.validateName(v)}`; }
+        if (!/^[^\s"'<>]+$/.test(v)) { throw new Error(`Unparsable name: ${v}`); }
+        t[k] = `${v}`;
         return true;
       }
     });
+    /** @property {string[]} names - The unquoted tokens of the declaration, e.g. the entity name. */
     get names() { return this.#names; } 
     /** @type {string[]} */
     #values = new Proxy([], {
       set(/** @type {any} */t, /** @type {string} */k, /** @type {any} */v) {
+        if (k === 'length') { t.length = v; return true; }
         if (isNaN(Number(k))) { return false; }
         t[k] = `${v}`;
         return true;
       }
     });
+    /** @property {string[]} values - The quoted literals of the declaration, as written, e.g. an entity value. */
     get values() { return this.#values; }
+    /** @type {boolean[]} - Whether each parsed token was a value rather than a name. */
+    #order = [];
+    /** @readonly @property {string[]} tokens - The names and quoted values, in the order they were parsed, then any added since. */
+    get tokens() {
+      const [names, values] = [[...this.#names], this.#values.map(Metadata.#quote)];
+      const tokens = this.#order.map(value => (value ? values : names).shift()).filter(token => token !== Xml.#unset);
+      return /** @type {string[]} */([...tokens, ...names, ...values]);
+    }
+    /** @method #quote - Quotes a value, with apostrophes when it contains quotes. @param {string} value @returns {string} */
+    static #quote(value) { return value.includes('"') ? `'${value}'` : `"${value}"`; }
+    /** @inheritdoc */
+    clone() {
+      const copy = super.clone();
+      copy.#type = this.#type;
+      copy.#names.push(...this.#names);
+      copy.#values.push(...this.#values);
+      copy.#order = [...this.#order];
+      return copy;
+    }
     toString() {
-      let result = `<!${this.type}`;
-      for (const name of this.#names) { result += ` ${name}`; }
-      for (const value of this.#values) { result += ` "${Xml.escapeValue(value)}"`; }
-      return `${result}>`;
+      const subset = this.length ? ` [${super.toString()}]` : '';
+      return `<!${this.type}${this.tokens.map(token => ` ${token}`).join('')}${subset}>`;
     }
     static Parser =
     /**
      * @class Xml.Metadata.Parser - A parser for XML metadata declarations.
+     * @note ENTITY declarations of internal general entities are added to the entities of the parser.
      * @extends Xml.Parser
      */
     class Parser extends Xml.Parser {
       /** @type {RegExp} */
       static #typeParser = new RegExp(`^${Xml.#namePattern}`);
+      /** @type {RegExp} */
+      static #contentParser = /[^\[>"']*(?:(?:"[^"]*"|'[^']*')[^\[>"']*)*/y;
       /** @inheritdoc */
-      canParse(/** @type {string} */text) { return text.startsWith(`<!`); }
-      /** @inheritdoc */
-      parse(/** @type {string} */text, /** @type {InstanceType<Xml.Parser>[]} */parsers) {
-        const end = (text = text.slice(2)).indexOf('>');
-        const content = end < 0 ? text : text.slice(0, end).trim();
-        const remaining = end < 0 ? '' : text.slice(end + 1);
+      canRead(/** @type {string} */source, /** @type {number} */offset) { return source.startsWith('<!', offset); }
+      /** @inheritdoc @returns {[InstanceType<Xml.Node>, number]} */
+      read(/** @type {string} */source, /** @type {number} */offset, /** @type {InstanceType<Xml.Parser>[]} */parsers) {
+        const header = /** @type {string} */(/** @type {RegExpExecArray} */(Xml.#sticky(Metadata.Parser.#contentParser, source, offset + 2))[0]);
+        let position = offset + 2 + header.length;
         const item = new Xml.Metadata();
+        if (source[position] === '[') { position = this.readSubset(item, source, position + 1, parsers); }
+        if (this.strict && source[position] !== '>') { throw new Xml.SyntaxError('Markup declaration is not terminated', 'unterminated-metadata', source.length - offset); }
+        position = source[position] === '>' ? position + 1 : source.length;
+        const content = header.trim();
         item.type = Metadata.Parser.#typeParser.exec(content)?.[0] ?? 'METADATA';
-        const valueContent = content.slice(item.type.length).trim();
-        const values = [...(valueContent.matchAll(/"([^"]*)"/g) || [])].map(v => v[1]);
+        const tokens = [...content.slice(item.type.length).matchAll(/"([^"]*)"|'([^']*)'|[^\s"']+/g)];
+        item.#order = tokens.map(token => (token[1] ?? token[2]) !== Xml.#unset);
+        const values = tokens.filter((_, i) => item.#order[i]).map(token => token[1] ?? token[2]);
         item.values.push(...values);
-        const nameContent = valueContent.replace(/"[^"]*"/g, '').trim();
-        const names = [...nameContent.matchAll(/\S+/g)].map(t => t[0]);
+        const names = tokens.filter((_, i) => !item.#order[i]).map(token => token[0]);
         if (names.length) { item.names.push(...names); }
-        return /** @type {[InstanceType<Xml.Metadata>, string]} */([item, remaining]);
+        if (item.type === 'ENTITY' && names.length === 1 && values.length === 1) { this.entities.declare(names[0], values[0]); }
+        return /** @type {[InstanceType<Xml.Node>, number]} */([item, position]);
+      }
+      /**
+       * @method readSubset - Reads the declarations of an internal subset into an item, skipping parameter entity references.
+       * @param {InstanceType<Xml.Node>} item - The DOCTYPE being parsed.
+       * @param {string} source - The source being parsed.
+       * @param {number} offset - The offset following the opening bracket.
+       * @param {InstanceType<Xml.Parser>[]} parsers - The set of parsers used in this session.
+       * @returns {number} - The offset following the closing bracket and any whitespace.
+       */
+      readSubset(item, source, offset, parsers) {
+        const subset = parsers.filter(p => !(p instanceof Xml.Text.Parser || p instanceof Xml.Element.Parser));
+        while ((offset += /** @type {RegExpExecArray} */(Xml.#sticky(/(?:\s+|%[^;\s]*;)*/y, source, offset))[0].length) < source.length && source[offset] !== ']') {
+          const parser = Xml.#find(subset, source, offset) ?? (source.startsWith('<!', offset) ? this : Xml.#unset);
+          if (!parser) { throw new Xml.SyntaxError('Invalid declaration in internal subset', 'invalid-subset', source.length - offset); }
+          const [node, end] = parser === this ? Metadata.Parser.prototype.read.call(this, source, offset, parsers) : Xml.#read(parser, source, offset, parsers);
+          item.add(node);
+          offset = end;
+        }
+        if (this.strict && source[offset] !== ']') { throw new Xml.SyntaxError('Internal subset is not terminated', 'unterminated-metadata', source.length - offset); }
+        return Xml.#skip(source, Math.min(offset + 1, source.length));
+      }
+    }
+  }
+  static DocumentType =
+  /**
+   * @class Xml.DocumentType - Represents a document type declaration, with the markup declarations of its internal subset as children.
+   * @extends Xml.Node
+   */
+  class DocumentType extends Xml.Node {
+    /** @type {string} */
+    #name = 'root';
+    /** @property {string} name - The type of the root element. */
+    get name() { return this.#name; }
+    set name(name) { this.#name = Xml.validateName(name); }
+    /** @type {string|undefined} */
+    #publicId = Xml.#unset;
+    /** @property {string|undefined} publicId - The public identifier of the external subset, if any. */
+    get publicId() { return this.#publicId; }
+    set publicId(id) { this.#publicId = id ?? Xml.#unset; }
+    /** @type {string|undefined} */
+    #systemId = Xml.#unset;
+    /** @property {string|undefined} systemId - The system identifier (URI) of the external subset, if any. */
+    get systemId() { return this.#systemId; }
+    set systemId(id) { this.#systemId = id ?? Xml.#unset; }
+    /** @readonly @property {InstanceType<Xml.Metadata>[]} declarations - The ENTITY, ELEMENT, ATTLIST and NOTATION declarations of the internal subset. */
+    get declarations() { return /** @type {InstanceType<Xml.Metadata>[]} */([...this].filter(node => node instanceof Xml.Metadata)); }
+    /** @inheritdoc */
+    clone() { return Object.assign(super.clone(), {name: this.#name, publicId: this.#publicId, systemId: this.#systemId}); }
+    toString() {
+      const quote = (/** @type {string} */ id) => id.includes('"') ? `'${id}'` : `"${id}"`;
+      const external = this.#publicId !== Xml.#unset ? ` PUBLIC ${quote(this.#publicId)}${this.#systemId !== Xml.#unset ? ` ${quote(this.#systemId)}` : ''}`
+        : this.#systemId !== Xml.#unset ? ` SYSTEM ${quote(this.#systemId)}` : '';
+      return `<!DOCTYPE ${this.#name}${external}${this.length ? ` [${super.toString()}]` : ''}>`;
+    }
+    static Parser =
+    /**
+     * @class Xml.DocumentType.Parser - A parser for document type declarations.
+     * @note Declarations in the internal subset are parsed with the parsers of the session, falling back to Xml.Metadata.Parser rules.
+     * @extends Xml.Metadata.Parser
+     */
+    class Parser extends Xml.Metadata.Parser {
+      /** @type {RegExp} */
+      static #headerParser = /<!DOCTYPE\s+([^\s\[>]+)(?:\s+(?:PUBLIC\s*("[^"]*"|'[^']*')(?:\s*("[^"]*"|'[^']*'))?|SYSTEM\s*("[^"]*"|'[^']*')))?\s*/iy;
+      /** @inheritdoc */
+      canRead(/** @type {string} */source, /** @type {number} */offset) { return !!Xml.#sticky(/<!DOCTYPE(?:\s|$)/iy, source, offset); }
+      /** @inheritdoc @returns {[InstanceType<Xml.Node>, number]} */
+      read(/** @type {string} */source, /** @type {number} */offset, /** @type {InstanceType<Xml.Parser>[]} */parsers) {
+        const header = Xml.#sticky(DocumentType.Parser.#headerParser, source, offset);
+        if (!header) { throw new Xml.SyntaxError('Invalid document type declaration', 'invalid-doctype', source.length - offset); }
+        const item = new DocumentType();
+        item.name = header[1];
+        item.publicId = header[2]?.slice(1, -1);
+        item.systemId = (header[3] ?? header[4])?.slice(1, -1);
+        let position = offset + header[0].length;
+        if (source[position] === '[') { position = this.readSubset(item, source, position + 1, parsers); }
+        if (this.strict && source[position] !== '>') { throw new Xml.SyntaxError('Invalid document type declaration', 'invalid-doctype', source.length - position); }
+        const end = source.indexOf('>', position);
+        return /** @type {[InstanceType<Xml.Node>, number]} */([item, end < 0 ? source.length : end + 1]);
+      }
+    }
+  }
+  static Entities =
+  /**
+   * @class Xml.Entities - A table of named entities for expanding references, with limits against exponential expansion.
+   * @note The five predefined entities are always known. Declared values have their character references expanded when declared
+   *       and their entity references expanded on use. Expansions are text, so markup within entity values is not parsed.
+   */
+  class Entities {
+    /** @type {Record<string, string>} */
+    static #predefined = {lt: '<', gt: '>', amp: '&', apos: "'", quot: '"'};
+    /** @type {Map<string, string>} */
+    #declared = new Map();
+    /** @type {Record<string, string>} */
+    #defaults;
+    /** @type {number} */
+    #maxDepth;
+    /** @readonly @property {number} maxDepth - The deepest nesting of entity references that will be expanded. */
+    get maxDepth() { return this.#maxDepth; }
+    /** @type {number} */
+    #maxLength;
+    /** @readonly @property {number} maxLength - The most characters expansion may produce over the life of this table. */
+    get maxLength() { return this.#maxLength; }
+    /** @type {number} */
+    #length = 0;
+    /** @readonly @property {number} length - The characters produced by entity expansion so far. */
+    get length() { return this.#length; }
+    /**
+     * @constructor
+     * @param {Record<string, string>} [defaults={}] - Entities known before any are declared, e.g. Xml.htmlEntities.
+     * @param {{maxDepth?: number, maxLength?: number}} [limits={}] - Expansion limits, 16 levels and 1000000 characters by default.
+     */
+    constructor(defaults = {}, limits = {}) {
+      this.#defaults = defaults;
+      this.#maxDepth = limits.maxDepth ?? 16;
+      this.#maxLength = limits.maxLength ?? 1000000;
+    }
+    /**
+     * @static
+     * @method from - Wraps named entities in a table unless they already are one.
+     * @param {Record<string, string>|InstanceType<Xml.Entities>} entities - The named entities or table.
+     * @returns {InstanceType<Xml.Entities>} - The table.
+     */
+    static from(entities) { return entities instanceof Entities ? entities : new Entities(entities); }
+    /**
+     * @method declare - Declares an entity. As in XML, the first declaration of a name is binding.
+     * @param {string} name - The entity name.
+     * @param {string} value - The literal entity value.
+     * @returns {InstanceType<Xml.Entities>} - This Xml.Entities.
+     */
+    declare(name, value) {
+      if (!this.#declared.has(name)) { this.#declared.set(name, `${value}`.replace(/&#(x[0-9A-Fa-f]+|[0-9]+);/g, Entities.#character)); }
+      return this;
+    }
+    /**
+     * @method get - Gets the unexpanded value of an entity.
+     * @param {string} name - The entity name.
+     * @returns {string|undefined} - The value, if the entity is known.
+     */
+    get(name) {
+      if (Object.hasOwn(Entities.#predefined, name)) { return Entities.#predefined[name]; }
+      return this.#declared.get(name) ?? (Object.hasOwn(this.#defaults, name) ? this.#defaults[name] : Xml.#unset);
+    }
+    /**
+     * @method expand - Expands the character and entity references in text.
+     * @param {string} text - The text to expand.
+     * @param {number} [remaining=0] - The length of the source remaining from the text, for locating errors.
+     * @param {boolean} [strict=false] - Whether references to unknown entities are errors rather than left as they are.
+     * @returns {string} - The expanded text.
+     * @throws {InstanceType<Xml.SyntaxError>} - If an entity is recursive or expansion exceeds the limits.
+     */
+    expand(text, remaining = 0, strict = false) { return this.#expand(text, [], remaining, strict); }
+    /** @method #expand @param {string} text @param {string[]} stack @param {number} remaining @param {boolean} strict @returns {string} */
+    #expand(text, stack, remaining, strict) {
+      return text.replace(/&(?:#(x[0-9A-Fa-f]+|[0-9]+)|([^\s&;<#][^\s&;<]*));/g, (match, code, name) => {
+        if (code) { return Entities.#character(match, code); }
+        const value = this.get(name);
+        if (value === Xml.#unset) {
+          if (strict) { throw new Xml.SyntaxError(`Undefined entity ${name}`, 'undefined-entity', remaining); }
+          return match;
+        }
+        if (Object.hasOwn(Entities.#predefined, name)) { return value; }
+        if (stack.includes(name)) { throw new Xml.SyntaxError(`Entity ${name} references itself`, 'recursive-entity', remaining); }
+        if (stack.length >= this.#maxDepth) { throw new Xml.SyntaxError(`Entity ${name} exceeds the depth limit of ${this.#maxDepth}`, 'entity-limit', remaining); }
+        const expansion = this.#expand(value, [...stack, name], remaining, strict);
+        if ((this.#length += expansion.length) > this.#maxLength) {
+          throw new Xml.SyntaxError(`Entity expansion exceeds the limit of ${this.#maxLength} characters`, 'entity-limit', remaining);
+        }
+        return expansion;
+      });
+    }
+    /** @method #character - Expands a character reference, leaving invalid code points as they are. @param {string} match @param {string} code @returns {string} */
+    static #character(match, code) {
+      const point = code.startsWith('x') ? parseInt(code.slice(1), 16) : parseInt(code, 10);
+      return point <= 0x10FFFF ? String.fromCodePoint(point) : match;
+    }
+  }
+  static Stream =
+  /**
+   * @class Xml.Stream - An incremental, event based (SAX-style) parser that does not build a tree.
+   * @note Uses the same Xml.Parser rules as Xml.parse. Xml.Element.Parser instances are used for opening and closing tags only,
+   *       other parsers are given the buffered text and their result is kept once more text follows it or the stream ends.
+   */
+  class Stream {
+    /** @type {(event: StreamEvent) => void} */
+    #handler;
+    /** @type {InstanceType<Xml.Parser>[]} */
+    #parsers;
+    /** @type {InstanceType<typeof Xml.Element.Parser>} */
+    #elementParser;
+    /** @type {TextDecoder} */
+    #decoder = new TextDecoder();
+    /** @type {string} */
+    #buffer = '';
+    /** @type {number} */
+    #offset = 0;
+    /** @type {SourcePosition} */
+    #position = {offset: 0, line: 1, column: 1};
+    /** @type {InstanceType<Xml.Element>[]} */
+    #open = [];
+    /** @type {boolean} */
+    #ended = false;
+    /** @type {boolean} */
+    #strict;
+    /** @type {number} */
+    #roots = 0;
+    /** @readonly @property {number} depth - The number of currently open elements. */
+    get depth() { return this.#open.length; }
+    /**
+     * @constructor
+     * @param {(event: StreamEvent) => void} handler - Receives each parse event as it happens.
+     * @param {InstanceType<Xml.Parser>[]} [parsers=[]] - An optional override set of parsers to use.
+     * @param {Omit<ParseOptions, 'positions'>} [options={}] - Optional parse options, positions are not recorded.
+     */
+    constructor(handler, parsers = [], options = {}) {
+      if (!(parsers = parsers.filter(p => p instanceof Xml.Parser)).length) { parsers = Xml.defaultParsers; }
+      this.#handler = handler;
+      this.#strict = !!options.strict;
+      this.#parsers = parsers = Xml.#derive(parsers, options, Xml.#unset);
+      this.#elementParser = /** @type {InstanceType<typeof Xml.Element.Parser>|undefined} */(parsers.find(p => p instanceof Xml.Element.Parser)) ?? new Xml.Element.Parser();
+    }
+    /**
+     * @method write - Parses a chunk of the document, emitting events for every complete item.
+     * @param {string|Uint8Array} chunk - Text, or UTF-8 bytes which may split characters across chunks.
+     * @returns {InstanceType<Xml.Stream>} - This Xml.Stream.
+     */
+    write(chunk) {
+      if (this.#ended) { throw new Error('Stream has ended'); }
+      this.#buffer += typeof(chunk) === 'string' ? chunk : this.#decoder.decode(chunk, {stream: true});
+      this.#drain();
+      return this;
+    }
+    /**
+     * @method end - Parses any remaining text and closes any elements left open.
+     * @param {string|Uint8Array} [chunk] - An optional final chunk.
+     * @returns {InstanceType<Xml.Stream>} - This Xml.Stream.
+     */
+    end(chunk) {
+      if (chunk !== Xml.#unset) { this.write(chunk); }
+      this.#buffer += this.#decoder.decode();
+      this.#ended = true;
+      this.#drain();
+      while (this.#open.length) { this.#close(); }
+      return this;
+    }
+    /**
+     * @static
+     * @method events - Parses a (possibly asynchronous) sequence of chunks, such as a Node ReadableStream.
+     * @param {AsyncIterable<string|Uint8Array>|Iterable<string|Uint8Array>} source - The chunks to parse.
+     * @param {InstanceType<Xml.Parser>[]} [parsers=[]] - An optional override set of parsers to use.
+     * @param {Omit<ParseOptions, 'positions'>} [options={}] - Optional parse options, positions are not recorded.
+     * @returns {AsyncGenerator<StreamEvent>} - The parse events, in document order.
+     */
+    static async *events(source, parsers = [], options = {}) {
+      const events = /** @type {StreamEvent[]} */([]);
+      const stream = new Stream(event => events.push(event), parsers, options);
+      for await (const chunk of source) {
+        stream.write(chunk);
+        yield* events.splice(0);
+      }
+      stream.end();
+      yield* events.splice(0);
+    }
+    /** @method #drain - Parses as much of the buffer as is known to be complete, locating any syntax errors and dropping parsed text. */
+    #drain() {
+      try { this.#parse(); }
+      catch (error) {
+        if (error instanceof Xml.SyntaxError && error.offset === Xml.#unset) { error.locate(this.#buffer.slice(this.#offset), this.#position); }
+        throw error;
+      }
+      finally {
+        this.#buffer = this.#buffer.slice(this.#offset);
+        this.#offset = 0;
+      }
+    }
+    /** @method #parse - Parses as much of the buffer as is known to be complete. */
+    #parse() {
+      const source = this.#buffer;
+      for (let offset = this.#offset; offset < source.length; offset = this.#offset) {
+        if (Xml.#sticky(Xml.#closingTag, source, offset)) {
+          if (!this.#ended && source.indexOf('>', offset) < 0) { return; }
+          const [name, end] = this.#elementParser.readClose(source, offset);
+          if (end === offset || !this.#open.length) { throw new Xml.SyntaxError('No Parser Found', 'no-parser', source.length - offset); }
+          const open = this.#open[this.#open.length - 1].type;
+          if (this.#strict && name !== open) { throw new Xml.SyntaxError(`Closing tag ${name} does not match element ${open}`, 'mismatched-tag', source.length - offset); }
+          this.#consume(end);
+          this.#close();
+          continue;
+        }
+        const parser = Xml.#find(this.#parsers, source, offset);
+        if (!parser) {
+          if (this.#ended || source.indexOf('>', offset) >= 0) { throw new Xml.SyntaxError('No Parser Found', 'no-parser', source.length - offset); }
+          return;
+        }
+        if (parser instanceof Xml.Element.Parser) {
+          if (!this.#ended && Stream.#tagEnd(source, offset) < 0) { return; }
+          const [node, end, closed] = parser.readOpen(source, offset);
+          this.#countRoot(node, source.length - offset);
+          this.#consume(end);
+          this.#handler({type: 'startElement', node, name: node.type, attributes: {...node.attributes}, selfClosing: closed});
+          this.#open.push(node);
+          if (closed) { this.#close(); }
+          continue;
+        }
+        let result;
+        try { result = Xml.#read(parser, source, offset, this.#parsers); }
+        catch (error) { if (this.#ended) { throw error; } return; }
+        const [node, end] = result;
+        if (!this.#ended && end >= source.length) { return; }
+        this.#countRoot(node, source.length - offset);
+        this.#consume(end);
+        this.#emit(node);
+      }
+      if (this.#strict && this.#ended && this.#open.length) {
+        throw new Xml.SyntaxError(`Element ${this.#open[this.#open.length - 1].type} is not closed`, 'unclosed-element', 0);
+      }
+      if (this.#strict && this.#ended && !this.#roots) { throw new Xml.SyntaxError('Document has no root element', 'missing-root', 0); }
+    }
+    /** @method #countRoot - Counts root elements, enforcing the document level rules in strict mode. @param {InstanceType<Xml.Node>} node @param {number} remaining */
+    #countRoot(node, remaining) {
+      if (this.#open.length) { return; }
+      if (this.#strict) { Xml.#checkTopLevel(node, remaining, this.#position.offset === 0, this.#roots); }
+      if (node instanceof Xml.Element) { this.#roots++; }
+    }
+    /** @method #consume - Advances the offset and position past parsed text. @param {number} end */
+    #consume(end) {
+      this.#position = Xml.#locator(this.#buffer.slice(this.#offset, end), this.#position)(0);
+      this.#offset = end;
+    }
+    /** @method #close - Emits endElement for the innermost open element. */
+    #close() {
+      const node = /** @type {InstanceType<Xml.Element>} */(this.#open.pop());
+      this.#handler({type: 'endElement', node, name: node.type});
+    }
+    /** @method #emit - Emits events for a complete node produced by a parser. @param {InstanceType<Xml.Node>} node */
+    #emit(node) {
+      if (node instanceof Xml.Element) {
+        this.#handler({type: 'startElement', node, name: node.type, attributes: {...node.attributes}, selfClosing: !node.length});
+        for (const child of node) { this.#emit(child); }
+        this.#handler({type: 'endElement', node, name: node.type});
+        return;
       }
+      const type = node instanceof Xml.Text ? 'text'
+        : node instanceof Xml.CData ? 'cdata'
+        : node instanceof Xml.Comment ? 'comment'
+        : node instanceof Xml.Declaration ? 'declaration'
+        : node instanceof Xml.ProcessingInstruction ? 'processingInstruction'
+        : node instanceof Xml.DocumentType ? 'doctype'
+        : node instanceof Xml.Metadata ? 'metadata'
+        : 'node';
+      this.#handler({type, node});
+    }
+    /** @method #tagEnd - Finds the end of an opening tag, ignoring quoted values. @param {string} source @param {number} offset @returns {number} */
+    static #tagEnd(source, offset) {
+      let quote = '';
+      for (let i = offset; i < source.length; i++) {
+        const char = source[i];
+        if (quote) { if (char === quote) { quote = ''; } }
+        else if (char === '"' || char === "'") { quote = char; }
+        else if (char === '>') { return i; }
+      }
+      return -1;
+    }
+  }
+  static Selector =
+  /**
+   * @class Xml.Selector - A compiled CSS-style selector for matching Xml.Elements.
+   * @note Supports type/universal selectors, [attr], [attr="v"], ^=, $=, *=, the descendant, >, + and ~ combinators,
+   *       selector lists, :first-child, :nth-child() and :not(). Names may contain "." and "\\" escapes, e.g. "ns\\:name".
+   *       Namespaced names use "prefix|name", "*|name" or "|name", with prefixes resolved from the namespaces provided.
+   */
+  class Selector {
+    /** @type {string} */
+    #text;
+    /** @readonly @property {string} text - The source text of this selector. */
+    get text() { return this.#text; }
+    /** @type {number} */
+    #index = 0;
+    /** @type {Record<string, string>} */
+    #namespaces;
+    /** @type {((element: InstanceType<Xml.Element>) => boolean)[]} */
+    #tests;
+    /**
+     * @constructor
+     * @param {string} text - The selector text to compile.
+     * @param {Record<string, string>} [namespaces={}] - Namespace URIs for the prefixes used in "prefix|name" selectors.
+     * @throws {Error} - If the selector is invalid.
+     */
+    constructor(text, namespaces = {}) {
+      this.#text = `${text}`;
+      this.#namespaces = namespaces;
+      this.#tests = this.#readList();
+      if (this.#index < this.#text.length) { throw this.#error(); }
+    }
+    /**
+     * @static
+     * @method from - Compiles a selector unless it is already compiled.
+     * @param {string|InstanceType<Xml.Selector>} selector - The selector text or compiled Xml.Selector.
+     * @param {Record<string, string>} [namespaces={}] - Namespace URIs used when compiling selector text.
+     * @returns {InstanceType<Xml.Selector>} - The compiled Xml.Selector.
+     */
+    static from(selector, namespaces = {}) { return selector instanceof Selector ? selector : new Selector(selector, namespaces); }
+    /**
+     * @method matches - Checks if an Xml.Node is an Xml.Element matching this selector.
+     * @param {InstanceType<Xml.Node>} node - The Xml.Node to check.
+     * @returns {boolean} - Whether the Xml.Node matches.
+     */
+    matches(node) { return node instanceof Xml.Element && this.#tests.some(test => test(node)); }
+    /**
+     * @method find - Finds the first Xml.Node that is an Xml.Element matching this selector.
+     * @param {Iterable<InstanceType<Xml.Node>>} nodes - The Xml.Nodes to check, in order.
+     * @returns {InstanceType<Xml.Element>|undefined} - The matching Xml.Element, if any.
+     */
+    find(nodes) {
+      return Selector.#indexed(() => {
+        for (const node of nodes) { if (this.matches(node)) { return /** @type {InstanceType<Xml.Element>} */(node); } }
+        return Xml.#unset;
+      });
+    }
+    /**
+     * @method filter - Lists the Xml.Nodes that are Xml.Elements matching this selector.
+     * @param {Iterable<InstanceType<Xml.Node>>} nodes - The Xml.Nodes to check, in order.
+     * @returns {InstanceType<Xml.Element>[]} - The matching Xml.Elements.
+     */
+    filter(nodes) { return Selector.#indexed(() => /** @type {InstanceType<Xml.Element>[]} */([...nodes].filter(node => this.matches(node)))); }
+    /** @method toString @returns {string} */
+    toString() { return this.#text; }
+    /** @type {Map<InstanceType<Xml.Node>, SelectorFamily>|undefined} - The element children of each parent seen by the running find or filter. */
+    static #families = Xml.#unset;
+    /**
+     * @method #indexed - Runs a find or filter, indexing the element children of each parent once for all of its matches.
+     * @template T
+     * @param {() => T} run
+     * @returns {T}
+     */
+    static #indexed(run) {
+      const outer = Selector.#families;
+      Selector.#families = new Map();
+      try { return run(); } finally { Selector.#families = outer; }
+    }
+    /** @method #error @returns {Error} */
+    #error() { return new Error(`Invalid selector: ${this.#text} at ${this.#index}`); }
+    /** @method #read - Consumes a sticky pattern at the current index. @param {RegExp} pattern @returns {RegExpExecArray|null} */
+    #read(pattern) {
+      pattern.lastIndex = this.#index;
+      const match = pattern.exec(this.#text);
+      if (match) { this.#index += match[0].length; }
+      return match;
+    }
+    /** @method #readList @returns {((element: InstanceType<Xml.Element>) => boolean)[]} */
+    #readList() {
+      const tests = [];
+      do {
+        this.#read(/\s*/y);
+        tests.push(this.#readComplex());
+        this.#read(/\s*/y);
+      } while (this.#read(/,/y));
+      return tests;
+    }
+    /** @method #readComplex @returns {(element: InstanceType<Xml.Element>) => boolean} */
+    #readComplex() {
+      const parts = [{combinator: '', test: this.#readCompound()}];
+      for (let match; (match = this.#read(/\s*([>+~])\s*|\s+(?=[^\s,)])/y));) {
+        parts.push({combinator: match[1] ?? ' ', test: this.#readCompound()});
+      }
+      return element => Selector.#match(parts, parts.length - 1, element);
+    }
+    /** @method #readCompound @returns {(element: InstanceType<Xml.Element>) => boolean} */
+    #readCompound() {
+      const tests = /** @type {((element: InstanceType<Xml.Element>) => boolean)[]} */([]);
+      const [type, namespace, local] = this.#read(/(?:(\*|(?:[\w\-.]|\\.)*)\|)?(\*|(?:[\w\-.]|\\.)+)/y) ?? [];
+      if (type && type !== '*') {
+        const name = Selector.#unescape(local);
+        const uri = this.#namespace(namespace);
+        tests.push(namespace === Xml.#unset ? element => element.type === name
+          : element => (name === '*' || element.localName === name) && (uri === '*' || element.namespaceURI === uri));
+      }
+      while (true) {
+        if (this.#read(/\[\s*/y)) { tests.push(this.#readAttribute()); }
+        else if (this.#read(/:/y)) { tests.push(this.#readPseudo()); }
+        else { break; }
+      }
+      if (!type && !tests.length) { throw this.#error(); }
+      return element => tests.every(test => test(element));
+    }
+    /** @method #readAttribute @returns {(element: InstanceType<Xml.Element>) => boolean} */
+    #readAttribute() {
+      const [_, namespace, local] = this.#read(/(?:(\*|(?:[\w\-.]|\\.)*)\|(?!=))?((?:[\w\-.:]|\\.)+)/y) ?? [];
+      if (!local) { throw this.#error(); }
+      const [name, uri] = [Selector.#unescape(local), this.#namespace(namespace)];
+      const operator = this.#read(/\s*([\^$*]?=)\s*/y)?.[1];
+      const match = operator ? this.#read(/"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|((?:[\w\-.]|\\.)+)/y) : null;
+      if (operator && !match) { throw this.#error(); }
+      if (!this.#read(/\s*\]/y)) { throw this.#error(); }
+      const value = Selector.#unescape(match?.[1] ?? match?.[2] ?? match?.[3] ?? '');
+      const find = namespace === Xml.#unset
+        ? (/** @type {InstanceType<Xml.Element>} */element) => element.attributes[name]
+        : (/** @type {InstanceType<Xml.Element>} */element) => Object.keys(element.attributes)
+          .map(key => Xml.Attribute.of(element, key))
+          .find(attribute => attribute.localName === name && (uri === '*' || attribute.namespaceURI === uri))?.value;
+      switch (operator) {
+        case '=': return element => find(element) === value;
+        case '^=': return element => !!value && !!find(element)?.startsWith(value);
+        case '$=': return element => !!value && !!find(element)?.endsWith(value);
+        case '*=': return element => !!value && !!find(element)?.includes(value);
+        default: return element => find(element) !== Xml.#unset;
+      }
+    }
+    /** @method #readPseudo @returns {(element: InstanceType<Xml.Element>) => boolean} */
+    #readPseudo() {
+      const name = this.#read(/[\w\-]+/y)?.[0];
+      if (name === 'first-child') { return element => Selector.#family(element).elements[0] === element; }
+      if (name === 'nth-child' && this.#read(/\(\s*/y)) {
+        const match = this.#read(/(?:(odd)|(even)|([+-]?\d*)n(?:\s*([+-])\s*(\d+))?|([+-]?\d+))\s*\)/y);
+        if (!match) { throw this.#error(); }
+        const [_, odd, even, step, sign, offset, index] = match;
+        const a = odd || even ? 2 : index ? 0 : step === '-' ? -1 : !step || step === '+' ? 1 : Number(step);
+        const b = odd ? 1 : even ? 0 : index ? Number(index) : Number(`${sign ?? ''}${offset ?? 0}`);
+        return element => {
+          const position = Selector.#position(element) + 1 - b;
+          return a === 0 ? position === 0 : position / a >= 0 && position % a === 0;
+        };
+      }
+      if (name === 'not' && this.#read(/\(/y)) {
+        const tests = this.#readList();
+        if (!this.#read(/\)/y)) { throw this.#error(); }
+        return element => !tests.some(test => test(element));
+      }
+      throw this.#error();
+    }
+    /** @method #namespace - Resolves a selector namespace prefix ("*" for any, "" for none). @param {string|undefined} prefix @returns {string|undefined} */
+    #namespace(prefix) {
+      if (prefix === Xml.#unset || prefix === '*') { return prefix; }
+      if (!prefix) { return Xml.#unset; }
+      const uri = this.#namespaces[Selector.#unescape(prefix)];
+      if (uri === Xml.#unset) { throw new Error(`Unknown selector namespace prefix: ${prefix}`); }
+      return uri;
+    }
+    /** @method #unescape @param {string} text @returns {string} */
+    static #unescape(text) { return text.replace(/\\(.)/g, '$1'); }
+    /** @method #family - The Xml.Element siblings of an Xml.Element, including itself, with their positions. @param {InstanceType<Xml.Element>} element @returns {SelectorFamily} */
+    static #family(element) {
+      const parent = element.parent;
+      const known = parent && Selector.#families?.get(parent);
+      if (known) { return known; }
+      const elements = parent ? /** @type {InstanceType<Xml.Element>[]} */([...parent].filter(c => c instanceof Xml.Element)) : [element];
+      const family = {elements, positions: new Map(elements.map((sibling, i) => [sibling, i]))};
+      if (parent) { Selector.#families?.set(parent, family); }
+      return family;
+    }
+    /** @method #position - The index of an Xml.Element among its Xml.Element siblings. @param {InstanceType<Xml.Element>} element @returns {number} */
+    static #position(element) { return Selector.#family(element).positions.get(element) ?? 0; }
+    /**
+     * @method #match - Matches compound selectors right-to-left across their combinators.
+     * @param {{combinator: string, test: (element: InstanceType<Xml.Element>) => boolean}[]} parts
+     * @param {number} index
+     * @param {InstanceType<Xml.Element>} element
+     * @returns {boolean}
+     */
+    static #match(parts, index, element) {
+      if (!parts[index].test(element)) { return false; }
+      if (index === 0) { return true; }
+      const combinator = parts[index].combinator;
+      if (combinator === '>' || combinator === ' ') {
+        for (let parent = element.parent; parent instanceof Xml.Element; parent = parent.parent) {
+          if (Selector.#match(parts, index - 1, parent)) { return true; }
+          if (combinator === '>') { return false; }
+        }
+        return false;
+      }
+      const siblings = Selector.#family(element).elements;
+      for (let i = Selector.#position(element) - 1; i >= 0; i--) {
+        if (Selector.#match(parts, index - 1, siblings[i])) { return true; }
+        if (combinator === '+') { return false; }
+      }
+      return false;
+    }
+  }
+  static Attribute =
+  /** @class Xml.Attribute - A live view of a single attribute of an Xml.Element, used where attributes are treated as nodes. */
+  class Attribute {
+    /** @type {WeakMap<InstanceType<Xml.Element>, Map<string, InstanceType<Xml.Attribute>>>} */
+    static #cache = new WeakMap();
+    /** @type {InstanceType<Xml.Element>} */
+    #element;
+    /** @readonly @property {InstanceType<Xml.Element>} element - The Xml.Element owning this attribute. */
+    get element() { return this.#element; }
+    /** @readonly @property {InstanceType<Xml.Element>} parent - The Xml.Element owning this attribute. */
+    get parent() { return this.#element; }
+    /** @type {string} */
+    #name;
+    /** @readonly @property {string} name - The name of this attribute. */
+    get name() { return this.#name; }
+    /** @readonly @property {string} prefix - The namespace prefix of this attribute, or empty. */
+    get prefix() { return Xml.#prefix(this.#name); }
+    /** @readonly @property {string} localName - The name of this attribute without its namespace prefix. */
+    get localName() { return Xml.#localName(this.#name); }
+    /** @readonly @property {string|undefined} namespaceURI - The namespace URI of this attribute. Unprefixed attributes have none. */
+    get namespaceURI() {
+      if (this.#name === 'xmlns') { return Xml.#xmlnsNamespace; }
+      return this.prefix ? this.#element.lookupNamespaceURI(this.prefix) : Xml.#unset;
+    }
+    /** @property {string} value - The value of this attribute. */
+    get value() { return this.#element.attributes[this.#name] ?? ''; }
+    set value(value) { this.#element.attributes[this.#name] = value; }
+    /** @type {SourceRange|undefined} */
+    #source = Xml.#unset;
+    /** @property {SourceRange|undefined} source - Where this attribute was parsed from, when parsed with positions enabled. */
+    get source() { return this.#source; }
+    set source(range) { this.#source = range; }
+    /**
+     * @constructor
+     * @param {InstanceType<Xml.Element>} element - The Xml.Element owning the attribute.
+     * @param {string} name - The name of the attribute.
+     */
+    constructor(element, name) {
+      this.#element = element;
+      this.#name = Xml.validateName(name);
+    }
+    /**
+     * @static
+     * @method of - Gets the shared Xml.Attribute view for an attribute so that views compare by identity.
+     * @param {InstanceType<Xml.Element>} element - The Xml.Element owning the attribute.
+     * @param {string} name - The name of the attribute.
+     * @returns {InstanceType<Xml.Attribute>} - The Xml.Attribute view.
+     */
+    static of(element, name) {
+      let views = Attribute.#cache.get(element);
+      if (!views) { Attribute.#cache.set(element, views = new Map()); }
+      let view = views.get(name);
+      if (!view) { views.set(name, view = new Attribute(element, name)); }
+      return view;
+    }
+    /** @method toString @returns {string} */
+    toString() { return `${this.#name}="${Xml.escapeValue(this.value)}"`; }
+  }
+  static XPath =
+  /**
+   * @class Xml.XPath - A compiled XPath 1.0 expression.
+   * @note Supports location paths, every axis except namespace, node tests, predicates, $variables and the core function library except id() and lang().
+   *       Node-sets are returned as arrays in document order, with attributes as Xml.Attribute views.
+   *       Prefixed name tests match by namespace URI when their prefix is provided, and by literal name otherwise.
+   */
+  class XPath {
+    /** @type {string} */
+    #expression;
+    /** @readonly @property {string} expression - The source text of this expression. */
+    get expression() { return this.#expression; }
+    /** @type {XPathToken[]} */
+    #tokens;
+    /** @type {number} */
+    #index = 0;
+    /** @type {(context: XPathContext) => XPathResult} */
+    #evaluator;
+    /**
+     * @constructor
+     * @param {string} expression - The XPath expression to compile.
+     * @throws {Error} - If the expression is invalid.
+     */
+    constructor(expression) {
+      this.#expression = `${expression}`;
+      this.#tokens = XPath.#tokenize(this.#expression);
+      this.#evaluator = this.#readOr();
+      if (this.#index < this.#tokens.length) { throw this.#error(); }
+    }
+    /**
+     * @static
+     * @method from - Compiles an expression unless it is already compiled.
+     * @param {string|InstanceType<Xml.XPath>} expression - The expression text or compiled Xml.XPath.
+     * @returns {InstanceType<Xml.XPath>} - The compiled Xml.XPath.
+     */
+    static from(expression) { return expression instanceof XPath ? expression : new XPath(expression); }
+    /**
+     * @method evaluate - Evaluates this expression against a context node.
+     * @param {XPathNode} node - The context node.
+     * @param {Record<string, XPathResult>} [variables={}] - Values for $variable references.
+     * @param {Record<string, string>} [namespaces={}] - Namespace URIs for the prefixes used in name tests.
+     * @returns {XPathResult} - The resulting node-set, string, number or boolean.
+     */
+    evaluate(node, variables = {}, namespaces = {}) { return this.#evaluator({node, position: 1, size: 1, variables, namespaces, order: new Map()}); }
+    /** @method toString @returns {string} */
+    toString() { return this.#expression; }
+    /** @method #error @returns {Error} */
+    #error() { return new Error(`Invalid XPath: ${this.#expression} at ${this.#tokens[this.#index]?.offset ?? this.#expression.length}`); }
+    /** @method #accept @param {string} kind @param {string} [value] @returns {XPathToken|undefined} */
+    #accept(kind, value) {
+      const token = this.#tokens[this.#index];
+      if (!token || token.kind !== kind || (value !== Xml.#unset && token.value !== value)) { return Xml.#unset; }
+      this.#index++;
+      return token;
+    }
+    /** @method #expect @param {string} kind @param {string} [value] @returns {XPathToken} */
+    #expect(kind, value) {
+      const token = this.#accept(kind, value);
+      if (!token) { throw this.#error(); }
+      return token;
+    }
+    /**
+     * @method #readBinary - Reads a left-associative chain of binary operators.
+     * @param {string[]} operators - The operators at this precedence level.
+     * @param {() => (context: XPathContext) => XPathResult} read - Reads the next higher precedence level.
+     * @param {(operator: string, left: XPathResult, right: XPathResult, context: XPathContext) => XPathResult} apply - Applies an operator.
+     * @returns {(context: XPathContext) => XPathResult}
+     */
+    #readBinary(operators, read, apply) {
+      let left = read();
+      for (let token; (token = operators.map(o => this.#accept('operator', o)).find(t => t));) {
+        const [operator, a, b] = [token.value, left, read()];
+        left = context => apply(operator, a(context), b(context), context);
+      }
+      return left;
+    }
+    /** @method #readOr @returns {(context: XPathContext) => XPathResult} */
+    #readOr() { return this.#readBinary(['or'], () => this.#readAnd(), (_, a, b) => XPath.#boolean(a) || XPath.#boolean(b)); }
+    /** @method #readAnd @returns {(context: XPathContext) => XPathResult} */
+    #readAnd() { return this.#readBinary(['and'], () => this.#readEquality(), (_, a, b) => XPath.#boolean(a) && XPath.#boolean(b)); }
+    /** @method #readEquality @returns {(context: XPathContext) => XPathResult} */
+    #readEquality() { return this.#readBinary(['=', '!='], () => this.#readRelational(), XPath.#compare); }
+    /** @method #readRelational @returns {(context: XPathContext) => XPathResult} */
+    #readRelational() { return this.#readBinary(['<=', '<', '>=', '>'], () => this.#readAdditive(), XPath.#compare); }
+    /** @method #readAdditive @returns {(context: XPathContext) => XPathResult} */
+    #readAdditive() {
+      return this.#readBinary(['+', '-'], () => this.#readMultiplicative(), (operator, a, b) => operator === '+'
+        ? XPath.#number(a) + XPath.#number(b)
+        : XPath.#number(a) - XPath.#number(b));
+    }
+    /** @method #readMultiplicative @returns {(context: XPathContext) => XPathResult} */
+    #readMultiplicative() {
+      return this.#readBinary(['*', 'div', 'mod'], () => this.#readUnary(), (operator, a, b) => operator === '*' ? XPath.#number(a) * XPath.#number(b)
+        : operator === 'div' ? XPath.#number(a) / XPath.#number(b)
+        : XPath.#number(a) % XPath.#number(b));
+    }
+    /** @method #readUnary @returns {(context: XPathContext) => XPathResult} */
+    #readUnary() {
+      let negations = 0;
+      while (this.#accept('operator', '-')) { negations++; }
+      const value = this.#readUnion();
+      if (!negations) { return value; }
+      return context => XPath.#number(value(context)) * (negations % 2 ? -1 : 1);
+    }
+    /** @method #readUnion @returns {(context: XPathContext) => XPathResult} */
+    #readUnion() {
+      return this.#readBinary(['|'], () => this.#readPath(), (_, a, b, context) => XPath.#sort([...XPath.#nodes(a), ...XPath.#nodes(b)], context));
+    }
+    /** @method #readPath @returns {(context: XPathContext) => XPathResult} */
+    #readPath() {
+      const token = this.#tokens[this.#index];
+      if (XPath.#startsStep(token) || (token?.kind === 'operator' && (token.value === '/' || token.value === '//'))) {
+        return this.#readLocationPath();
+      }
+      const primary = this.#readPrimary();
+      const predicates = this.#readPredicates();
+      const filter = !predicates.length ? primary : (/** @type {XPathContext} */context) => predicates
+        .reduce((nodes, predicate) => XPath.#filter(nodes, predicate, context), XPath.#nodes(primary(context)));
+      const next = this.#tokens[this.#index];
+      if (next?.kind !== 'operator' || (next.value !== '/' && next.value !== '//')) { return filter; }
+      const steps = /** @type {XPathStep[]} */([]);
+      this.#index++;
+      if (next.value === '//') { steps.push(XPath.#step('descendant-or-self', () => true, [])); }
+      this.#readRelative(steps);
+      return context => steps.reduce((nodes, step) => step(nodes, context), XPath.#nodes(filter(context)));
+    }
+    /** @method #readLocationPath @returns {(context: XPathContext) => XPathResult} */
+    #readLocationPath() {
+      const steps = /** @type {XPathStep[]} */([]);
+      const absolute = this.#accept('operator', '/') ?? this.#accept('operator', '//');
+      if (absolute?.value === '//') { steps.push(XPath.#step('descendant-or-self', () => true, [])); }
+      if (!absolute || absolute.value === '//' || XPath.#startsStep(this.#tokens[this.#index])) { this.#readRelative(steps); }
+      return context => {
+        let node = context.node;
+        if (absolute) { while (node.parent) { node = node.parent; } }
+        return steps.reduce((nodes, step) => step(nodes, context), [node]);
+      };
+    }
+    /** @method #readRelative @param {XPathStep[]} steps @returns {XPathStep[]} */
+    #readRelative(steps) {
+      steps.push(this.#readStep());
+      for (let token; (token = this.#accept('operator', '/') ?? this.#accept('operator', '//'));) {
+        if (token.value === '//') { steps.push(XPath.#step('descendant-or-self', () => true, [])); }
+        steps.push(this.#readStep());
+      }
+      return steps;
+    }
+    /** @method #readStep @returns {XPathStep} */
+    #readStep() {
+      if (this.#accept('punct', '.')) { return XPath.#step('self', () => true, []); }
+      if (this.#accept('punct', '..')) { return XPath.#step('parent', () => true, []); }
+      let axis = 'child';
+      if (this.#accept('punct', '@')) { axis = 'attribute'; }
+      else if (this.#tokens[this.#index]?.kind === 'axis') {
+        axis = this.#expect('axis').value;
+        if (!(axis in XPath.#axes)) { throw this.#error(); }
+        this.#expect('punct', '::');
+      }
+      const test = this.#readNodeTest(axis);
+      return XPath.#step(axis, test, this.#readPredicates());
+    }
+    /** @method #readNodeTest @param {string} axis @returns {(node: XPathNode, context: XPathContext) => boolean} */
+    #readNodeTest(axis) {
+      const principal = axis === 'attribute' ? Xml.Attribute : Xml.Element;
+      const name = this.#accept('name')?.value;
+      if (name === '*') { return node => node instanceof principal; }
+      if (name) {
+        const [prefix, local] = [Xml.#prefix(name), Xml.#localName(name)];
+        return (node, context) => {
+          if (!(node instanceof Xml.Element || node instanceof Xml.Attribute) || !(node instanceof principal)) { return false; }
+          if (!prefix || !Object.hasOwn(context.namespaces, prefix)) { return local === '*' ? XPath.#name(node).startsWith(`${prefix}:`) : XPath.#name(node) === name; }
+          return node.namespaceURI === context.namespaces[prefix] && (local === '*' || node.localName === local);
+        };
+      }
+      const type = this.#expect('nodetype').value;
+      this.#expect('punct', '(');
+      const target = type === 'processing-instruction' ? this.#accept('literal')?.value : Xml.#unset;
+      this.#expect('punct', ')');
+      switch (type) {
+        case 'node': return () => true;
+        case 'text': return node => node instanceof Xml.Text || node instanceof Xml.CData;
+        case 'comment': return node => node instanceof Xml.Comment;
+        default: return node => (node instanceof Xml.ProcessingInstruction || node instanceof Xml.Declaration) && (target === Xml.#unset || XPath.#name(node) === target);
+      }
+    }
+    /** @method #readPredicates @returns {((context: XPathContext) => XPathResult)[]} */
+    #readPredicates() {
+      const predicates = [];
+      while (this.#accept('punct', '[')) {
+        predicates.push(this.#readOr());
+        this.#expect('punct', ']');
+      }
+      return predicates;
+    }
+    /** @method #readPrimary @returns {(context: XPathContext) => XPathResult} */
+    #readPrimary() {
+      const token = this.#tokens[this.#index++];
+      switch (token?.kind) {
+        case 'number': { const value = Number(token.value); return () => value; }
+        case 'literal': return () => token.value;
+        case 'variable': return context => {
+          if (!(token.value in context.variables)) { throw new Error(`Unknown XPath variable: $${token.value}`); }
+          return context.variables[token.value];
+        };
+        case 'function': {
+          const method = XPath.#functions[token.value];
+          if (!method) { throw new Error(`Unknown XPath function: ${token.value}()`); }
+          this.#expect('punct', '(');
+          const args = /** @type {((context: XPathContext) => XPathResult)[]} */([]);
+          if (!this.#accept('punct', ')')) {
+            do { args.push(this.#readOr()); } while (this.#accept('punct', ','));
+            this.#expect('punct', ')');
+          }
+          return context => method(context, ...args.map(arg => arg(context)));
+        }
+        case 'punct': if (token.value === '(') {
+          const value = this.#readOr();
+          this.#expect('punct', ')');
+          return value;
+        }
+      }
+      this.#index--;
+      throw this.#error();
+    }
+    /** @method #tokenize @param {string} expression @returns {XPathToken[]} */
+    static #tokenize(expression) {
+      const pattern = /\s*(?:(\d+(?:\.\d*)?|\.\d+)|"([^"]*)"|'([^']*)'|(\/\/|::|\.\.|!=|<=|>=|[\/.@,()[\]|+\-=<>])|\$((?:[A-Za-z_][\w.\-]*:)?[A-Za-z_][\w.\-]*)|((?:[A-Za-z_][\w.\-]*:)?(?:[A-Za-z_][\w.\-]*|\*)|\*))\s*/y;
+      const tokens = /** @type {XPathToken[]} */([]);
+      for (let offset = 0; offset < expression.length;) {
+        pattern.lastIndex = offset;
+        const match = pattern.exec(expression);
+        if (!match) { throw new Error(`Invalid XPath: ${expression} at ${offset}`); }
+        const [_, number, double, single, punct, variable, name] = match;
+        const kind = number ? 'number' : punct ? 'punct' : variable ? 'variable' : name ? 'name' : 'literal';
+        tokens.push({kind, value: number ?? double ?? single ?? punct ?? variable ?? name, offset: offset + match[0].length - match[0].trimStart().length});
+        offset += match[0].length;
+      }
+      const operators = ['/', '//', '|', '+', '-', '=', '!=', '<', '<=', '>', '>='];
+      for (let i = 0; i < tokens.length; i++) {
+        const [previous, token, next] = [tokens[i - 1], tokens[i], tokens[i + 1]];
+        const operand = previous && previous.kind !== 'operator' && !(previous.kind === 'punct' && ['@', '::', '(', '[', ','].includes(previous.value));
+        if (token.kind === 'punct' && operators.includes(token.value)) { token.kind = 'operator'; }
+        else if (token.kind !== 'name') { continue; }
+        else if (operand) {
+          if (!['and', 'or', 'mod', 'div', '*'].includes(token.value)) { throw new Error(`Invalid XPath: ${expression} at ${token.offset}`); }
+          token.kind = 'operator';
+        }
+        else if (next?.kind === 'punct' && next.value === '(') {
+          token.kind = ['node', 'text', 'comment', 'processing-instruction'].includes(token.value) ? 'nodetype' : 'function';
+        }
+        else if (next?.kind === 'punct' && next.value === '::') { token.kind = 'axis'; }
+      }
+      return tokens;
+    }
+    /** @method #startsStep @param {XPathToken|undefined} token @returns {boolean} */
+    static #startsStep(token) {
+      return ['name', 'axis', 'nodetype'].includes(token?.kind ?? '') || (token?.kind === 'punct' && ['.', '..', '@'].includes(token.value));
+    }
+    /**
+     * @method #step - Builds a location step that maps a node-set through an axis, node test and predicates.
+     * @param {string} axis
+     * @param {(node: XPathNode, context: XPathContext) => boolean} test
+     * @param {((context: XPathContext) => XPathResult)[]} predicates
+     * @returns {XPathStep}
+     */
+    static #step(axis, test, predicates) {
+      const reverse = ['ancestor', 'ancestor-or-self', 'preceding', 'preceding-sibling'].includes(axis);
+      return (nodes, context) => {
+        const result = [];
+        for (const node of nodes) {
+          let matched = XPath.#axes[axis](node).filter(item => test(item, context));
+          for (const predicate of predicates) { matched = XPath.#filter(matched, predicate, context); }
+          if (reverse) { matched.reverse(); }
+          for (const item of matched) { result.push(item); }
+        }
+        return nodes.length > 1 ? XPath.#sort(result, context) : result;
+      };
+    }
+    /**
+     * @method #filter - Applies a predicate to a node-set in axis order.
+     * @param {XPathNode[]} nodes
+     * @param {(context: XPathContext) => XPathResult} predicate
+     * @param {XPathContext} context
+     * @returns {XPathNode[]}
+     */
+    static #filter(nodes, predicate, context) {
+      return nodes.filter((node, index) => {
+        const value = predicate({...context, node, position: index + 1, size: nodes.length});
+        return typeof(value) === 'number' ? value === index + 1 : XPath.#boolean(value);
+      });
+    }
+    /** @type {Record<string, (node: XPathNode) => XPathNode[]>} */
+    static #axes = {
+      'child': node => XPath.#children(node),
+      'descendant': node => XPath.#descendants(node),
+      'descendant-or-self': node => [node, ...XPath.#descendants(node)],
+      'self': node => [node],
+      'parent': node => node.parent ? [node.parent] : [],
+      'ancestor': node => XPath.#ancestors(node),
+      'ancestor-or-self': node => [node, ...XPath.#ancestors(node)],
+      'following-sibling': node => XPath.#siblings(node, 1),
+      'preceding-sibling': node => XPath.#siblings(node, -1),
+      'following': node => {
+        const result = node instanceof Xml.Attribute ? XPath.#descendants(node.element) : [];
+        for (let current = node; current.parent; current = current.parent) {
+          for (const sibling of XPath.#siblings(current, 1)) { result.push(sibling, ...XPath.#descendants(sibling)); }
+        }
+        return result;
+      },
+      'preceding': node => {
+        const result = [];
+        for (let current = node; current.parent; current = current.parent) {
+          for (const sibling of XPath.#siblings(current, -1)) { result.push(...XPath.#descendants(sibling).reverse(), sibling); }
+        }
+        return result;
+      },
+      'attribute': node => node instanceof Xml.Element ? Object.keys(node.attributes).map(name => Xml.Attribute.of(node, name)) : [],
+    };
+    /** @method #children - Lists child nodes, leaving out the declarations of a DTD. @param {XPathNode} node @returns {InstanceType<Xml.Node>[]} */
+    static #children(node) {
+      return node instanceof Xml.Node && !(node instanceof Xml.DocumentType || node instanceof Xml.Metadata) ? [...node] : [];
+    }
+    /** @method #descendants - Lists descendants in document order without recursion. @param {XPathNode} node @returns {XPathNode[]} */
+    static #descendants(node) {
+      const result = [];
+      const stack = XPath.#children(node).reverse();
+      while (stack.length) {
+        const next = /** @type {InstanceType<Xml.Node>} */(stack.pop());
+        result.push(next);
+        stack.push(...XPath.#children(next).reverse());
+      }
+      return result;
+    }
+    /** @method #ancestors - Lists ancestors nearest first. @param {XPathNode} node @returns {XPathNode[]} */
+    static #ancestors(node) {
+      const result = [];
+      for (let parent = node.parent; parent; parent = parent.parent) { result.push(parent); }
+      return result;
+    }
+    /** @method #siblings - Lists following (1) or preceding (-1) siblings nearest first. @param {XPathNode} node @param {number} direction @returns {XPathNode[]} */
+    static #siblings(node, direction) {
+      if (node instanceof Xml.Attribute || !node.parent) { return []; }
+      const siblings = [...node.parent];
+      const index = siblings.indexOf(node);
+      return direction > 0 ? siblings.slice(index + 1) : siblings.slice(0, index).reverse();
+    }
+    /** @method #sort - Removes duplicates and sorts a node-set into document order. @param {XPathNode[]} nodes @param {XPathContext} context @returns {XPathNode[]} */
+    static #sort(nodes, context) {
+      const unique = [...new Set(nodes)];
+      if (unique.length < 2) { return unique; }
+      const keys = new Map(unique.map(node => {
+        const element = node instanceof Xml.Attribute ? node.element : node;
+        const attribute = node instanceof Xml.Attribute ? Object.keys(node.element.attributes).indexOf(node.name) : -1;
+        return [node, [...XPath.#position(element, context), attribute]];
+      }));
+      return unique.sort((a, b) => {
+        const [x, y] = [/** @type {number[]} */(keys.get(a)), /** @type {number[]} */(keys.get(b))];
+        return x[0] - y[0] || x[1] - y[1] || x[2] - y[2];
+      });
+    }
+    /**
+     * @method #position - Finds the tree and pre-order index of a node, indexing its tree with one walk the first time it is seen.
+     * @param {InstanceType<Xml.Node>} node
+     * @param {XPathContext} context
+     * @returns {[number, number]} - The order in which the tree was first seen, and the index of the node within it.
+     */
+    static #position(node, context) {
+      let tree = 0;
+      for (const index of context.order.values()) {
+        if (index.has(node)) { return [tree, /** @type {number} */(index.get(node))]; }
+        tree++;
+      }
+      let root = node;
+      while (root.parent) { root = root.parent; }
+      /** @type {Map<InstanceType<Xml.Node>, number>} */
+      const index = new Map();
+      const stack = [root];
+      while (stack.length) {
+        const next = /** @type {InstanceType<Xml.Node>} */(stack.pop());
+        index.set(next, index.size);
+        stack.push(...[...next].reverse());
+      }
+      context.order.set(root, index);
+      return [tree, /** @type {number} */(index.get(node))];
+    }
+    /** @method #nodes @param {XPathResult} value @returns {XPathNode[]} */
+    static #nodes(value) {
+      if (!Array.isArray(value)) { throw new Error(`XPath value is not a node-set: ${value}`); }
+      return value;
+    }
+    /** @method #name - The expanded name of a node, if it has one. @param {XPathNode} node @returns {string} */
+    static #name(node) {
+      if (node instanceof Xml.Attribute) { return node.name; }
+      if (node instanceof Xml.Element || node instanceof Xml.Declaration) { return node.type; }
+      if (node instanceof Xml.ProcessingInstruction) { return node.target; }
+      return '';
+    }
+    /** @method #stringValue - The XPath string-value of a node. @param {XPathNode} node @returns {string} */
+    static #stringValue(node) {
+      if (node instanceof Xml.Attribute) { return node.value; }
+      if (node instanceof Xml.ContentNode) { return node.content; }
+      if (node instanceof Xml.Declaration) { return Object.entries(node.pairs).map(([k, v]) => `${k}="${v}"`).join(' '); }
+      if (node instanceof Xml.ProcessingInstruction) { return node.data; }
+      if (node instanceof Xml.Metadata || node instanceof Xml.DocumentType) { return ''; }
+      return XPath.#descendants(node)
+        .map(child => child instanceof Xml.Text || child instanceof Xml.CData ? child.content : '')
+        .join('');
+    }
+    /** @method #string @param {XPathResult} value @returns {string} */
+    static #string(value) {
+      if (Array.isArray(value)) { return value.length ? XPath.#stringValue(value[0]) : ''; }
+      if (typeof(value) === 'number' && !isFinite(value)) { return isNaN(value) ? 'NaN' : value > 0 ? 'Infinity' : '-Infinity'; }
+      return `${value}`;
+    }
+    /** @method #number @param {XPathResult} value @returns {number} */
+    static #number(value) {
+      if (typeof(value) === 'number') { return value; }
+      if (typeof(value) === 'boolean') { return value ? 1 : 0; }
+      const text = XPath.#string(value).replace(/^[ \t\r\n]+|[ \t\r\n]+$/g, '');
+      return /^-?(?:\d+(?:\.\d*)?|\.\d+)$/.test(text) ? Number(text) : NaN;
+    }
+    /** @method #boolean @param {XPathResult} value @returns {boolean} */
+    static #boolean(value) {
+      if (Array.isArray(value)) { return value.length > 0; }
+      if (typeof(value) === 'number') { return value !== 0 && !isNaN(value); }
+      if (typeof(value) === 'string') { return value.length > 0; }
+      return value;
+    }
+    /**
+     * @method #compare - Compares two values with XPath 1.0 comparison rules.
+     * @param {string} operator
+     * @param {XPathResult} a
+     * @param {XPathResult} b
+     * @returns {boolean}
+     */
+    static #compare(operator, a, b) {
+      if (Array.isArray(a) && Array.isArray(b)) {
+        const right = b.map(XPath.#stringValue);
+        return a.some(x => right.some(y => XPath.#compare(operator, XPath.#stringValue(x), y)));
+      }
+      if (Array.isArray(a) || Array.isArray(b)) {
+        const [nodes, other] = Array.isArray(a) ? [a, b] : [/** @type {XPathNode[]} */(b), a];
+        const flip = (/** @type {XPathResult} */x) => Array.isArray(a) ? XPath.#compare(operator, x, other) : XPath.#compare(operator, other, x);
+        if (typeof(other) === 'boolean') { return flip(XPath.#boolean(nodes)); }
+        return nodes.some(node => flip(typeof(other) === 'number' ? XPath.#number(XPath.#stringValue(node)) : XPath.#stringValue(node)));
+      }
+      if (operator === '=' || operator === '!=') {
+        const convert = typeof(a) === 'boolean' || typeof(b) === 'boolean' ? XPath.#boolean
+          : typeof(a) === 'number' || typeof(b) === 'number' ? XPath.#number
+          : XPath.#string;
+        return (convert(a) === convert(b)) === (operator === '=');
+      }
+      const [x, y] = [XPath.#number(a), XPath.#number(b)];
+      switch (operator) {
+        case '<': return x < y;
+        case '<=': return x <= y;
+        case '>': return x > y;
+        default: return x >= y;
+      }
+    }
+    /** @type {Record<string, (context: XPathContext, ...args: XPathResult[]) => XPathResult>} */
+    static #functions = {
+      'last': context => context.size,
+      'position': context => context.position,
+      'count': (context, nodes) => XPath.#nodes(nodes).length,
+      'name': (context, nodes = [context.node]) => { const [node] = XPath.#nodes(nodes); return node ? XPath.#name(node) : ''; },
+      'local-name': (context, nodes = [context.node]) => { const [node] = XPath.#nodes(nodes); return node ? Xml.#localName(XPath.#name(node)) : ''; },
+      'namespace-uri': (context, nodes = [context.node]) => {
+        const [node] = XPath.#nodes(nodes);
+        return (node instanceof Xml.Element || node instanceof Xml.Attribute) && node.namespaceURI || '';
+      },
+      'string': (context, value = [context.node]) => XPath.#string(value),
+      'concat': (context, ...values) => values.map(XPath.#string).join(''),
+      'starts-with': (context, text, prefix) => XPath.#string(text).startsWith(XPath.#string(prefix)),
+      'contains': (context, text, part) => XPath.#string(text).includes(XPath.#string(part)),
+      'substring-before': (context, text, part) => {
+        const [value, index] = [XPath.#string(text), XPath.#string(text).indexOf(XPath.#string(part))];
+        return index < 0 ? '' : value.slice(0, index);
+      },
+      'substring-after': (context, text, part) => {
+        const [value, search] = [XPath.#string(text), XPath.#string(part)];
+        const index = value.indexOf(search);
+        return index < 0 ? '' : value.slice(index + search.length);
+      },
+      'substring': (context, text, start, length) => {
+        const first = Math.round(XPath.#number(start));
+        const last = length === Xml.#unset ? Infinity : first + Math.round(XPath.#number(length));
+        return Array.from(XPath.#string(text)).filter((_, i) => i + 1 >= first && i + 1 < last).join('');
+      },
+      'string-length': (context, value = [context.node]) => Array.from(XPath.#string(value)).length,
+      'normalize-space': (context, value = [context.node]) => XPath.#string(value).replace(/[ \t\r\n]+/g, ' ').replace(/^ | $/g, ''),
+      'translate': (context, text, from, to) => {
+        const [source, target] = [Array.from(XPath.#string(from)), Array.from(XPath.#string(to))];
+        const map = new Map(source.map((c, i) => /** @type {[string, string]} */([c, target[i] ?? ''])).reverse());
+        return Array.from(XPath.#string(text)).map(c => map.get(c) ?? c).join('');
+      },
+      'boolean': (context, value) => XPath.#boolean(value),
+      'not': (context, value) => !XPath.#boolean(value),
+      'true': () => true,
+      'false': () => false,
+      'number': (context, value = [context.node]) => XPath.#number(value),
+      'sum': (context, nodes) => XPath.#nodes(nodes).reduce((total, node) => total + XPath.#number(XPath.#stringValue(node)), 0),
+      'floor': (context, value) => Math.floor(XPath.#number(value)),
+      'ceiling': (context, value) => Math.ceil(XPath.#number(value)),
+      'round': (context, value) => Math.round(XPath.#number(value)),
+    };
+  }
+  static Serializer =
+  /**
+   * @class Xml.Serializer - Serializes nodes with configurable formatting, or as Canonical XML.
+   * @note Canonical output follows Canonical XML 1.0 and Exclusive XML Canonicalization 1.0 for whole documents and element subtrees:
+   *       declarations and metadata are dropped, CDATA becomes text, empty elements get end tags, and namespaces and attributes are sorted.
+   */
+  class Serializer {
+    /** @type {Required<Omit<SerializeOptions, 'declaration'|'canonical'|'indent'|'encoding'>> & {indent: string, declaration?: boolean, canonical?: 'c14n'|'exc-c14n', encoding?: string}} */
+    #options;
+    /** @readonly @property {SerializeOptions} options - A copy of the normalized options. */
+    get options() { return {...this.#options}; }
+    /**
+     * @constructor
+     * @param {SerializeOptions} [options={}] - The output options.
+     * @throws {Error} - If an option is invalid.
+     */
+    constructor(options = {}) {
+      const indent = typeof(options.indent) === 'number' ? ' '.repeat(options.indent) : `${options.indent ?? ''}`;
+      this.#options = {
+        indent,
+        newline: `${options.newline ?? '\n'}`,
+        whitespace: options.whitespace ?? (indent ? 'remove' : 'preserve'),
+        selfClosing: options.selfClosing ?? true,
+        sortAttributes: options.sortAttributes ?? false,
+        quote: options.quote ?? '"',
+        declaration: options.declaration,
+        canonical: options.canonical,
+        comments: options.comments ?? false,
+        inclusiveNamespaces: [...options.inclusiveNamespaces ?? []],
+        html: options.html ?? false,
+        encoding: options.encoding,
+      };
+      if (!['preserve', 'remove', 'trim'].includes(this.#options.whitespace)) { throw new Error(`Invalid whitespace option: ${this.#options.whitespace}`); }
+      if (!['"', "'"].includes(this.#options.quote)) { throw new Error(`Invalid quote option: ${this.#options.quote}`); }
+      if (![Xml.#unset, 'c14n', 'exc-c14n'].includes(this.#options.canonical)) { throw new Error(`Invalid canonical option: ${this.#options.canonical}`); }
+    }
+    /**
+     * @method serialize - Serializes a node.
+     * @param {InstanceType<Xml.Node>} node - The node to serialize, a document or any node within one.
+     * @returns {string} - The serialized text.
+     */
+    serialize(node) {
+      if (this.#options.canonical) { return this.#canonical(node); }
+      const {declaration, indent, newline} = this.#options;
+      const items = node.constructor === Xml.Node ? [...node] : [node];
+      const text = items.filter(item => declaration !== false || !Serializer.#isXmlDeclaration(item))
+        .map(item => this.#write(item, 0))
+        .filter(text => text !== Xml.#unset)
+        .join(indent ? newline : '');
+      if (!declaration || this.#options.html || items.some(Serializer.#isXmlDeclaration)) { return text; }
+      return `<?xml version=${this.#quote('1.0')} encoding=${this.#quote(this.#options.encoding ?? 'UTF-8')}?>${newline}${text}`;
+    }
+    /**
+     * @method encode - Serializes a node to bytes.
+     * @note Characters the encoding cannot represent are written as character references, which are not valid in names, comments or CDATA.
+     * @param {InstanceType<Xml.Node>} node - The node to serialize.
+     * @returns {Uint8Array} - The encoded text in the encoding option, else the one the document declares or UTF-8, with a byte order mark for UTF-16.
+     * @throws {Error} - If the encoding is not supported, or is a multi-byte encoding other than UTF-8 and UTF-16.
+     */
+    encode(node) {
+      const declared = node.constructor === Xml.Node ? [...node].find(Serializer.#isXmlDeclaration) : Xml.#unset;
+      const label = this.#options.canonical ? 'UTF-8' : this.#options.encoding ?? /** @type {InstanceType<Xml.Declaration>|undefined} */(declared)?.pairs.encoding ?? 'UTF-8';
+      const encoding = Xml.#decoder(label).encoding;
+      const text = this.serialize(node);
+      if (encoding === 'utf-8') { return new TextEncoder().encode(text); }
+      if (encoding === 'utf-16le' || encoding === 'utf-16be') {
+        const bytes = new Uint8Array(2 + text.length * 2);
+        const view = new DataView(bytes.buffer);
+        const little = encoding === 'utf-16le';
+        view.setUint16(0, 0xFEFF, little);
+        for (let i = 0; i < text.length; i++) { view.setUint16(2 + i * 2, text.charCodeAt(i), little); }
+        return bytes;
+      }
+      const table = Serializer.#byteTable(encoding);
+      /** @type {number[]} */
+      const bytes = [];
+      for (const char of text) {
+        const byte = table.get(char);
+        if (byte !== Xml.#unset) { bytes.push(byte); }
+        else { for (const code of `&#x${/** @type {number} */(char.codePointAt(0)).toString(16).toUpperCase()};`) { bytes.push(code.charCodeAt(0)); } }
+      }
+      return Uint8Array.from(bytes);
+    }
+    /** @type {Map<string, Map<string, number>>} */
+    static #byteTables = new Map();
+    /** @type {string[]} - The multi-byte encodings that TextDecoder decodes but that cannot be encoded by a table of bytes. */
+    static #multiByte = ['big5', 'euc-jp', 'euc-kr', 'gb18030', 'gbk', 'iso-2022-jp', 'shift_jis', 'replacement'];
+    /**
+     * @method #byteTable - Maps characters to bytes for a single byte encoding, by decoding each byte.
+     * @param {string} encoding - The canonical name of the encoding.
+     * @returns {Map<string, number>}
+     * @throws {Error} - If the encoding is multi-byte.
+     */
+    static #byteTable(encoding) {
+      if (Serializer.#multiByte.includes(encoding)) { throw new Error(`Unsupported encoding for output: ${encoding}`); }
+      let table = Serializer.#byteTables.get(encoding);
+      if (table) { return table; }
+      const decoder = new TextDecoder(encoding);
+      table = new Map();
+      for (let byte = 255; byte >= 0; byte--) {
+        const char = decoder.decode(Uint8Array.of(byte));
+        if (char !== '\uFFFD') { table.set(char, byte); }
+      }
+      Serializer.#byteTables.set(encoding, table);
+      return table;
+    }
+    /** @method #isXmlDeclaration @param {InstanceType<Xml.Node>} node @returns {boolean} */
+    static #isXmlDeclaration(node) { return node instanceof Xml.Declaration && node.type.toLowerCase() === 'xml'; }
+    /** @method #quote - Quotes an attribute value. @param {string} value @returns {string} */
+    #quote(value) { return `${this.#options.quote}${Xml.escapeValue(value)}${this.#options.quote}`; }
+    /**
+     * @method #write - Writes a node at a depth, or nothing for removed whitespace.
+     * @param {InstanceType<Xml.Node>} node - The node to write.
+     * @param {number} depth - The element depth of the node.
+     * @returns {string|undefined}
+     */
+    #write(node, depth) {
+      const {indent, newline, whitespace, selfClosing, html} = this.#options;
+      if (node instanceof Xml.Text) {
+        const blank = !/[^ \t\r\n]/.test(node.content);
+        if (blank && whitespace !== 'preserve') { return Xml.#unset; }
+        const content = whitespace === 'trim' ? node.content.trim() : node.content;
+        const parent = node.parent instanceof Xml.Element ? node.parent.type.toLowerCase() : '';
+        return html && Xml.#rawTextElements[parent] === false ? content : Xml.escape(content);
+      }
+      if (node instanceof Xml.Declaration) {
+        const entries = Object.entries(node.pairs);
+        if (this.#options.encoding && Serializer.#isXmlDeclaration(node)) {
+          const index = entries.findIndex(([name]) => name === 'encoding');
+          if (index < 0) { entries.splice(entries.findIndex(([name]) => name === 'version') + 1, 0, ['encoding', this.#options.encoding]); }
+          else { entries[index] = ['encoding', this.#options.encoding]; }
+        }
+        const pairs = entries.map(([name, value]) => ` ${name}=${this.#quote(value)}`);
+        return `<?${node.type}${pairs.join('')}?>`;
+      }
+      if (!(node instanceof Xml.Element)) { return node.toString(); }
+      const children = [...node].map(child => this.#write(child, depth + 1)).filter(text => text !== Xml.#unset);
+      const open = `<${node.type}${this.#attributes(node).map(([name, value]) => ` ${name}=${this.#quote(value)}`).join('')}`;
+      if (html && Xml.#voidElements.has(node.type.toLowerCase())) { return `${open}>`; }
+      if (!children.length) { return selfClosing && !html ? `${open}/>` : `${open}></${node.type}>`; }
+      const inline = !indent || [...node].some(child => (child instanceof Xml.Text || child instanceof Xml.CData) && this.#write(child, depth + 1) !== Xml.#unset);
+      if (inline) { return `${open}>${children.join('')}</${node.type}>`; }
+      const inner = newline + indent.repeat(depth + 1);
+      return `${open}>${inner}${children.join(inner)}${newline}${indent.repeat(depth)}</${node.type}>`;
+    }
+    /**
+     * @method #attributes - Lists the attributes of an element, with programmatic namespaces declared first.
+     * @param {InstanceType<Xml.Element>} element - The element.
+     * @returns {[string, string][]}
+     */
+    #attributes(element) {
+      const {sortAttributes} = this.#options;
+      const declarations = Object.entries(element.namespaces)
+        .map(([prefix, uri]) => [prefix ? `xmlns:${prefix}` : 'xmlns', uri])
+        .filter(([name, uri]) => !Object.hasOwn(element.attributes, name)
+          && (element.parent?.lookupNamespaceURI(name === 'xmlns' ? '' : name.slice(6)) ?? '') !== uri);
+      const attributes = /** @type {[string, string][]} */([...declarations, ...Object.entries(element.attributes)]);
+      if (!sortAttributes) { return attributes; }
+      const compare = typeof(sortAttributes) === 'function' ? sortAttributes : Serializer.#compare;
+      return attributes.sort(([a], [b]) => compare(a, b));
+    }
+    /** @method #compare - Compares strings by code point, as canonical ordering requires. @param {string} a @param {string} b @returns {number} */
+    static #compare(a, b) { return a < b ? -1 : a > b ? 1 : 0; }
+    /**
+     * @method #canonical - Writes a document or subtree as Canonical XML.
+     * @param {InstanceType<Xml.Node>} node - The document or apex node.
+     * @returns {string}
+     */
+    #canonical(node) {
+      if (node instanceof Xml.Element) {
+        const scope = /** @type {Record<string, string>} */({});
+        /** @type {Record<string, string>} */
+        const inherited = {};
+        for (let parent = node.parent; parent; parent = parent.parent) {
+          if (!(parent instanceof Xml.Element)) { continue; }
+          for (const [prefix, uri] of Object.entries(parent.namespaces)) { scope[prefix] ??= uri; }
+          for (const [name, value] of Object.entries(parent.attributes)) { if (name.startsWith('xml:')) { inherited[name] ??= value; } }
+        }
+        if (this.#options.canonical === 'exc-c14n') { return this.#canonicalElement(node, scope, {'': ''}, {}); }
+        return this.#canonicalElement(node, scope, {'': ''}, inherited);
+      }
+      if (node.constructor !== Xml.Node) { return this.#canonicalNode(node, {}, {'': ''}); }
+      const output = [];
+      let seen = false;
+      for (const child of node) {
+        if (child instanceof Xml.Element) { seen = true; }
+        const text = child instanceof Xml.Element || child instanceof Xml.ProcessingInstruction || child instanceof Xml.Declaration || child instanceof Xml.Comment
+          ? this.#canonicalNode(child, {}, {'': ''})
+          : '';
+        if (!text) { continue; }
+        output.push(child instanceof Xml.Element ? text : seen ? `\n${text}` : `${text}\n`);
+      }
+      return output.join('');
+    }
+    /**
+     * @method #canonicalNode - Writes a node in canonical form.
+     * @param {InstanceType<Xml.Node>} node - The node to write.
+     * @param {Record<string, string>} scope - The namespaces in scope of the parent, by prefix.
+     * @param {Record<string, string>} rendered - The namespaces declared by output ancestors, by prefix.
+     * @returns {string}
+     */
+    #canonicalNode(node, scope, rendered) {
+      if (node instanceof Xml.Element) { return this.#canonicalElement(node, scope, rendered, {}); }
+      if (node instanceof Xml.Text || node instanceof Xml.CData) { return Serializer.#canonicalText(node.content); }
+      if (node instanceof Xml.Comment) { return this.#options.comments ? `<!--${node.content}-->` : ''; }
+      if (node instanceof Xml.ProcessingInstruction) { return node.toString(); }
+      if (node instanceof Xml.Declaration && !Serializer.#isXmlDeclaration(node)) {
+        const data = Object.entries(node.pairs).map(([name, value]) => `${name}="${Serializer.#canonicalValue(value)}"`).join(' ');
+        return `<?${node.type}${data ? ` ${data}` : ''}?>`;
+      }
+      return node.constructor === Xml.Node ? [...node].map(child => this.#canonicalNode(child, scope, rendered)).join('') : '';
+    }
+    /**
+     * @method #canonicalElement - Writes an element in canonical form.
+     * @param {InstanceType<Xml.Element>} element - The element to write.
+     * @param {Record<string, string>} scope - The namespaces in scope of the parent, by prefix.
+     * @param {Record<string, string>} rendered - The namespaces declared by output ancestors, by prefix.
+     * @param {Record<string, string>} inherited - The xml: attributes inherited by an inclusive subtree apex.
+     * @returns {string}
+     */
+    #canonicalElement(element, scope, rendered, inherited) {
+      const exclusive = this.#options.canonical === 'exc-c14n';
+      scope = {...scope, ...element.namespaces};
+      const attributes = Object.entries(element.attributes).filter(([name]) => name !== 'xmlns' && !name.startsWith('xmlns:'));
+      for (const [name, value] of Object.entries(inherited)) { if (!Object.hasOwn(element.attributes, name)) { attributes.push([name, value]); } }
+      let prefixes = Object.keys(scope).filter(prefix => prefix !== 'xml');
+      if (exclusive) {
+        const included = this.#options.inclusiveNamespaces.map(prefix => prefix === '#default' ? '' : prefix);
+        const utilized = [element.prefix, ...attributes.map(([name]) => Xml.#prefix(name)).filter(prefix => prefix)];
+        prefixes = prefixes.filter(prefix => utilized.includes(prefix) || included.includes(prefix));
+        if (utilized.includes('') && !prefixes.includes('')) { prefixes.push(''); }
+      }
+      rendered = {...rendered};
+      const declarations = [];
+      for (const prefix of prefixes.sort(Serializer.#compare)) {
+        const uri = scope[prefix] ?? '';
+        if ((rendered[prefix] ?? '') === uri && (prefix === '' || Object.hasOwn(rendered, prefix))) { continue; }
+        if (prefix && !uri) { continue; }
+        rendered[prefix] = uri;
+        declarations.push(` ${prefix ? `xmlns:${prefix}` : 'xmlns'}="${Serializer.#canonicalValue(uri)}"`);
+      }
+      const sorted = attributes.map(([name, value]) => /** @type {[string, string, string]} */(
+        [Xml.#prefix(name) === 'xml' ? Xml.#xmlNamespace : Xml.#prefix(name) ? scope[Xml.#prefix(name)] ?? '' : '', Xml.#localName(name), ` ${name}="${Serializer.#canonicalValue(value)}"`]
+      )).sort(([a, x], [b, y]) => Serializer.#compare(a, b) || Serializer.#compare(x, y));
+      const content = [...element].map(child => this.#canonicalNode(child, scope, rendered)).join('');
+      return `<${element.type}${declarations.join('')}${sorted.map(([, , text]) => text).join('')}>${content}</${element.type}>`;
+    }
+    /** @method #canonicalText @param {string} text @returns {string} */
+    static #canonicalText(text) { return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\r/g, '&#xD;'); }
+    /** @method #canonicalValue @param {string} value @returns {string} */
+    static #canonicalValue(value) {
+      return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;')
+        .replace(/\t/g, '&#x9;').replace(/\n/g, '&#xA;').replace(/\r/g, '&#xD;');
+    }
+  }
+  static Schema =
+  /**
+   * @class Xml.Schema - Element and attribute rules for validating documents, compiled from DTD declarations or an XSD subset.
+   * @note The XSD subset covers global and local elements and element references, named and anonymous types, sequence, choice, all,
+   *       any and group references with minOccurs and maxOccurs, mixed, simple and complex content extensions, attributes and attribute groups
+   *       that are required, fixed or have defaults, and simple type restrictions with enumeration, pattern, length and range facets.
+   *       XSD elements and attributes match by local name, their namespaces are not checked.
+   */
+  class Schema {
+    /** @type {string} */
+    static #xsdNamespace = 'http://www.w3.org/2001/XMLSchema';
+    /** @type {Map<string, SchemaElement>} */
+    #elements = new Map();
+    /** @readonly @property {string[]} elements - The names of the global element declarations. */
+    get elements() { return [...this.#elements.keys()]; }
+    /** @type {string|undefined} */
+    #root = Xml.#unset;
+    /** @readonly @property {string|undefined} root - The name the document element must have, from a DOCTYPE. */
+    get root() { return this.#root; }
+    /** @type {boolean} */
+    #qualified = true;
+    /** @type {Map<string, InstanceType<Xml.Element>>} */
+    #definitions = new Map();
+    /** @type {Map<InstanceType<Xml.Element>, SchemaType|SchemaSimpleType>} */
+    #compiled = new Map();
+    /**
+     * @static
+     * @method from - Compiles a schema from an XSD document, or from DTD declarations.
+     * @param {InstanceType<Xml.Node>|string} source - A parsed XSD document or DTD, or its text.
+     * @returns {InstanceType<Xml.Schema>}
+     */
+    static from(source) {
+      const node = typeof(source) === 'string' ? Xml.parse(source) : source;
+      const root = node instanceof Xml.Element ? node : [...node].find(child => child instanceof Xml.Element);
+      return root?.localName === 'schema' && root.namespaceURI === Schema.#xsdNamespace ? Schema.fromXSD(node) : Schema.fromDTD(node);
+    }
+    /**
+     * @static
+     * @method fromDTD - Compiles a schema from the ELEMENT and ATTLIST declarations of a DTD.
+     * @param {InstanceType<Xml.Node>|string} source - A document with a DOCTYPE, an Xml.DocumentType, parsed declarations, or the text of a DTD.
+     * @returns {InstanceType<Xml.Schema>}
+     */
+    static fromDTD(source) {
+      const node = typeof(source) === 'string' ? Xml.parse(source) : source;
+      const schema = new Schema();
+      const doctype = node instanceof Xml.DocumentType ? node : [...node].find(child => child instanceof Xml.DocumentType);
+      schema.#root = doctype?.name;
+      const declarations = /** @type {InstanceType<Xml.Metadata>[]} */([...node, ...doctype && doctype !== node ? [...doctype] : []]
+        .filter(child => child instanceof Xml.Metadata && !(child instanceof Xml.DocumentType)));
+      for (const declaration of declarations.filter(declaration => declaration.type === 'ELEMENT')) {
+        const [name, ...spec] = declaration.tokens;
+        if (name && !schema.#elements.has(name)) { schema.#elements.set(name, {name, type: Schema.#dtdType(spec.join(''))}); }
+      }
+      for (const declaration of declarations.filter(declaration => declaration.type === 'ATTLIST')) {
+        const [name, ...definitions] = declaration.tokens.join(' ').match(/"[^"]*"|'[^']*'|\([^)]*\)|[^\s()"']+/g) ?? [];
+        const element = name ? schema.#elements.get(name) : Xml.#unset;
+        for (let i = 0; element && i < definitions.length;) {
+          const attribute = definitions[i++];
+          let kind = definitions[i++] ?? 'CDATA';
+          if (kind === 'NOTATION') { kind = definitions[i++] ?? ''; }
+          const value = definitions[i++] ?? '#IMPLIED';
+          const fixed = value === '#FIXED' ? definitions[i++]?.slice(1, -1) ?? '' : Xml.#unset;
+          const enumeration = kind.startsWith('(') ? kind.slice(1, -1).split('|').map(token => token.trim()) : Xml.#unset;
+          if (element.type.attributes.has(attribute)) { continue; }
+          element.type.attributes.set(attribute, {name: attribute, type: {base: enumeration ? 'NMTOKEN' : kind, enumeration, patterns: [], facets: {}}, required: value === '#REQUIRED', fixed});
+        }
+      }
+      return schema;
+    }
+    /**
+     * @static
+     * @method fromXSD - Compiles a schema from a subset of XML Schema 1.0.
+     * @param {InstanceType<Xml.Node>|string} source - A parsed XSD document, its xs:schema element, or its text.
+     * @returns {InstanceType<Xml.Schema>}
+     * @throws {Error} - If a type, group or reference is not defined.
+     */
+    static fromXSD(source) {
+      const node = typeof(source) === 'string' ? Xml.parse(source) : source;
+      const root = node instanceof Xml.Element ? node : [...node].find(child => child instanceof Xml.Element);
+      if (root?.localName !== 'schema') { throw new Error('An XSD must have an xs:schema element'); }
+      const schema = new Schema();
+      schema.#qualified = false;
+      const definitions = Schema.#xsdChildren(root);
+      for (const child of definitions) {
+        if (child.localName === 'element') { schema.#elements.set(child.attributes.name, {name: child.attributes.name, type: Schema.#anyType()}); }
+        else { schema.#definitions.set(`${child.localName}:${child.attributes.name}`, child); }
+      }
+      for (const child of definitions.filter(child => child.localName === 'element')) {
+        /** @type {SchemaElement} */(schema.#elements.get(child.attributes.name)).type = schema.#xsdElement(child).type;
+      }
+      return schema;
+    }
+    /**
+     * @method validate - Validates a document against this schema.
+     * @param {InstanceType<Xml.Node>} document - A parsed document, or an element to validate as a document element.
+     * @returns {ValidationError[]} - The errors, in document order, or none when the document is valid.
+     */
+    validate(document) {
+      /** @type {ValidationError[]} */
+      const errors = [];
+      /** @type {(node: XPathNode, path: string, code: string, message: string) => void} */
+      const report = (node, path, code, message) => { errors.push({node, path, code, message}); };
+      const roots = document instanceof Xml.Element ? [document] : /** @type {InstanceType<Xml.Element>[]} */([...document].filter(child => child instanceof Xml.Element));
+      /** @type {[InstanceType<Xml.Element>, SchemaElement|undefined, string][]} */
+      const stack = roots.map(root => [root, this.#elements.get(this.#name(root)), `/${root.type}`]);
+      for (const [root, , path] of stack) {
+        if (this.#root !== Xml.#unset && root.type !== this.#root) { report(root, path, 'invalid-root', `Document element ${root.type} does not match the document type ${this.#root}`); }
+      }
+      stack.reverse();
+      while (stack.length) {
+        const [element, declaration, path] = /** @type {typeof stack[number]} */(stack.pop());
+        if (!declaration) { report(element, path, 'undeclared-element', `Element ${element.type} is not declared`); continue; }
+        this.#validateAttributes(element, declaration.type, path, report);
+        stack.push(...this.#validateContent(element, declaration.type, path, report).reverse());
+      }
+      return errors;
+    }
+    /** @method #name - The name an element is declared by. @param {InstanceType<Xml.Element>} element @returns {string} */
+    #name(element) { return this.#qualified ? element.type : element.localName; }
+    /**
+     * @method #validateAttributes - Checks the attributes of an element against its type.
+     * @param {InstanceType<Xml.Element>} element - The element.
+     * @param {SchemaType} type - The type of the element.
+     * @param {string} path - The path of the element.
+     * @param {(node: XPathNode, path: string, code: string, message: string) => void} report - Records an error.
+     */
+    #validateAttributes(element, type, path, report) {
+      for (const [name, value] of Object.entries(element.attributes)) {
+        const prefix = Xml.#prefix(name);
+        if (name === 'xmlns' || prefix === 'xmlns' || (!this.#qualified && (prefix === 'xml' || element.lookupNamespaceURI(prefix) === 'http://www.w3.org/2001/XMLSchema-instance'))) { continue; }
+        const attribute = type.attributes.get(this.#qualified ? name : Xml.#localName(name));
+        const node = Xml.Attribute.of(element, name);
+        if (!attribute) {
+          if (!type.anyAttribute) { report(node, `${path}/@${name}`, 'undeclared-attribute', `Attribute ${name} is not declared for element ${element.type}`); }
+          continue;
+        }
+        const problem = attribute.fixed !== Xml.#unset && value !== attribute.fixed ? `must be "${attribute.fixed}"` : Schema.#check(attribute.type, value);
+        if (problem) { report(node, `${path}/@${name}`, 'invalid-value', `Attribute ${name} of element ${element.type} ${problem}`); }
+      }
+      for (const attribute of type.attributes.values()) {
+        const present = Object.keys(element.attributes).some(name => (this.#qualified ? name : Xml.#localName(name)) === attribute.name);
+        if (attribute.required && !present) { report(element, path, 'missing-attribute', `Element ${element.type} is missing the required attribute ${attribute.name}`); }
+      }
+    }
+    /**
+     * @method #validateContent - Checks the content of an element against its type.
+     * @param {InstanceType<Xml.Element>} element - The element.
+     * @param {SchemaType} type - The type of the element.
+     * @param {string} path - The path of the element.
+     * @param {(node: XPathNode, path: string, code: string, message: string) => void} report - Records an error.
+     * @returns {[InstanceType<Xml.Element>, SchemaElement|undefined, string][]} - The child elements to validate, with their declarations and paths.
+     */
+    #validateContent(element, type, path, report) {
+      const children = /** @type {InstanceType<Xml.Element>[]} */([...element].filter(child => child instanceof Xml.Element));
+      const text = [...element].filter(child => child instanceof Xml.Text || child instanceof Xml.CData).map(child => /** @type {InstanceType<Xml.Text>} */(child).content).join('');
+      const names = children.map(child => this.#name(child));
+      if (type.content === 'empty' && (children.length || text.trim())) { report(element, path, 'invalid-content', `Element ${element.type} must be empty`); }
+      if (type.content === 'simple' && children.length) { report(element, path, 'invalid-content', `Element ${element.type} must not contain elements`); }
+      if (type.content === 'simple' && !children.length) {
+        const problem = Schema.#check(/** @type {SchemaSimpleType} */(type.text), text);
+        if (problem) { report(element, path, 'invalid-value', `Element ${element.type} ${problem}`); }
+      }
+      if (type.content === 'elements' && !type.mixed && text.trim()) { report(element, path, 'invalid-content', `Element ${element.type} must not contain text`); }
+      if (type.content === 'elements' && type.particle && !Schema.#matches(type.particle, names)) {
+        report(element, path, 'invalid-content', `Element ${element.type} must contain ${Schema.#describe(type.particle)}, not (${names.join(', ')})`);
+      }
+      if (type.content !== 'elements' && type.content !== 'any') { return []; }
+      /** @type {Record<string, number>} */
+      const counts = {};
+      for (const child of children) { counts[child.type] = (counts[child.type] ?? 0) + 1; }
+      /** @type {Record<string, number>} */
+      const seen = {};
+      return children.flatMap((child, i) => {
+        const declaration = type.elements.get(names[i]) ?? this.#elements.get(names[i]);
+        const index = seen[child.type] = (seen[child.type] ?? 0) + 1;
+        const childPath = `${path}/${child.type}${counts[child.type] > 1 ? `[${index}]` : ''}`;
+        return declaration || this.#qualified ? [/** @type {[InstanceType<Xml.Element>, SchemaElement|undefined, string]} */([child, declaration, childPath])] : [];
+      });
+    }
+    /** @method #matches - Whether a sequence of element names matches a content model. @param {SchemaParticle} particle @param {string[]} names @returns {boolean} */
+    static #matches(particle, names) {
+      if (!Schema.#patterns.has(particle)) { Schema.#patterns.set(particle, new RegExp(`^${Schema.#pattern(particle)}$`)); }
+      if (!/** @type {RegExp} */(Schema.#patterns.get(particle)).test(names.map(name => `<${name}>`).join(''))) { return false; }
+      if (particle.kind !== 'all' || (!names.length && !particle.min)) { return true; }
+      return particle.items.every(item => {
+        const count = names.filter(name => item.kind === 'element' && name === item.name).length;
+        return count >= item.min && count <= item.max;
+      });
+    }
+    /** @type {WeakMap<SchemaParticle, RegExp>} */
+    static #patterns = new WeakMap();
+    /** @method #pattern - Compiles a content model to a regular expression over names written as <name>. @param {SchemaParticle} particle @returns {string} */
+    static #pattern(particle) {
+      const quantifier = particle.min === 1 && particle.max === 1 ? ''
+        : `{${particle.min},${particle.max === Infinity ? '' : particle.max}}`;
+      if (particle.kind === 'element') { return `(?:<${particle.name.replace(/[.\-]/g, '\\$&')}>)${quantifier}`; }
+      if (particle.kind === 'any') { return `(?:<[^>]*>)${quantifier}`; }
+      const items = particle.items.map(item => Schema.#pattern(item));
+      if (particle.kind === 'sequence') { return `(?:${items.join('')})${quantifier}`; }
+      return particle.kind === 'all' ? `(?:${items.join('|')})*` : `(?:${items.join('|') || '(?!)'})${quantifier}`;
+    }
+    /** @method #describe - Writes a content model in DTD notation. @param {SchemaParticle} particle @returns {string} */
+    static #describe(particle) {
+      const {min, max} = particle;
+      const quantifier = min === 1 && max === 1 ? '' : min === 0 && max === 1 ? '?' : min === 0 && max === Infinity ? '*' : min === 1 && max === Infinity ? '+' : `{${min},${max === Infinity ? '' : max}}`;
+      if (particle.kind === 'element') { return `${particle.name}${quantifier}`; }
+      if (particle.kind === 'any') { return `ANY${quantifier}`; }
+      return `(${particle.items.map(item => Schema.#describe(item)).join(particle.kind === 'sequence' ? ', ' : particle.kind === 'all' ? ' & ' : ' | ')})${quantifier}`;
+    }
+    /** @method #anyType - Creates a type allowing any content and attributes. @returns {SchemaType} */
+    static #anyType() { return {content: 'any', mixed: true, attributes: new Map(), anyAttribute: true, elements: new Map()}; }
+    /**
+     * @method #dtdType - Compiles the content specification of a DTD element declaration.
+     * @param {string} spec - EMPTY, ANY, mixed content or children, e.g. (a, (b | c)*, d?).
+     * @returns {SchemaType}
+     */
+    static #dtdType(spec) {
+      /** @type {SchemaType} */
+      const type = {content: 'elements', mixed: false, attributes: new Map(), anyAttribute: false, elements: new Map()};
+      spec = spec.replace(/\s+/g, '');
+      if (spec === 'EMPTY' || spec === 'ANY') { return {...type, content: spec === 'EMPTY' ? 'empty' : 'any'}; }
+      if (spec.startsWith('(#PCDATA')) {
+        const names = spec.slice(8).split(/[|()*]/).filter(name => name);
+        if (!names.length) { return {...type, content: 'simple', mixed: true, text: {base: 'CDATA', patterns: [], facets: {}}}; }
+        return {...type, mixed: true, particle: {kind: 'choice', items: names.map(name => ({kind: 'element', name, min: 1, max: 1})), min: 0, max: Infinity}};
+      }
+      let i = 0;
+      /** @type {() => SchemaParticle} */
+      const read = () => {
+        /** @type {SchemaParticle} */
+        let particle;
+        if (spec[i] === '(') {
+          i++;
+          const items = [read()];
+          let kind = /** @type {'sequence'|'choice'} */('sequence');
+          while (spec[i] === ',' || spec[i] === '|') {
+            kind = spec[i++] === '|' ? 'choice' : 'sequence';
+            items.push(read());
+          }
+          i++;
+          particle = {kind, items, min: 1, max: 1};
+        } else {
+          const name = /[^,|()?*+]*/y;
+          name.lastIndex = i;
+          particle = {kind: 'element', name: /** @type {RegExpExecArray} */(name.exec(spec))[0], min: 1, max: 1};
+          i = name.lastIndex;
+        }
+        const quantifier = spec[i];
+        if (quantifier === '?' || quantifier === '*' || quantifier === '+') {
+          i++;
+          particle.min = quantifier === '+' ? 1 : 0;
+          particle.max = quantifier === '?' ? 1 : Infinity;
+        }
+        return particle;
+      };
+      return {...type, particle: read()};
+    }
+    /** @method #xsdChildren - The XSD elements within a node, without annotations. @param {InstanceType<Xml.Element>} node @returns {InstanceType<Xml.Element>[]} */
+    static #xsdChildren(node) {
+      return /** @type {InstanceType<Xml.Element>[]} */([...node].filter(child => child instanceof Xml.Element && child.localName !== 'annotation'));
+    }
+    /**
+     * @method #xsdDefinition - Finds a named global definition.
+     * @param {string} kind - The definition element, e.g. complexType or group.
+     * @param {string} name - The qualified name of the definition.
+     * @returns {InstanceType<Xml.Element>|undefined}
+     */
+    #xsdDefinition(kind, name) { return this.#definitions.get(`${kind}:${Xml.#localName(name)}`); }
+    /** @method #xsdElement - Compiles an element declaration or reference. @param {InstanceType<Xml.Element>} node @returns {SchemaElement} */
+    #xsdElement(node) {
+      const {ref, name, type} = node.attributes;
+      if (ref) {
+        const element = this.#elements.get(Xml.#localName(ref));
+        if (!element) { throw new Error(`Undefined XSD element ${ref}`); }
+        return element;
+      }
+      const inline = Schema.#xsdChildren(node).find(child => child.localName === 'complexType' || child.localName === 'simpleType');
+      return {name, type: type ? this.#xsdType(type) : inline ? this.#xsdType(inline) : Schema.#anyType()};
+    }
+    /**
+     * @method #xsdType - Compiles a named or anonymous complex or simple type to a content type.
+     * @param {string|InstanceType<Xml.Element>} type - The qualified name, or the xs:complexType or xs:simpleType element.
+     * @returns {SchemaType}
+     */
+    #xsdType(type) {
+      const name = typeof(type) === 'string' ? Xml.#localName(type) : '';
+      const node = typeof(type) === 'string' ? this.#xsdDefinition('complexType', type) ?? this.#xsdDefinition('simpleType', type) : type;
+      if (name === 'anyType') { return Schema.#anyType(); }
+      if (!node || node.localName === 'simpleType') {
+        return {content: 'simple', mixed: false, text: this.#xsdSimple(node ?? name), attributes: new Map(), anyAttribute: false, elements: new Map()};
+      }
+      const compiled = this.#compiled.get(node);
+      if (compiled) { return /** @type {SchemaType} */(compiled); }
+      /** @type {SchemaType} */
+      const result = {content: 'empty', mixed: node.attributes.mixed === 'true', attributes: new Map(), anyAttribute: false, elements: new Map()};
+      this.#compiled.set(node, result);
+      /** @type {SchemaParticle[]} */
+      const particles = [];
+      /** @type {(node: InstanceType<Xml.Element>) => void} */
+      const content = node => {
+        for (const child of Schema.#xsdChildren(node)) {
+          if (['sequence', 'choice', 'all', 'group'].includes(child.localName)) { particles.push(this.#xsdParticle(child)); }
+          if (child.localName === 'simpleContent' || child.localName === 'complexContent') {
+            const derivation = Schema.#xsdChildren(child)[0];
+            const base = derivation?.attributes.base ? this.#xsdType(derivation.attributes.base) : Xml.#unset;
+            if (base && child.localName === 'simpleContent') { Object.assign(result, {content: 'simple', text: base.text ?? {base: 'string', patterns: [], facets: {}}}); }
+            if (base && derivation.localName === 'extension') {
+              for (const [name, attribute] of base.attributes) { result.attributes.set(name, attribute); }
+              result.anyAttribute ||= base.anyAttribute;
+              if (base.particle) { particles.push(base.particle); }
+            }
+            if (derivation) { content(derivation); }
+            if (derivation && child.localName === 'simpleContent' && derivation.localName === 'restriction') {
+              result.text = this.#xsdSimple(derivation, result.text);
+            }
+          }
+        }
+        this.#xsdAttributes(node, result);
+      };
+      content(node);
+      if (particles.length) {
+        result.content = 'elements';
+        result.particle = particles.length === 1 ? particles[0] : {kind: 'sequence', items: particles, min: 1, max: 1};
+        this.#xsdElements(result.particle, result.elements);
+      } else if (result.content !== 'simple' && result.mixed) {
+        Object.assign(result, {content: 'simple', text: {base: 'string', patterns: [], facets: {}}});
+      }
+      return result;
+    }
+    /** @method #xsdElements - Collects the element declarations of a content model by name. @param {SchemaParticle} particle @param {Map<string, SchemaElement>} elements */
+    #xsdElements(particle, elements) {
+      if (particle.kind === 'element' && particle.element) { elements.set(particle.name, particle.element); }
+      if (particle.kind !== 'element' && particle.kind !== 'any') { particle.items.forEach(item => this.#xsdElements(item, elements)); }
+    }
+    /** @method #xsdParticle - Compiles a sequence, choice, all, group reference, any or element. @param {InstanceType<Xml.Element>} node @returns {SchemaParticle} */
+    #xsdParticle(node) {
+      const {minOccurs = '1', maxOccurs = '1'} = node.attributes;
+      const [min, max] = [Number(minOccurs), maxOccurs === 'unbounded' ? Infinity : Number(maxOccurs)];
+      if (node.localName === 'element') {
+        const element = this.#xsdElement(node);
+        return {kind: 'element', name: element.name, element, min, max};
+      }
+      if (node.localName === 'any') { return {kind: 'any', min, max}; }
+      if (node.localName === 'group') {
+        const group = node.attributes.ref ? this.#xsdDefinition('group', node.attributes.ref) : node;
+        const model = group && Schema.#xsdChildren(group)[0];
+        if (!model) { throw new Error(`Undefined XSD group ${node.attributes.ref}`); }
+        return {...this.#xsdParticle(model), min, max};
+      }
+      const kind = /** @type {'sequence'|'choice'|'all'} */(node.localName);
+      const items = Schema.#xsdChildren(node).filter(child => ['element', 'sequence', 'choice', 'all', 'group', 'any'].includes(child.localName));
+      return {kind, items: items.map(item => this.#xsdParticle(item)), min, max};
+    }
+    /** @method #xsdAttributes - Compiles the attributes, attribute groups and any attribute of a type. @param {InstanceType<Xml.Element>} node @param {SchemaType} type */
+    #xsdAttributes(node, type) {
+      for (const child of Schema.#xsdChildren(node)) {
+        if (child.localName === 'anyAttribute') { type.anyAttribute = true; }
+        if (child.localName === 'attributeGroup') {
+          const group = child.attributes.ref ? this.#xsdDefinition('attributeGroup', child.attributes.ref) : child;
+          if (!group) { throw new Error(`Undefined XSD attribute group ${child.attributes.ref}`); }
+          this.#xsdAttributes(group, type);
+        }
+        if (child.localName !== 'attribute' || child.attributes.use === 'prohibited') { continue; }
+        const definition = child.attributes.ref ? this.#xsdDefinition('attribute', child.attributes.ref) : child;
+        if (!definition) { throw new Error(`Undefined XSD attribute ${child.attributes.ref}`); }
+        const {name, type: simple, fixed} = definition.attributes;
+        const inline = Schema.#xsdChildren(definition).find(item => item.localName === 'simpleType');
+        type.attributes.set(name, {
+          name,
+          type: this.#xsdSimple(simple ? this.#xsdDefinition('simpleType', simple) ?? Xml.#localName(simple) : inline ?? 'string'),
+          required: child.attributes.use === 'required',
+          fixed: child.attributes.fixed ?? fixed,
+        });
+      }
+    }
+    /**
+     * @method #xsdSimple - Compiles a simple type, from a built in type name or an xs:simpleType or xs:restriction element.
+     * @param {string|InstanceType<Xml.Element>} type - The built in type name or the element.
+     * @param {SchemaSimpleType} [base] - The type being restricted, when not named by the element.
+     * @returns {SchemaSimpleType}
+     */
+    #xsdSimple(type, base) {
+      if (typeof(type) === 'string') {
+        if (!Object.hasOwn(Schema.#builtins, type)) { throw new Error(`Undefined XSD type ${type}`); }
+        return {base: type, patterns: [], facets: {}};
+      }
+      const compiled = this.#compiled.get(type);
+      if (compiled) { return /** @type {SchemaSimpleType} */(compiled); }
+      const restriction = type.localName === 'restriction' ? type : Schema.#xsdChildren(type).find(child => child.localName === 'restriction');
+      const name = restriction?.attributes.base;
+      const inherited = base ?? (name ? this.#xsdSimple(this.#xsdDefinition('simpleType', name) ?? Xml.#localName(name)) : {base: 'string', patterns: [], facets: {}});
+      const facets = Schema.#xsdChildren(restriction ?? type);
+      const enumeration = facets.filter(facet => facet.localName === 'enumeration').map(facet => facet.attributes.value);
+      /** @type {SchemaSimpleType} */
+      const result = {
+        base: inherited.base,
+        enumeration: enumeration.length ? enumeration : inherited.enumeration,
+        patterns: [...inherited.patterns, ...facets.filter(facet => facet.localName === 'pattern').map(facet => new RegExp(`^(?:${facet.attributes.value})$`, 'u'))],
+        facets: {...inherited.facets, ...Object.fromEntries(facets.filter(facet => !['enumeration', 'pattern'].includes(facet.localName)).map(facet => [facet.localName, facet.attributes.value]))},
+      };
+      this.#compiled.set(type, result);
+      return result;
+    }
+    /** @type {Record<string, (value: string) => boolean>} - The built in XSD and DTD attribute types. */
+    static #builtins = (() => {
+      const integer = /^[+-]?\d+$/;
+      const decimal = /^[+-]?(?:\d+(?:\.\d*)?|\.\d+)$/;
+      const name = /^[A-Za-z_:][\w.\-:]*$/;
+      const token = /^[\w.\-:]+$/;
+      /** @type {(min?: bigint, max?: bigint) => (value: string) => boolean} */
+      const range = (min, max) => value => integer.test(value) && (min === Xml.#unset || BigInt(value) >= min) && (max === Xml.#unset || BigInt(value) <= max);
+      /** @type {(pattern: RegExp) => (value: string) => boolean} */
+      const list = pattern => value => value.split(' ').every(item => pattern.test(item));
+      /** @type {(value: string) => boolean} */
+      const date = value => {
+        const match = /^(-?\d{4,})-(\d{2})-(\d{2})/.exec(value);
+        if (!match) { return false; }
+        const [year, month, day] = match.slice(1).map(Number);
+        const time = new Date(0);
+        time.setUTCFullYear(year, month - 1, day);
+        return time.getUTCMonth() === month - 1 && time.getUTCDate() === day;
+      };
+      const zone = '(?:Z|[+-](?:(?:0\\d|1[0-3]):[0-5]\\d|14:00))?';
+      const clock = '(?:[01]\\d|2[0-3]):[0-5]\\d:[0-5]\\d(?:\\.\\d+)?';
+      return {
+        anyType: () => true, anySimpleType: () => true, string: () => true, normalizedString: () => true, token: () => true, anyURI: () => true, CDATA: () => true,
+        language: value => /^[A-Za-z]{1,8}(?:-[A-Za-z0-9]{1,8})*$/.test(value),
+        Name: value => name.test(value), NCName: value => name.test(value) && !value.includes(':'), QName: value => name.test(value),
+        ID: value => name.test(value), IDREF: value => name.test(value), IDREFS: list(name), ENTITY: value => name.test(value), ENTITIES: list(name),
+        NMTOKEN: value => token.test(value), NMTOKENS: list(token),
+        integer: range(), long: range(-(2n ** 63n), 2n ** 63n - 1n), int: range(-(2n ** 31n), 2n ** 31n - 1n), short: range(-32768n, 32767n), byte: range(-128n, 127n),
+        nonNegativeInteger: range(0n), positiveInteger: range(1n), nonPositiveInteger: range(Xml.#unset, 0n), negativeInteger: range(Xml.#unset, -1n),
+        unsignedLong: range(0n, 2n ** 64n - 1n), unsignedInt: range(0n, 2n ** 32n - 1n), unsignedShort: range(0n, 65535n), unsignedByte: range(0n, 255n),
+        decimal: value => decimal.test(value),
+        float: value => /^(?:[+-]?(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?|[+-]?INF|NaN)$/.test(value),
+        double: value => /^(?:[+-]?(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?|[+-]?INF|NaN)$/.test(value),
+        boolean: value => /^(?:true|false|1|0)$/.test(value),
+        date: value => new RegExp(`^-?\\d{4,}-\\d{2}-\\d{2}${zone}$`).test(value) && date(value),
+        dateTime: value => new RegExp(`^-?\\d{4,}-\\d{2}-\\d{2}T${clock}${zone}$`).test(value) && date(value),
+        time: value => new RegExp(`^${clock}${zone}$`).test(value),
+        gYear: value => new RegExp(`^-?\\d{4,}${zone}$`).test(value),
+        gYearMonth: value => new RegExp(`^-?\\d{4,}-(?:0[1-9]|1[0-2])${zone}$`).test(value),
+        duration: value => /^-?P(?=\d|T\d)(?:\d+Y)?(?:\d+M)?(?:\d+D)?(?:T(?=\d)(?:\d+H)?(?:\d+M)?(?:\d+(?:\.\d+)?S)?)?$/.test(value),
+        base64Binary: value => /^[A-Za-z0-9+/\s]*={0,2}$/.test(value), hexBinary: value => /^(?:[0-9A-Fa-f]{2})*$/.test(value),
+      };
+    })();
+    /**
+     * @method #check - Checks a value against a simple type.
+     * @param {SchemaSimpleType} type - The simple type.
+     * @param {string} value - The value.
+     * @returns {string|undefined} - Why the value is invalid, or nothing when it is valid.
+     */
+    static #check(type, value) {
+      const text = ['string', 'normalizedString', 'CDATA', 'anyType', 'anySimpleType'].includes(type.base) ? value : value.trim().replace(/\s+/g, ' ');
+      if (!(Schema.#builtins[type.base] ?? Schema.#builtins.string)(text)) { return `value "${value}" is not a valid ${type.base}`; }
+      if (type.enumeration && !type.enumeration.includes(text)) { return `value "${value}" must be one of ${type.enumeration.map(item => `"${item}"`).join(', ')}`; }
+      if (type.patterns.some(pattern => !pattern.test(text))) { return `value "${value}" does not match the required pattern`; }
+      const {length, minLength, maxLength, minInclusive, maxInclusive, minExclusive, maxExclusive} = type.facets;
+      const size = [...text].length;
+      if (length !== Xml.#unset && size !== Number(length)) { return `value "${value}" must have a length of ${length}`; }
+      if (minLength !== Xml.#unset && size < Number(minLength)) { return `value "${value}" must have a length of at least ${minLength}`; }
+      if (maxLength !== Xml.#unset && size > Number(maxLength)) { return `value "${value}" must have a length of at most ${maxLength}`; }
+      const numeric = !/^(?:date|dateTime|time|gYear|gYearMonth)$/.test(type.base);
+      /** @type {(a: string, b: string) => number} */
+      const compare = (a, b) => numeric ? Number(a) - Number(b) : a < b ? -1 : a > b ? 1 : 0;
+      if (minInclusive !== Xml.#unset && compare(text, minInclusive) < 0) { return `value "${value}" must be at least ${minInclusive}`; }
+      if (maxInclusive !== Xml.#unset && compare(text, maxInclusive) > 0) { return `value "${value}" must be at most ${maxInclusive}`; }
+      if (minExclusive !== Xml.#unset && compare(text, minExclusive) <= 0) { return `value "${value}" must be more than ${minExclusive}`; }
+      if (maxExclusive !== Xml.#unset && compare(text, maxExclusive) >= 0) { return `value "${value}" must be less than ${maxExclusive}`; }
+      return Xml.#unset;
+    }
+  }
+  static Walker =
+  /**
+   * @class Xml.Walker - Visits the nodes of a tree in document order, calling a visitor by node type.
+   * @note Children are listed once the callbacks of their parent return, so callbacks may remove, replace or add nodes:
+   *       nodes removed from their parent before their turn are not visited, and nodes added elsewhere are not either.
+   */
+  class Walker {
+    /** @readonly @property {symbol} skip - Returned by a callback to skip the children of the node. */
+    static skip = Symbol('skip');
+    /** @readonly @property {symbol} stop - Returned by a callback to end the walk. */
+    static stop = Symbol('stop');
+    /** @type {Visitor} */
+    #visitor;
+    /** @readonly @property {Visitor} visitor - A copy of the callbacks. */
+    get visitor() { return {...this.#visitor}; }
+    /**
+     * @constructor
+     * @param {Visitor} visitor - The callbacks.
+     */
+    constructor(visitor) { this.#visitor = {...visitor}; }
+    /**
+     * @method walk - Visits a node and its descendants.
+     * @param {InstanceType<Xml.Node>} node - The node to start from, at depth 0.
+     * @returns {boolean} - Whether the walk finished, false when a callback returned Walker.stop.
+     */
+    walk(node) {
+      /** @type {{node: InstanceType<Xml.Node>, parent: InstanceType<Xml.Node>|undefined, depth: number, leaving: boolean}[]} */
+      const stack = [{node, parent: node.parent, depth: 0, leaving: false}];
+      for (let frame = stack.pop(); frame; frame = stack.pop()) {
+        const {node, parent, depth, leaving} = frame;
+        if (leaving) {
+          if (this.#visitor.leave?.(node, depth) === Walker.stop) { return false; }
+          continue;
+        }
+        if (node.parent !== parent) { continue; }
+        const entered = this.#visitor.enter?.(node, depth);
+        if (entered === Walker.stop) { return false; }
+        const visited = this.#callback(node)?.(node, depth);
+        if (visited === Walker.stop) { return false; }
+        stack.push({node, parent, depth, leaving: true});
+        if (entered === Walker.skip || visited === Walker.skip || node.parent !== parent) { continue; }
+        const children = node.children;
+        for (let i = children.length - 1; i >= 0; i--) { stack.push({node: children[i], parent: node, depth: depth + 1, leaving: false}); }
+      }
+      return true;
+    }
+    /** @method #callback - Finds the visitor callback for the type of a node. @param {InstanceType<Xml.Node>} node @returns {((node: InstanceType<Xml.Node>, depth: number) => VisitResult)|undefined} */
+    #callback(node) {
+      const visitor = /** @type {Record<string, ((node: InstanceType<Xml.Node>, depth: number) => VisitResult)|undefined>} */ (this.#visitor);
+      if (node instanceof Xml.Element) { return visitor.Element; }
+      if (node instanceof Xml.Text) { return visitor.Text; }
+      if (node instanceof Xml.CData) { return visitor.CData; }
+      if (node instanceof Xml.Comment) { return visitor.Comment; }
+      if (node instanceof Xml.Declaration) { return visitor.Declaration; }
+      if (node instanceof Xml.ProcessingInstruction) { return visitor.ProcessingInstruction; }
+      if (node instanceof Xml.DocumentType) { return visitor.DocumentType; }
+      if (node instanceof Xml.Metadata) { return visitor.Metadata; }
+      return node.constructor === Xml.Node ? visitor.Document : Xml.#unset;
+    }
+  }
+  static Transform =
+  /**
+   * @class Xml.Transform - Declarative rules that remove, unwrap, rename or replace the nodes they match.
+   * @note Nodes are matched in document order, before their children, and the first matching rule applies.
+   *       The children of kept and renamed nodes and the unwrapped children of a node are matched in turn, returned replacements are not.
+   */
+  class Transform {
+    /** @type {Record<string, Function>} */
+    static #kinds = {
+      '#text': Xml.Text, '#cdata': Xml.CData, '#comment': Xml.Comment, '#declaration': Xml.Declaration,
+      '#processing-instruction': Xml.ProcessingInstruction, '#doctype': Xml.DocumentType, '#metadata': Xml.Metadata,
+    };
+    /** @type {{match: (node: InstanceType<Xml.Node>) => boolean, action: TransformAction}[]} */
+    #rules;
+    /**
+     * @constructor
+     * @param {Record<string, TransformAction>|[TransformMatch, TransformAction][]} rules - Actions by match, tried in order.
+     * @throws {Error} - If a rule has an invalid action, selector or name.
+     */
+    constructor(rules) {
+      const entries = Array.isArray(rules) ? rules : Object.entries(rules);
+      this.#rules = entries.map(([match, action]) => {
+        if (typeof(action) === 'object' && action) { Xml.validateName(action.rename); }
+        else if (typeof(action) !== 'function' && action !== 'remove' && action !== 'unwrap') { throw new Error(`Invalid transform action: ${action}`); }
+        return {match: Transform.#matcher(match), action};
+      });
+    }
+    /**
+     * @method transform - Applies the rules to the descendants of a node.
+     * @param {InstanceType<Xml.Node>} node - The document or element to transform in place.
+     * @returns {InstanceType<Xml.Node>} - The node transformed.
+     */
+    transform(node) {
+      /** @type {[InstanceType<Xml.Node>, InstanceType<Xml.Node>][]} */
+      const stack = [];
+      Transform.#push(stack, node.children, node);
+      for (let entry = stack.pop(); entry; entry = stack.pop()) {
+        const [child, parent] = entry;
+        if (child.parent !== parent) { continue; }
+        const action = this.#rules.find(({match}) => match(child))?.action;
+        if (action === 'remove') { child.replaceWith(); }
+        else if (action === 'unwrap') {
+          const children = child.children;
+          child.replaceWith(...children);
+          Transform.#push(stack, children, parent);
+        }
+        else if (typeof(action) === 'function') {
+          const index = parent.indexOf(child);
+          const result = action(child);
+          if (result === Xml.#unset || result === child) { Transform.#push(stack, child.children, child); continue; }
+          const items = (Array.isArray(result) ? result : result === null ? [] : [result])
+            .map(item => typeof(item) === 'string' ? Object.assign(new Xml.Text(), {content: item}) : item);
+          // the action may have moved the node, e.g. into a wrapper, so its place is kept by index
+          if (child.parent === parent) { child.replaceWith(...items); }
+          else { items.forEach((item, i) => parent.insertAt(item, index + i)); }
+          if (items.includes(child)) { Transform.#push(stack, child.children, child); }
+        }
+        else {
+          if (action && child instanceof Xml.Element) { child.type = action.rename; }
+          Transform.#push(stack, child.children, child);
+        }
+      }
+      return node;
+    }
+    /** @method #push - Adds nodes to visit, so they are popped in document order. @param {[InstanceType<Xml.Node>, InstanceType<Xml.Node>][]} stack @param {InstanceType<Xml.Node>[]} nodes @param {InstanceType<Xml.Node>} parent */
+    static #push(stack, nodes, parent) {
+      for (let i = nodes.length - 1; i >= 0; i--) { stack.push([nodes[i], parent]); }
+    }
+    /** @method #matcher - Compiles the match of a rule. @param {TransformMatch} match @returns {(node: InstanceType<Xml.Node>) => boolean} */
+    static #matcher(match) {
+      if (typeof(match) === 'function') { return match; }
+      const kind = Transform.#kinds[match];
+      if (kind) { return node => node instanceof kind; }
+      if (Xml.#nameValidator.test(match)) { return node => node instanceof Xml.Element && node.type === match; }
+      const selector = Xml.Selector.from(match);
+      return node => selector.matches(node);
     }
   }
+  /** @type {string} - The HTML5 named character references, as hexadecimal code points with their names. */
+  static #htmlTable = `
+    9:Tab a:NewLine 21:excl 22:quot,QUOT 23:num 24:dollar 25:percnt 26:amp,AMP 27:apos 28:lpar 29:rpar 2a:ast,midast
+    2b:plus 2c:comma 2e:period 2f:sol 3a:colon 3b:semi 3c:lt,LT 3c.20d2:nvlt 3d:equals 3d.20e5:bne 3e:gt,GT 3e.20d2:nvgt
+    3f:quest 40:commat 5b:lbrack,lsqb 5c:bsol 5d:rbrack,rsqb 5e:Hat 5f:lowbar,UnderBar 60:DiacriticalGrave,grave
+    66.6a:fjlig 7b:lbrace,lcub 7c:verbar,vert,VerticalLine 7d:rbrace,rcub a0:nbsp,NonBreakingSpace a1:iexcl a2:cent
+    a3:pound a4:curren a5:yen a6:brvbar a7:sect a8:die,Dot,DoubleDot,uml a9:copy,COPY aa:ordf ab:laquo ac:not ad:shy
+    ae:circledR,reg,REG af:macr,strns b0:deg b1:PlusMinus,plusmn,pm b2:sup2 b3:sup3 b4:acute,DiacriticalAcute b5:micro
+    b6:para b7:centerdot,CenterDot,middot b8:cedil,Cedilla b9:sup1 ba:ordm bb:raquo bc:frac14 bd:frac12,half be:frac34
+    bf:iquest c0:Agrave c1:Aacute c2:Acirc c3:Atilde c4:Auml c5:angst,Aring c6:AElig c7:Ccedil c8:Egrave c9:Eacute
+    ca:Ecirc cb:Euml cc:Igrave cd:Iacute ce:Icirc cf:Iuml d0:ETH d1:Ntilde d2:Ograve d3:Oacute d4:Ocirc d5:Otilde
+    d6:Ouml d7:times d8:Oslash d9:Ugrave da:Uacute db:Ucirc dc:Uuml dd:Yacute de:THORN df:szlig e0:agrave e1:aacute
+    e2:acirc e3:atilde e4:auml e5:aring e6:aelig e7:ccedil e8:egrave e9:eacute ea:ecirc eb:euml ec:igrave ed:iacute
+    ee:icirc ef:iuml f0:eth f1:ntilde f2:ograve f3:oacute f4:ocirc f5:otilde f6:ouml f7:div,divide f8:oslash f9:ugrave
+    fa:uacute fb:ucirc fc:uuml fd:yacute fe:thorn ff:yuml 100:Amacr 101:amacr 102:Abreve 103:abreve 104:Aogon 105:aogon
+    106:Cacute 107:cacute 108:Ccirc 109:ccirc 10a:Cdot 10b:cdot 10c:Ccaron 10d:ccaron 10e:Dcaron 10f:dcaron 110:Dstrok
+    111:dstrok 112:Emacr 113:emacr 116:Edot 117:edot 118:Eogon 119:eogon 11a:Ecaron 11b:ecaron 11c:Gcirc 11d:gcirc
+    11e:Gbreve 11f:gbreve 120:Gdot 121:gdot 122:Gcedil 124:Hcirc 125:hcirc 126:Hstrok 127:hstrok 128:Itilde 129:itilde
+    12a:Imacr 12b:imacr 12e:Iogon 12f:iogon 130:Idot 131:imath,inodot 132:IJlig 133:ijlig 134:Jcirc 135:jcirc 136:Kcedil
+    137:kcedil 138:kgreen 139:Lacute 13a:lacute 13b:Lcedil 13c:lcedil 13d:Lcaron 13e:lcaron 13f:Lmidot 140:lmidot
+    141:Lstrok 142:lstrok 143:Nacute 144:nacute 145:Ncedil 146:ncedil 147:Ncaron 148:ncaron 149:napos 14a:ENG 14b:eng
+    14c:Omacr 14d:omacr 150:Odblac 151:odblac 152:OElig 153:oelig 154:Racute 155:racute 156:Rcedil 157:rcedil 158:Rcaron
+    159:rcaron 15a:Sacute 15b:sacute 15c:Scirc 15d:scirc 15e:Scedil 15f:scedil 160:Scaron 161:scaron 162:Tcedil
+    163:tcedil 164:Tcaron 165:tcaron 166:Tstrok 167:tstrok 168:Utilde 169:utilde 16a:Umacr 16b:umacr 16c:Ubreve
+    16d:ubreve 16e:Uring 16f:uring 170:Udblac 171:udblac 172:Uogon 173:uogon 174:Wcirc 175:wcirc 176:Ycirc 177:ycirc
+    178:Yuml 179:Zacute 17a:zacute 17b:Zdot 17c:zdot 17d:Zcaron 17e:zcaron 192:fnof 1b5:imped 1f5:gacute 237:jmath
+    2c6:circ 2c7:caron,Hacek 2d8:breve,Breve 2d9:DiacriticalDot,dot 2da:ring 2db:ogon 2dc:DiacriticalTilde,tilde
+    2dd:dblac,DiacriticalDoubleAcute 311:DownBreve 391:Alpha 392:Beta 393:Gamma 394:Delta 395:Epsilon 396:Zeta 397:Eta
+    398:Theta 399:Iota 39a:Kappa 39b:Lambda 39c:Mu 39d:Nu 39e:Xi 39f:Omicron 3a0:Pi 3a1:Rho 3a3:Sigma 3a4:Tau
+    3a5:Upsilon 3a6:Phi 3a7:Chi 3a8:Psi 3a9:ohm,Omega 3b1:alpha 3b2:beta 3b3:gamma 3b4:delta 3b5:epsi,epsilon 3b6:zeta
+    3b7:eta 3b8:theta 3b9:iota 3ba:kappa 3bb:lambda 3bc:mu 3bd:nu 3be:xi 3bf:omicron 3c0:pi 3c1:rho
+    3c2:sigmaf,sigmav,varsigma 3c3:sigma 3c4:tau 3c5:upsi,upsilon 3c6:phi 3c7:chi 3c8:psi 3c9:omega
+    3d1:thetasym,thetav,vartheta 3d2:Upsi,upsih 3d5:phiv,straightphi,varphi 3d6:piv,varpi 3dc:Gammad 3dd:digamma,gammad
+    3f0:kappav,varkappa 3f1:rhov,varrho 3f5:epsiv,straightepsilon,varepsilon 3f6:backepsilon,bepsi 401:IOcy 402:DJcy
+    403:GJcy 404:Jukcy 405:DScy 406:Iukcy 407:YIcy 408:Jsercy 409:LJcy 40a:NJcy 40b:TSHcy 40c:KJcy 40e:Ubrcy 40f:DZcy
+    410:Acy 411:Bcy 412:Vcy 413:Gcy 414:Dcy 415:IEcy 416:ZHcy 417:Zcy 418:Icy 419:Jcy 41a:Kcy 41b:Lcy 41c:Mcy 41d:Ncy
+    41e:Ocy 41f:Pcy 420:Rcy 421:Scy 422:Tcy 423:Ucy 424:Fcy 425:KHcy 426:TScy 427:CHcy 428:SHcy 429:SHCHcy 42a:HARDcy
+    42b:Ycy 42c:SOFTcy 42d:Ecy 42e:YUcy 42f:YAcy 430:acy 431:bcy 432:vcy 433:gcy 434:dcy 435:iecy 436:zhcy 437:zcy
+    438:icy 439:jcy 43a:kcy 43b:lcy 43c:mcy 43d:ncy 43e:ocy 43f:pcy 440:rcy 441:scy 442:tcy 443:ucy 444:fcy 445:khcy
+    446:tscy 447:chcy 448:shcy 449:shchcy 44a:hardcy 44b:ycy 44c:softcy 44d:ecy 44e:yucy 44f:yacy 451:iocy 452:djcy
+    453:gjcy 454:jukcy 455:dscy 456:iukcy 457:yicy 458:jsercy 459:ljcy 45a:njcy 45b:tshcy 45c:kjcy 45e:ubrcy 45f:dzcy
+    2002:ensp 2003:emsp 2004:emsp13 2005:emsp14 2007:numsp 2008:puncsp 2009:ThinSpace,thinsp 200a:hairsp,VeryThinSpace
+    200b:NegativeMediumSpace,NegativeThickSpace,NegativeThinSpace,NegativeVeryThinSpace,ZeroWidthSpace 200c:zwnj
+    200d:zwj 200e:lrm 200f:rlm 2010:dash,hyphen 2013:ndash 2014:mdash 2015:horbar 2016:Verbar,Vert
+    2018:lsquo,OpenCurlyQuote 2019:CloseCurlyQuote,rsquo,rsquor 201a:lsquor,sbquo 201c:ldquo,OpenCurlyDoubleQuote
+    201d:CloseCurlyDoubleQuote,rdquo,rdquor 201e:bdquo,ldquor 2020:dagger 2021:Dagger,ddagger 2022:bull,bullet 2025:nldr
+    2026:hellip,mldr 2030:permil 2031:pertenk 2032:prime 2033:Prime 2034:tprime 2035:backprime,bprime 2039:lsaquo
+    203a:rsaquo 203e:oline,OverBar 2041:caret 2043:hybull 2044:frasl 204f:bsemi 2057:qprime 205f:MediumSpace
+    205f.200a:ThickSpace 2060:NoBreak 2061:af,ApplyFunction 2062:InvisibleTimes,it 2063:ic,InvisibleComma 20ac:euro
+    20db:tdot,TripleDot 20dc:DotDot 2102:complexes,Copf 2105:incare 210a:gscr 210b:hamilt,HilbertSpace,Hscr
+    210c:Hfr,Poincareplane 210d:Hopf,quaternions 210e:planckh 210f:hbar,hslash,planck,plankv 2110:imagline,Iscr
+    2111:Ifr,image,imagpart,Im 2112:lagran,Laplacetrf,Lscr 2113:ell 2115:naturals,Nopf 2116:numero 2117:copysr
+    2118:weierp,wp 2119:Popf,primes 211a:Qopf,rationals 211b:realine,Rscr 211c:real,realpart,Re,Rfr 211d:reals,Ropf
+    211e:rx 2122:trade,TRADE 2124:integers,Zopf 2127:mho 2128:zeetrf,Zfr 2129:iiota 212c:bernou,Bernoullis,Bscr
+    212d:Cayleys,Cfr 212f:escr 2130:Escr,expectation 2131:Fouriertrf,Fscr 2133:Mellintrf,Mscr,phmmat
+    2134:order,orderof,oscr 2135:alefsym,aleph 2136:beth 2137:gimel 2138:daleth 2145:CapitalDifferentialD,DD
+    2146:dd,DifferentialD 2147:ee,exponentiale,ExponentialE 2148:ii,ImaginaryI 2153:frac13 2154:frac23 2155:frac15
+    2156:frac25 2157:frac35 2158:frac45 2159:frac16 215a:frac56 215b:frac18 215c:frac38 215d:frac58 215e:frac78
+    2190:larr,leftarrow,LeftArrow,ShortLeftArrow,slarr 2191:ShortUpArrow,uarr,uparrow,UpArrow
+    2192:rarr,rightarrow,RightArrow,ShortRightArrow,srarr 2193:darr,downarrow,DownArrow,ShortDownArrow
+    2194:harr,leftrightarrow,LeftRightArrow 2195:updownarrow,UpDownArrow,varr 2196:nwarr,nwarrow,UpperLeftArrow
+    2197:nearr,nearrow,UpperRightArrow 2198:LowerRightArrow,searr,searrow 2199:LowerLeftArrow,swarr,swarrow
+    219a:nlarr,nleftarrow 219b:nrarr,nrightarrow 219d:rarrw,rightsquigarrow 219d.338:nrarrw 219e:Larr,twoheadleftarrow
+    219f:Uarr 21a0:Rarr,twoheadrightarrow 21a1:Darr 21a2:larrtl,leftarrowtail 21a3:rarrtl,rightarrowtail
+    21a4:LeftTeeArrow,mapstoleft 21a5:mapstoup,UpTeeArrow 21a6:map,mapsto,RightTeeArrow 21a7:DownTeeArrow,mapstodown
+    21a9:hookleftarrow,larrhk 21aa:hookrightarrow,rarrhk 21ab:larrlp,looparrowleft 21ac:looparrowright,rarrlp
+    21ad:harrw,leftrightsquigarrow 21ae:nharr,nleftrightarrow 21b0:lsh,Lsh 21b1:rsh,Rsh 21b2:ldsh 21b3:rdsh 21b5:crarr
+    21b6:cularr,curvearrowleft 21b7:curarr,curvearrowright 21ba:circlearrowleft,olarr 21bb:circlearrowright,orarr
+    21bc:leftharpoonup,LeftVector,lharu 21bd:DownLeftVector,leftharpoondown,lhard
+    21be:RightUpVector,uharr,upharpoonright 21bf:LeftUpVector,uharl,upharpoonleft 21c0:rharu,rightharpoonup,RightVector
+    21c1:DownRightVector,rhard,rightharpoondown 21c2:dharr,downharpoonright,RightDownVector
+    21c3:dharl,downharpoonleft,LeftDownVector 21c4:RightArrowLeftArrow,rightleftarrows,rlarr 21c5:udarr,UpArrowDownArrow
+    21c6:LeftArrowRightArrow,leftrightarrows,lrarr 21c7:leftleftarrows,llarr 21c8:upuparrows,uuarr
+    21c9:rightrightarrows,rrarr 21ca:ddarr,downdownarrows 21cb:leftrightharpoons,lrhar,ReverseEquilibrium
+    21cc:Equilibrium,rightleftharpoons,rlhar 21cd:nlArr,nLeftarrow 21ce:nhArr,nLeftrightarrow 21cf:nrArr,nRightarrow
+    21d0:DoubleLeftArrow,lArr,Leftarrow 21d1:DoubleUpArrow,uArr,Uparrow 21d2:DoubleRightArrow,Implies,rArr,Rightarrow
+    21d3:dArr,DoubleDownArrow,Downarrow 21d4:DoubleLeftRightArrow,hArr,iff,Leftrightarrow
+    21d5:DoubleUpDownArrow,Updownarrow,vArr 21d6:nwArr 21d7:neArr 21d8:seArr 21d9:swArr 21da:lAarr,Lleftarrow
+    21db:rAarr,Rrightarrow 21dd:zigrarr 21e4:larrb,LeftArrowBar 21e5:rarrb,RightArrowBar 21f5:DownArrowUpArrow,duarr
+    21fd:loarr 21fe:roarr 21ff:hoarr 2200:forall,ForAll 2201:comp,complement 2202:part,PartialD 2202.338:npart
+    2203:exist,Exists 2204:nexist,nexists,NotExists 2205:empty,emptyset,emptyv,varnothing 2207:Del,nabla
+    2208:Element,in,isin,isinv 2209:NotElement,notin,notinva 220b:ni,niv,ReverseElement,SuchThat
+    220c:notni,notniva,NotReverseElement 220f:prod,Product 2210:coprod,Coproduct 2211:sum,Sum 2212:minus
+    2213:MinusPlus,mnplus,mp 2214:dotplus,plusdo 2216:Backslash,setminus,setmn,smallsetminus,ssetmn 2217:lowast
+    2218:compfn,SmallCircle 221a:radic,Sqrt 221d:prop,Proportional,propto,varpropto,vprop 221e:infin 221f:angrt
+    2220:ang,angle 2220.20d2:nang 2221:angmsd,measuredangle 2222:angsph 2223:mid,shortmid,smid,VerticalBar
+    2224:nmid,NotVerticalBar,nshortmid,nsmid 2225:DoubleVerticalBar,parallel,par,shortparallel,spar
+    2226:NotDoubleVerticalBar,nparallel,npar,nshortparallel,nspar 2227:and,wedge 2228:or,vee 2229:cap 2229.fe00:caps
+    222a:cup 222a.fe00:cups 222b:int,Integral 222c:Int 222d:iiint,tint 222e:conint,ContourIntegral,oint
+    222f:Conint,DoubleContourIntegral 2230:Cconint 2231:cwint 2232:ClockwiseContourIntegral,cwconint
+    2233:awconint,CounterClockwiseContourIntegral 2234:there4,therefore,Therefore 2235:becaus,because,Because 2236:ratio
+    2237:Colon,Proportion 2238:dotminus,minusd 223a:mDDot 223b:homtht 223c:sim,thicksim,thksim,Tilde 223c.20d2:nvsim
+    223d:backsim,bsim 223d.331:race 223e:ac,mstpos 223e.333:acE 223f:acd 2240:VerticalTilde,wr,wreath 2241:NotTilde,nsim
+    2242:eqsim,EqualTilde,esim 2242.338:nesim,NotEqualTilde 2243:sime,simeq,TildeEqual 2244:NotTildeEqual,nsime,nsimeq
+    2245:cong,TildeFullEqual 2246:simne 2247:ncong,NotTildeFullEqual 2248:ap,approx,asymp,thickapprox,thkap,TildeTilde
+    2249:nap,napprox,NotTildeTilde 224a:ape,approxeq 224b:apid 224b.338:napid 224c:backcong,bcong 224d:asympeq,CupCap
+    224d.20d2:nvap 224e:bump,Bumpeq,HumpDownHump 224e.338:nbump,NotHumpDownHump 224f:bumpe,bumpeq,HumpEqual
+    224f.338:nbumpe,NotHumpEqual 2250:doteq,DotEqual,esdot 2250.338:nedot 2251:doteqdot,eDot 2252:efDot,fallingdotseq
+    2253:erDot,risingdotseq 2254:Assign,colone,coloneq 2255:ecolon,eqcolon 2256:ecir,eqcirc 2257:circeq,cire 2259:wedgeq
+    225a:veeeq 225c:triangleq,trie 225f:equest,questeq 2260:ne,NotEqual 2261:Congruent,equiv 2261.20e5:bnequiv
+    2262:nequiv,NotCongruent 2264:le,leq 2264.20d2:nvle 2265:ge,geq,GreaterEqual 2265.20d2:nvge
+    2266:lE,leqq,LessFullEqual 2266.338:nlE,nleqq 2267:gE,geqq,GreaterFullEqual 2267.338:ngE,ngeqq,NotGreaterFullEqual
+    2268:lnE,lneqq 2268.fe00:lvertneqq,lvnE 2269:gnE,gneqq 2269.fe00:gvertneqq,gvnE 226a:ll,Lt,NestedLessLess
+    226a.20d2:nLt 226a.338:nLtv,NotLessLess 226b:gg,Gt,NestedGreaterGreater 226b.20d2:nGt
+    226b.338:nGtv,NotGreaterGreater 226c:between,twixt 226d:NotCupCap 226e:nless,nlt,NotLess 226f:ngt,ngtr,NotGreater
+    2270:nle,nleq,NotLessEqual 2271:nge,ngeq,NotGreaterEqual 2272:lesssim,LessTilde,lsim 2273:GreaterTilde,gsim,gtrsim
+    2274:nlsim,NotLessTilde 2275:ngsim,NotGreaterTilde 2276:LessGreater,lessgtr,lg 2277:gl,GreaterLess,gtrless
+    2278:NotLessGreater,ntlg 2279:NotGreaterLess,ntgl 227a:pr,prec,Precedes 227b:sc,succ,Succeeds
+    227c:prcue,preccurlyeq,PrecedesSlantEqual 227d:sccue,succcurlyeq,SucceedsSlantEqual 227e:PrecedesTilde,precsim,prsim
+    227f:scsim,SucceedsTilde,succsim 227f.338:NotSucceedsTilde 2280:NotPrecedes,npr,nprec 2281:NotSucceeds,nsc,nsucc
+    2282:sub,subset 2282.20d2:NotSubset,nsubset,vnsub 2283:sup,Superset,supset 2283.20d2:NotSuperset,nsupset,vnsup
+    2284:nsub 2285:nsup 2286:sube,subseteq,SubsetEqual 2287:supe,SupersetEqual,supseteq
+    2288:NotSubsetEqual,nsube,nsubseteq 2289:NotSupersetEqual,nsupe,nsupseteq 228a:subne,subsetneq
+    228a.fe00:varsubsetneq,vsubne 228b:supne,supsetneq 228b.fe00:varsupsetneq,vsupne 228d:cupdot 228e:UnionPlus,uplus
+    228f:sqsub,sqsubset,SquareSubset 228f.338:NotSquareSubset 2290:sqsup,sqsupset,SquareSuperset
+    2290.338:NotSquareSuperset 2291:sqsube,sqsubseteq,SquareSubsetEqual 2292:sqsupe,sqsupseteq,SquareSupersetEqual
+    2293:sqcap,SquareIntersection 2293.fe00:sqcaps 2294:sqcup,SquareUnion 2294.fe00:sqcups 2295:CirclePlus,oplus
+    2296:CircleMinus,ominus 2297:CircleTimes,otimes 2298:osol 2299:CircleDot,odot 229a:circledcirc,ocir
+    229b:circledast,oast 229d:circleddash,odash 229e:boxplus,plusb 229f:boxminus,minusb 22a0:boxtimes,timesb
+    22a1:dotsquare,sdotb 22a2:RightTee,vdash 22a3:dashv,LeftTee 22a4:DownTee,top 22a5:bot,bottom,perp,UpTee 22a7:models
+    22a8:DoubleRightTee,vDash 22a9:Vdash 22aa:Vvdash 22ab:VDash 22ac:nvdash 22ad:nvDash 22ae:nVdash 22af:nVDash
+    22b0:prurel 22b2:LeftTriangle,vartriangleleft,vltri 22b3:RightTriangle,vartriangleright,vrtri
+    22b4:LeftTriangleEqual,ltrie,trianglelefteq 22b4.20d2:nvltrie 22b5:RightTriangleEqual,rtrie,trianglerighteq
+    22b5.20d2:nvrtrie 22b6:origof 22b7:imof 22b8:multimap,mumap 22b9:hercon 22ba:intcal,intercal 22bb:veebar 22bd:barvee
+    22be:angrtvb 22bf:lrtri 22c0:bigwedge,Wedge,xwedge 22c1:bigvee,Vee,xvee 22c2:bigcap,Intersection,xcap
+    22c3:bigcup,Union,xcup 22c4:diam,diamond,Diamond 22c5:sdot 22c6:sstarf,Star 22c7:divideontimes,divonx 22c8:bowtie
+    22c9:ltimes 22ca:rtimes 22cb:leftthreetimes,lthree 22cc:rightthreetimes,rthree 22cd:backsimeq,bsime
+    22ce:curlyvee,cuvee 22cf:curlywedge,cuwed 22d0:Sub,Subset 22d1:Sup,Supset 22d2:Cap 22d3:Cup 22d4:fork,pitchfork
+    22d5:epar 22d6:lessdot,ltdot 22d7:gtdot,gtrdot 22d8:Ll 22d8.338:nLl 22d9:Gg,ggg 22d9.338:nGg
+    22da:leg,lesseqgtr,LessEqualGreater 22da.fe00:lesg 22db:gel,GreaterEqualLess,gtreqless 22db.fe00:gesl
+    22de:cuepr,curlyeqprec 22df:cuesc,curlyeqsucc 22e0:NotPrecedesSlantEqual,nprcue 22e1:NotSucceedsSlantEqual,nsccue
+    22e2:NotSquareSubsetEqual,nsqsube 22e3:NotSquareSupersetEqual,nsqsupe 22e6:lnsim 22e7:gnsim 22e8:precnsim,prnsim
+    22e9:scnsim,succnsim 22ea:nltri,NotLeftTriangle,ntriangleleft 22eb:NotRightTriangle,nrtri,ntriangleright
+    22ec:nltrie,NotLeftTriangleEqual,ntrianglelefteq 22ed:NotRightTriangleEqual,nrtrie,ntrianglerighteq 22ee:vellip
+    22ef:ctdot 22f0:utdot 22f1:dtdot 22f2:disin 22f3:isinsv 22f4:isins 22f5:isindot 22f5.338:notindot 22f6:notinvc
+    22f7:notinvb 22f9:isinE 22f9.338:notinE 22fa:nisd 22fb:xnis 22fc:nis 22fd:notnivc 22fe:notnivb 2305:barwed,barwedge
+    2306:Barwed,doublebarwedge 2308:lceil,LeftCeiling 2309:rceil,RightCeiling 230a:LeftFloor,lfloor
+    230b:rfloor,RightFloor 230c:drcrop 230d:dlcrop 230e:urcrop 230f:ulcrop 2310:bnot 2312:profline 2313:profsurf
+    2315:telrec 2316:target 231c:ulcorn,ulcorner 231d:urcorn,urcorner 231e:dlcorn,llcorner 231f:drcorn,lrcorner
+    2322:frown,sfrown 2323:smile,ssmile 232d:cylcty 232e:profalar 2336:topbot 233d:ovbar 233f:solbar 237c:angzarr
+    23b0:lmoustache,lmoust 23b1:rmoustache,rmoust 23b4:OverBracket,tbrk 23b5:bbrk,UnderBracket 23b6:bbrktbrk
+    23dc:OverParenthesis 23dd:UnderParenthesis 23de:OverBrace 23df:UnderBrace 23e2:trpezium 23e7:elinters 2423:blank
+    24c8:circledS,oS 2500:boxh,HorizontalLine 2502:boxv 250c:boxdr 2510:boxdl 2514:boxur 2518:boxul 251c:boxvr
+    2524:boxvl 252c:boxhd 2534:boxhu 253c:boxvh 2550:boxH 2551:boxV 2552:boxdR 2553:boxDr 2554:boxDR 2555:boxdL
+    2556:boxDl 2557:boxDL 2558:boxuR 2559:boxUr 255a:boxUR 255b:boxuL 255c:boxUl 255d:boxUL 255e:boxvR 255f:boxVr
+    2560:boxVR 2561:boxvL 2562:boxVl 2563:boxVL 2564:boxHd 2565:boxhD 2566:boxHD 2567:boxHu 2568:boxhU 2569:boxHU
+    256a:boxvH 256b:boxVh 256c:boxVH 2580:uhblk 2584:lhblk 2588:block 2591:blk14 2592:blk12 2593:blk34
+    25a1:square,Square,squ 25aa:blacksquare,FilledVerySmallSquare,squarf,squf 25ab:EmptyVerySmallSquare 25ad:rect
+    25ae:marker 25b1:fltns 25b3:bigtriangleup,xutri 25b4:blacktriangle,utrif 25b5:triangle,utri
+    25b8:blacktriangleright,rtrif 25b9:rtri,triangleright 25bd:bigtriangledown,xdtri 25be:blacktriangledown,dtrif
+    25bf:dtri,triangledown 25c2:blacktriangleleft,ltrif 25c3:ltri,triangleleft 25ca:loz,lozenge 25cb:cir 25ec:tridot
+    25ef:bigcirc,xcirc 25f8:ultri 25f9:urtri 25fa:lltri 25fb:EmptySmallSquare 25fc:FilledSmallSquare 2605:bigstar,starf
+    2606:star 260e:phone 2640:female 2642:male 2660:spades,spadesuit 2663:clubs,clubsuit 2665:hearts,heartsuit
+    2666:diamondsuit,diams 266a:sung 266d:flat 266e:natural,natur 266f:sharp 2713:check,checkmark 2717:cross
+    2720:malt,maltese 2736:sext 2758:VerticalSeparator 2772:lbbrk 2773:rbbrk 27c8:bsolhsub 27c9:suphsol
+    27e6:LeftDoubleBracket,lobrk 27e7:RightDoubleBracket,robrk 27e8:lang,langle,LeftAngleBracket
+    27e9:rang,rangle,RightAngleBracket 27ea:Lang 27eb:Rang 27ec:loang 27ed:roang 27f5:longleftarrow,LongLeftArrow,xlarr
+    27f6:longrightarrow,LongRightArrow,xrarr 27f7:longleftrightarrow,LongLeftRightArrow,xharr
+    27f8:DoubleLongLeftArrow,Longleftarrow,xlArr 27f9:DoubleLongRightArrow,Longrightarrow,xrArr
+    27fa:DoubleLongLeftRightArrow,Longleftrightarrow,xhArr 27fc:longmapsto,xmap 27ff:dzigrarr 2902:nvlArr 2903:nvrArr
+    2904:nvHarr 2905:Map 290c:lbarr 290d:bkarow,rbarr 290e:lBarr 290f:dbkarow,rBarr 2910:drbkarow,RBarr 2911:DDotrahd
+    2912:UpArrowBar 2913:DownArrowBar 2916:Rarrtl 2919:latail 291a:ratail 291b:lAtail 291c:rAtail 291d:larrfs
+    291e:rarrfs 291f:larrbfs 2920:rarrbfs 2923:nwarhk 2924:nearhk 2925:hksearow,searhk 2926:hkswarow,swarhk 2927:nwnear
+    2928:nesear,toea 2929:seswar,tosa 292a:swnwar 2933:rarrc 2933.338:nrarrc 2935:cudarrr 2936:ldca 2937:rdca
+    2938:cudarrl 2939:larrpl 293c:curarrm 293d:cularrp 2945:rarrpl 2948:harrcir 2949:Uarrocir 294a:lurdshar
+    294b:ldrushar 294e:LeftRightVector 294f:RightUpDownVector 2950:DownLeftRightVector 2951:LeftUpDownVector
+    2952:LeftVectorBar 2953:RightVectorBar 2954:RightUpVectorBar 2955:RightDownVectorBar 2956:DownLeftVectorBar
+    2957:DownRightVectorBar 2958:LeftUpVectorBar 2959:LeftDownVectorBar 295a:LeftTeeVector 295b:RightTeeVector
+    295c:RightUpTeeVector 295d:RightDownTeeVector 295e:DownLeftTeeVector 295f:DownRightTeeVector 2960:LeftUpTeeVector
+    2961:LeftDownTeeVector 2962:lHar 2963:uHar 2964:rHar 2965:dHar 2966:luruhar 2967:ldrdhar 2968:ruluhar 2969:rdldhar
+    296a:lharul 296b:llhard 296c:rharul 296d:lrhard 296e:udhar,UpEquilibrium 296f:duhar,ReverseUpEquilibrium
+    2970:RoundImplies 2971:erarr 2972:simrarr 2973:larrsim 2974:rarrsim 2975:rarrap 2976:ltlarr 2978:gtrarr 2979:subrarr
+    297b:suplarr 297c:lfisht 297d:rfisht 297e:ufisht 297f:dfisht 2985:lopar 2986:ropar 298b:lbrke 298c:rbrke
+    298d:lbrkslu 298e:rbrksld 298f:lbrksld 2990:rbrkslu 2991:langd 2992:rangd 2993:lparlt 2994:rpargt 2995:gtlPar
+    2996:ltrPar 299a:vzigzag 299c:vangrt 299d:angrtvbd 29a4:ange 29a5:range 29a6:dwangle 29a7:uwangle 29a8:angmsdaa
+    29a9:angmsdab 29aa:angmsdac 29ab:angmsdad 29ac:angmsdae 29ad:angmsdaf 29ae:angmsdag 29af:angmsdah 29b0:bemptyv
+    29b1:demptyv 29b2:cemptyv 29b3:raemptyv 29b4:laemptyv 29b5:ohbar 29b6:omid 29b7:opar 29b9:operp 29bb:olcross
+    29bc:odsold 29be:olcir 29bf:ofcir 29c0:olt 29c1:ogt 29c2:cirscir 29c3:cirE 29c4:solb 29c5:bsolb 29c9:boxbox
+    29cd:trisb 29ce:rtriltri 29cf:LeftTriangleBar 29cf.338:NotLeftTriangleBar 29d0:RightTriangleBar
+    29d0.338:NotRightTriangleBar 29dc:iinfin 29dd:infintie 29de:nvinfin 29e3:eparsl 29e4:smeparsl 29e5:eqvparsl
+    29eb:blacklozenge,lozf 29f4:RuleDelayed 29f6:dsol 2a00:bigodot,xodot 2a01:bigoplus,xoplus 2a02:bigotimes,xotime
+    2a04:biguplus,xuplus 2a06:bigsqcup,xsqcup 2a0c:iiiint,qint 2a0d:fpartint 2a10:cirfnint 2a11:awint 2a12:rppolint
+    2a13:scpolint 2a14:npolint 2a15:pointint 2a16:quatint 2a17:intlarhk 2a22:pluscir 2a23:plusacir 2a24:simplus
+    2a25:plusdu 2a26:plussim 2a27:plustwo 2a29:mcomma 2a2a:minusdu 2a2d:loplus 2a2e:roplus 2a2f:Cross 2a30:timesd
+    2a31:timesbar 2a33:smashp 2a34:lotimes 2a35:rotimes 2a36:otimesas 2a37:Otimes 2a38:odiv 2a39:triplus 2a3a:triminus
+    2a3b:tritime 2a3c:intprod,iprod 2a3f:amalg 2a40:capdot 2a42:ncup 2a43:ncap 2a44:capand 2a45:cupor 2a46:cupcap
+    2a47:capcup 2a48:cupbrcap 2a49:capbrcup 2a4a:cupcup 2a4b:capcap 2a4c:ccups 2a4d:ccaps 2a50:ccupssm 2a53:And 2a54:Or
+    2a55:andand 2a56:oror 2a57:orslope 2a58:andslope 2a5a:andv 2a5b:orv 2a5c:andd 2a5d:ord 2a5f:wedbar 2a66:sdote
+    2a6a:simdot 2a6d:congdot 2a6d.338:ncongdot 2a6e:easter 2a6f:apacir 2a70:apE 2a70.338:napE 2a71:eplus 2a72:pluse
+    2a73:Esim 2a74:Colone 2a75:Equal 2a77:ddotseq,eDDot 2a78:equivDD 2a79:ltcir 2a7a:gtcir 2a7b:ltquest 2a7c:gtquest
+    2a7d:leqslant,les,LessSlantEqual 2a7d.338:nleqslant,nles,NotLessSlantEqual 2a7e:geqslant,ges,GreaterSlantEqual
+    2a7e.338:ngeqslant,nges,NotGreaterSlantEqual 2a7f:lesdot 2a80:gesdot 2a81:lesdoto 2a82:gesdoto 2a83:lesdotor
+    2a84:gesdotol 2a85:lap,lessapprox 2a86:gap,gtrapprox 2a87:lne,lneq 2a88:gne,gneq 2a89:lnap,lnapprox
+    2a8a:gnap,gnapprox 2a8b:lEg,lesseqqgtr 2a8c:gEl,gtreqqless 2a8d:lsime 2a8e:gsime 2a8f:lsimg 2a90:gsiml 2a91:lgE
+    2a92:glE 2a93:lesges 2a94:gesles 2a95:els,eqslantless 2a96:egs,eqslantgtr 2a97:elsdot 2a98:egsdot 2a99:el 2a9a:eg
+    2a9d:siml 2a9e:simg 2a9f:simlE 2aa0:simgE 2aa1:LessLess 2aa1.338:NotNestedLessLess 2aa2:GreaterGreater
+    2aa2.338:NotNestedGreaterGreater 2aa4:glj 2aa5:gla 2aa6:ltcc 2aa7:gtcc 2aa8:lescc 2aa9:gescc 2aaa:smt 2aab:lat
+    2aac:smte 2aac.fe00:smtes 2aad:late 2aad.fe00:lates 2aae:bumpE 2aaf:PrecedesEqual,preceq,pre
+    2aaf.338:NotPrecedesEqual,npreceq,npre 2ab0:sce,SucceedsEqual,succeq 2ab0.338:NotSucceedsEqual,nsce,nsucceq 2ab3:prE
+    2ab4:scE 2ab5:precneqq,prnE 2ab6:scnE,succneqq 2ab7:prap,precapprox 2ab8:scap,succapprox 2ab9:precnapprox,prnap
+    2aba:scnap,succnapprox 2abb:Pr 2abc:Sc 2abd:subdot 2abe:supdot 2abf:subplus 2ac0:supplus 2ac1:submult 2ac2:supmult
+    2ac3:subedot 2ac4:supedot 2ac5:subE,subseteqq 2ac5.338:nsubE,nsubseteqq 2ac6:supE,supseteqq
+    2ac6.338:nsupE,nsupseteqq 2ac7:subsim 2ac8:supsim 2acb:subnE,subsetneqq 2acb.fe00:varsubsetneqq,vsubnE
+    2acc:supnE,supsetneqq 2acc.fe00:varsupsetneqq,vsupnE 2acf:csub 2ad0:csup 2ad1:csube 2ad2:csupe 2ad3:subsup
+    2ad4:supsub 2ad5:subsub 2ad6:supsup 2ad7:suphsub 2ad8:supdsub 2ad9:forkv 2ada:topfork 2adb:mlcp
+    2ae4:Dashv,DoubleLeftTee 2ae6:Vdashl 2ae7:Barv 2ae8:vBar 2ae9:vBarv 2aeb:Vbar 2aec:Not 2aed:bNot 2aee:rnmid
+    2aef:cirmid 2af0:midcir 2af1:topcir 2af2:nhpar 2af3:parsim 2afd:parsl 2afd.20e5:nparsl fb00:fflig fb01:filig
+    fb02:fllig fb03:ffilig fb04:ffllig 1d49c:Ascr 1d49e:Cscr 1d49f:Dscr 1d4a2:Gscr 1d4a5:Jscr 1d4a6:Kscr 1d4a9:Nscr
+    1d4aa:Oscr 1d4ab:Pscr 1d4ac:Qscr 1d4ae:Sscr 1d4af:Tscr 1d4b0:Uscr 1d4b1:Vscr 1d4b2:Wscr 1d4b3:Xscr 1d4b4:Yscr
+    1d4b5:Zscr 1d4b6:ascr 1d4b7:bscr 1d4b8:cscr 1d4b9:dscr 1d4bb:fscr 1d4bd:hscr 1d4be:iscr 1d4bf:jscr 1d4c0:kscr
+    1d4c1:lscr 1d4c2:mscr 1d4c3:nscr 1d4c5:pscr 1d4c6:qscr 1d4c7:rscr 1d4c8:sscr 1d4c9:tscr 1d4ca:uscr 1d4cb:vscr
+    1d4cc:wscr 1d4cd:xscr 1d4ce:yscr 1d4cf:zscr 1d504:Afr 1d505:Bfr 1d507:Dfr 1d508:Efr 1d509:Ffr 1d50a:Gfr 1d50d:Jfr
+    1d50e:Kfr 1d50f:Lfr 1d510:Mfr 1d511:Nfr 1d512:Ofr 1d513:Pfr 1d514:Qfr 1d516:Sfr 1d517:Tfr 1d518:Ufr 1d519:Vfr
+    1d51a:Wfr 1d51b:Xfr 1d51c:Yfr 1d51e:afr 1d51f:bfr 1d520:cfr 1d521:dfr 1d522:efr 1d523:ffr 1d524:gfr 1d525:hfr
+    1d526:ifr 1d527:jfr 1d528:kfr 1d529:lfr 1d52a:mfr 1d52b:nfr 1d52c:ofr 1d52d:pfr 1d52e:qfr 1d52f:rfr 1d530:sfr
+    1d531:tfr 1d532:ufr 1d533:vfr 1d534:wfr 1d535:xfr 1d536:yfr 1d537:zfr 1d538:Aopf 1d539:Bopf 1d53b:Dopf 1d53c:Eopf
+    1d53d:Fopf 1d53e:Gopf 1d540:Iopf 1d541:Jopf 1d542:Kopf 1d543:Lopf 1d544:Mopf 1d546:Oopf 1d54a:Sopf 1d54b:Topf
+    1d54c:Uopf 1d54d:Vopf 1d54e:Wopf 1d54f:Xopf 1d550:Yopf 1d552:aopf 1d553:bopf 1d554:copf 1d555:dopf 1d556:eopf
+    1d557:fopf 1d558:gopf 1d559:hopf 1d55a:iopf 1d55b:jopf 1d55c:kopf 1d55d:lopf 1d55e:mopf 1d55f:nopf 1d560:oopf
+    1d561:popf 1d562:qopf 1d563:ropf 1d564:sopf 1d565:topf 1d566:uopf 1d567:vopf 1d568:wopf 1d569:xopf 1d56a:yopf
+    1d56b:zopf
+  `;
 }
 export {Xml};
 export const Parser = Xml.Parser;
@@ -441,3 +4230,16 @@ export const CData = Xml.CData;
 export const Text = Xml.Text;
 export const Metadata = Xml.Metadata;
 export const Declaration = Xml.Declaration;
+export const ProcessingInstruction = Xml.ProcessingInstruction;
+export const DocumentType = Xml.DocumentType;
+export const Entities = Xml.Entities;
+export const Selector = Xml.Selector;
+export const Attribute = Xml.Attribute;
+export const XPath = Xml.XPath;
+export const Serializer = Xml.Serializer;
+export const Schema = Xml.Schema;
+export const Walker = Xml.Walker;
+export const Transform = Xml.Transform;
+export const xml = Xml.xml;
+export const Stream = Xml.Stream;
+export const XmlSyntaxError = Xml.SyntaxError;
\ No newline at end of file
@@ -1,4 +1,5 @@
 /** @import {AssertFunction} from './test.js' */
+/** @import {StreamEvent} from './xml.js' */
 import XML from './xml.js';
 const validNameChars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789._-:';
 
@@ -287,3 +288,1052 @@ export function parseIntegrationTest(/** @type {AssertFunction} */ assert) {
   assert(root[3] instanceof XML.Element, 'Expected fourth root item to be XML.Element');
   assert(root[4] instanceof XML.Text, 'Expected fifth root item to be XML.Text');
 }
+
+export function querySelectorAllMatchesTypes(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<root><item/><group><item/></group><other/></root>');
+  const result = doc.querySelectorAll('item');
+  assert(result.length === 2, `Expected 2 items, got ${result.length}`);
+  assert(result.every(e => e.type === 'item'), 'Expected only item elements');
+  assert(doc.querySelectorAll('*').length === 5, 'Expected universal selector to match all elements');
+}
+
+export function querySelectorAllMatchesAttributes(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<root><a id="x"/><a id="prefix-mid-suffix"/><a/></root>');
+  assert(doc.querySelectorAll('a[id]').length === 2, 'Expected [attr] to match present attributes');
+  assert(doc.querySelectorAll('a[id="x"]').length === 1, 'Expected [attr="v"] to match exact values');
+  assert(doc.querySelectorAll("a[id='x']").length === 1, 'Expected single quoted values');
+  assert(doc.querySelectorAll('a[id^=prefix]').length === 1, 'Expected ^= to match prefixes');
+  assert(doc.querySelectorAll('a[id$="suffix"]').length === 1, 'Expected $= to match suffixes');
+  assert(doc.querySelectorAll('a[id*="mid"]').length === 1, 'Expected *= to match substrings');
+  assert(doc.querySelectorAll('a[id^=""]').length === 0, 'Expected empty ^= to match nothing');
+}
+
+export function querySelectorAllMatchesCombinators(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<root><a><b><c id="1"/></b><c id="2"/><d/><c id="3"/></a></root>');
+  const ids = (/** @type {string} */ selector) => doc.querySelectorAll(selector).map(e => e.attributes.id).join(',');
+  assert(ids('a c') === '1,2,3', `Expected descendants 1,2,3, got ${ids('a c')}`);
+  assert(ids('a > c') === '2,3', `Expected children 2,3, got ${ids('a > c')}`);
+  assert(ids('b + c') === '2', `Expected adjacent sibling 2, got ${ids('b + c')}`);
+  assert(ids('b ~ c') === '2,3', `Expected general siblings 2,3, got ${ids('b ~ c')}`);
+  assert(ids('root>a>b>c, d + c') === '1,3', `Expected selector list 1,3, got ${ids('root>a>b>c, d + c')}`);
+}
+
+export function querySelectorAllMatchesPseudoClasses(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<root>text<i n="1"/><i n="2"/><i n="3"/><i n="4"/><i n="5"/></root>');
+  const ns = (/** @type {string} */ selector) => doc.querySelectorAll(selector).map(e => e.attributes.n).join(',');
+  assert(ns('i:first-child') === '1', `Expected :first-child to ignore text, got ${ns('i:first-child')}`);
+  assert(ns('i:nth-child(2)') === '2', `Expected :nth-child(2), got ${ns('i:nth-child(2)')}`);
+  assert(ns('i:nth-child(odd)') === '1,3,5', `Expected :nth-child(odd), got ${ns('i:nth-child(odd)')}`);
+  assert(ns('i:nth-child(even)') === '2,4', `Expected :nth-child(even), got ${ns('i:nth-child(even)')}`);
+  assert(ns('i:nth-child(3n+1)') === '1,4', `Expected :nth-child(3n+1), got ${ns('i:nth-child(3n+1)')}`);
+  assert(ns('i:nth-child(-n+2)') === '1,2', `Expected :nth-child(-n+2), got ${ns('i:nth-child(-n+2)')}`);
+  assert(ns('i:not([n="2"], :first-child)') === '3,4,5', `Expected :not(), got ${ns('i:not([n="2"], :first-child)')}`);
+}
+
+export function querySelectorMatchesEscapedNames(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<root><ns:item a.b="1"/><my.item/></root>');
+  assert(doc.querySelector('ns\\:item')?.type === 'ns:item', 'Expected escaped ":" in type selectors');
+  assert(doc.querySelector('my.item')?.type === 'my.item', 'Expected "." in type selectors');
+  assert(doc.querySelector('[a.b="1"]')?.type === 'ns:item', 'Expected "." in attribute selectors');
+}
+
+export function querySelectorReturnsFirstOrUndefined(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<root><a id="1"><a id="2"/></a></root>');
+  assert(doc.querySelector('a')?.attributes.id === '1', 'Expected first match in document order');
+  assert(doc.querySelector('missing') === undefined, 'Expected undefined when nothing matches');
+}
+
+export function matchesAndClosestWalkParents(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<root><a id="1"><b><c/></b></a></root>');
+  const c = /** @type {InstanceType<XML.Element>} */(doc.querySelector('c'));
+  assert(c.matches('a c'), 'Expected c to match "a c"');
+  assert(!c.matches('b > a > c'), 'Expected c not to match "b > a > c"');
+  assert(c.closest('c') === c, 'Expected closest to include itself');
+  assert(c.closest('[id]')?.type === 'a', 'Expected closest to find the ancestor');
+  assert(c.closest('missing') === undefined, 'Expected undefined when no ancestor matches');
+  assert(!doc.matches('*'), 'Expected a non-element not to match');
+}
+
+export function selectorRejectsInvalidSyntax(/** @type {AssertFunction} */ assert) {
+  for (const selector of ['', 'a >', '[', 'a[id=]', 'a:unknown', 'a:nth-child(x)', 'a:not(b']) {
+    try { new XML.Selector(selector); assert(false, `Expected exception for '${selector}'`); }
+    catch (e) { assert(true); }
+  }
+}
+
+export function selectorCanBeReused(/** @type {AssertFunction} */ assert) {
+  const selector = new XML.Selector('b');
+  const doc = XML.parse('<a><b/><b/></a>');
+  assert(XML.Selector.from(selector) === selector, 'Expected from to reuse compiled selectors');
+  assert(doc.querySelectorAll(selector).length === 2, 'Expected compiled selectors to be accepted');
+}
+
+export function selectorFiltersWideParents(/** @type {AssertFunction} */ assert) {
+  const list = /** @type {InstanceType<XML.Element>} */(XML.parse(`<ul>${'<li/>'.repeat(5000)}<li id="last"/></ul>`).firstChild);
+  const odd = new XML.Selector('li:nth-child(odd) + li:not(:first-child) ~ li[id]');
+  assert(odd.filter(list.children).length === 1 && odd.find(list.children)?.attributes.id === 'last', 'Expected filter and find to match siblings');
+  assert(list.querySelectorAll('li:nth-child(2n)').length === 2500, 'Expected every other child to match');
+  const first = /** @type {InstanceType<XML.Element>} */(list.firstChild);
+  list.remove(first);
+  assert(list.querySelector('li:first-child') === list.firstChild, 'Expected positions to follow edits between queries');
+}
+
+export function evaluateSelectsLocationPaths(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<root><a id="1"><b/></a><a id="2"/><c/></root>');
+  const absolute = /** @type {any[]} */(XML.evaluate('/root/a', doc));
+  assert(absolute.length === 2 && absolute.every(e => e.type === 'a'), 'Expected /root/a to select both a elements');
+  const descendants = /** @type {any[]} */(XML.evaluate('//b', doc));
+  assert(descendants.length === 1 && descendants[0].type === 'b', 'Expected //b to select b');
+  const relative = /** @type {any[]} */(XML.evaluate('a[2]', /** @type {any} */(absolute[0].parent)));
+  assert(relative.length === 1 && relative[0].attributes.id === '2', 'Expected relative paths from the context node');
+  const parent = /** @type {any[]} */(XML.evaluate('..', descendants[0]));
+  assert(parent[0] === absolute[0], 'Expected .. to select the parent');
+}
+
+export function evaluateSupportsAxes(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<root><a><b><c/></b></a><d/><e/></root>');
+  const names = (/** @type {string} */ expression) => /** @type {any[]} */(XML.evaluate(expression, doc)).map(n => n.type).join(',');
+  assert(names('//c/ancestor::*') === 'root,a,b', `Expected ancestors in document order, got ${names('//c/ancestor::*')}`);
+  assert(names('//c/ancestor::*[1]') === 'b', `Expected reverse axis proximity, got ${names('//c/ancestor::*[1]')}`);
+  assert(names('//a/following-sibling::*') === 'd,e', `Expected following siblings, got ${names('//a/following-sibling::*')}`);
+  assert(names('//e/preceding-sibling::*[1]') === 'd', `Expected nearest preceding sibling, got ${names('//e/preceding-sibling::*[1]')}`);
+  assert(names('/root/descendant::*') === 'a,b,c,d,e', `Expected descendants, got ${names('/root/descendant::*')}`);
+  assert(names('//c/parent::b') === 'b', `Expected parent axis, got ${names('//c/parent::b')}`);
+  assert(names('//b/following::*') === 'd,e', `Expected following axis, got ${names('//b/following::*')}`);
+  assert(names('//d | //a') === 'a,d', `Expected unions in document order, got ${names('//d | //a')}`);
+}
+
+export function evaluateSelectsAttributes(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<root><a id="1" name="x"/><a id="2"/></root>');
+  const ids = /** @type {any[]} */(XML.evaluate('//a/@id', doc));
+  assert(ids.length === 2 && ids.every(a => a instanceof XML.Attribute), 'Expected Xml.Attribute results');
+  assert(ids.map(a => a.value).join(',') === '1,2', 'Expected attribute values');
+  assert(ids[0].element.attributes.name === 'x', 'Expected attributes to reference their element');
+  assert(/** @type {any[]} */(XML.evaluate('//a/attribute::*', doc)).length === 3, 'Expected attribute axis wildcard');
+  assert(/** @type {any[]} */(XML.evaluate('//a/@id', doc))[0] === ids[0], 'Expected attribute views to compare by identity');
+  const [id] = ids;
+  id.value = 'changed';
+  assert(id.element.attributes.id === 'changed', 'Expected attribute views to be live');
+}
+
+export function evaluateSortsNodeSetsInDocumentOrder(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse(`<r><a id="1" n="x"><b/></a>${'<a/>'.repeat(2000)}<c><a id="2"/></c></r>`);
+  const union = /** @type {any[]} */(XML.evaluate('//c/a | //a/@n | //b | //a/@id', doc));
+  const names = union.map(node => node instanceof XML.Attribute ? `@${node.name}` : node.type).join(',');
+  assert(names === '@id,@n,b,a,@id', `Expected attributes after their element and before its children, got ${names}`);
+  const all = /** @type {any[]} */(XML.evaluate('//a', doc));
+  assert(all.length === 2002 && all[0].attributes.id === '1' && all[2001].attributes.id === '2', 'Expected descendants in document order');
+  const other = XML.parse('<r><a/></r>');
+  const both = /** @type {any[]} */(XML.evaluate('$other | //c', doc, {other: [other.firstChild]}));
+  assert(both.length === 2 && both.includes(other.firstChild), 'Expected nodes of other trees to be kept');
+}
+
+export function evaluateSupportsPredicates(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<list><i n="1">a</i><i n="2">b</i><i n="3">c</i></list>');
+  const text = (/** @type {string} */ expression) => /** @type {any[]} */(XML.evaluate(expression, doc)).map(n => n.attributes.n).join(',');
+  assert(text('//i[2]') === '2', `Expected positional predicate, got ${text('//i[2]')}`);
+  assert(text('//i[last()]') === '3', `Expected last(), got ${text('//i[last()]')}`);
+  assert(text('//i[position() > 1]') === '2,3', `Expected position(), got ${text('//i[position() > 1]')}`);
+  assert(text('//i[@n != 2]') === '1,3', `Expected attribute comparison, got ${text('//i[@n != 2]')}`);
+  assert(text('//i[text() = "b" or @n = 3]') === '2,3', `Expected boolean predicate, got ${text('//i[text() = "b" or @n = 3]')}`);
+  assert(text('(//i)[1]') === '1', `Expected filter expression predicate, got ${text('(//i)[1]')}`);
+}
+
+export function evaluateReturnsScalars(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<root><a>  Hello   <b>World</b> </a><n>4</n><n>6</n></root>');
+  const checks = /** @type {[string, any][]} */([
+    ['count(//n)', 2],
+    ['sum(//n)', 10],
+    ['string(//a)', '  Hello   World '],
+    ['normalize-space(//a)', 'Hello World'],
+    ['contains(//a, "World")', true],
+    ['starts-with(//a, "Hello")', false],
+    ['string-length("abc")', 3],
+    ['concat("a", 1, true())', 'a1true'],
+    ['substring("12345", 2, 3)', '234'],
+    ['substring-before("a/b", "/")', 'a'],
+    ['substring-after("a/b", "/")', 'b'],
+    ['translate("abc", "ab", "A")', 'Ac'],
+    ['1 + 2 * 3 - 4 div 2', 5],
+    ['7 mod 3', 1],
+    ['-(1)', -1],
+    ['number("x")', NaN],
+    ['not(//missing)', true],
+    ['//n = 6', true],
+    ['//n > 5', true],
+    ['name(/*)', 'root'],
+    ['round(2.5) + floor(1.9) + ceiling(1.1)', 6],
+  ]);
+  for (const [expression, expected] of checks) {
+    const result = XML.evaluate(expression, doc);
+    const passed = Number.isNaN(expected) ? Number.isNaN(result) : result === expected;
+    assert(passed, `Expected ${expression} to be ${expected}, got ${result}`);
+  }
+}
+
+export function evaluateSupportsNodeTypeTests(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<?xml version="1.0"?><root>text<!--note--><![CDATA[data]]><a/></root>');
+  assert(/** @type {any[]} */(XML.evaluate('/root/text()', doc)).length === 2, 'Expected text() to match text and CDATA');
+  assert(/** @type {any[]} */(XML.evaluate('/root/comment()', doc)).length === 1, 'Expected comment()');
+  assert(/** @type {any[]} */(XML.evaluate('/root/node()', doc)).length === 4, 'Expected node()');
+  assert(/** @type {any[]} */(XML.evaluate('/processing-instruction("xml")', doc)).length === 1, 'Expected processing-instruction()');
+}
+
+export function evaluateSupportsVariables(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<root><a id="1"/><a id="2"/></root>');
+  const result = /** @type {any[]} */(XML.evaluate('//a[@id = $id]', doc, {id: '2'}));
+  assert(result.length === 1 && result[0].attributes.id === '2', 'Expected variable references');
+  try { XML.evaluate('$missing', doc); assert(false, 'Expected exception'); }
+  catch (e) { assert(true); }
+}
+
+export function evaluateRejectsInvalidExpressions(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<root/>');
+  for (const expression of ['', '//a[', 'unknown()', 'a/', 'bogus::a', '1 +', '"unterminated']) {
+    try { XML.evaluate(expression, doc); assert(false, `Expected exception for '${expression}'`); }
+    catch (e) { assert(true); }
+  }
+}
+
+export function elementResolvesNamespaces(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<s:Envelope xmlns:s="urn:soap" xmlns="urn:default"><s:Body><item/></s:Body></s:Envelope>');
+  const envelope = /** @type {InstanceType<XML.Element>} */([...doc][0]);
+  const item = /** @type {InstanceType<XML.Element>} */(doc.querySelector('item'));
+  assert(envelope.prefix === 's', `Expected prefix 's', got '${envelope.prefix}'`);
+  assert(envelope.localName === 'Envelope', `Expected localName 'Envelope', got '${envelope.localName}'`);
+  assert(envelope.namespaceURI === 'urn:soap', `Expected 'urn:soap', got '${envelope.namespaceURI}'`);
+  assert(item.prefix === '' && item.namespaceURI === 'urn:default', 'Expected unprefixed elements in the default namespace');
+  assert(item.lookupNamespaceURI('s') === 'urn:soap', 'Expected lookupNamespaceURI to walk parents');
+  assert(item.lookupNamespaceURI('xml') === 'http://www.w3.org/XML/1998/namespace', 'Expected the built-in xml prefix');
+  assert(item.lookupNamespaceURI('missing') === undefined, 'Expected undefined for unbound prefixes');
+  assert(item.lookupPrefix('urn:soap') === 's', 'Expected lookupPrefix to walk parents');
+  assert(envelope.namespaces.s === 'urn:soap' && envelope.namespaces[''] === 'urn:default', 'Expected declared namespaces');
+}
+
+export function namespaceDeclarationsCanBeShadowed(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<a xmlns:p="urn:1"><b xmlns:p="urn:2"><c/></b><d xmlns=""/></a>');
+  const c = /** @type {InstanceType<XML.Element>} */(doc.querySelector('c'));
+  const d = /** @type {InstanceType<XML.Element>} */(doc.querySelector('d'));
+  assert(c.lookupNamespaceURI('p') === 'urn:2', 'Expected the nearest declaration to win');
+  assert(c.lookupPrefix('urn:1') === undefined, 'Expected shadowed prefixes not to be returned');
+  assert(d.namespaceURI === undefined, 'Expected xmlns="" to undeclare the default namespace');
+}
+
+export function attributesResolveNamespaces(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<root xmlns="urn:d" xmlns:x="urn:x" x:id="1" id="2"/>');
+  const root = /** @type {InstanceType<XML.Element>} */(doc.querySelector('root'));
+  const prefixed = XML.Attribute.of(root, 'x:id');
+  const plain = XML.Attribute.of(root, 'id');
+  assert(prefixed.prefix === 'x' && prefixed.localName === 'id', 'Expected attribute prefix and localName');
+  assert(prefixed.namespaceURI === 'urn:x', `Expected 'urn:x', got '${prefixed.namespaceURI}'`);
+  assert(plain.namespaceURI === undefined, 'Expected unprefixed attributes to have no namespace');
+  assert(XML.Attribute.of(root, 'xmlns').namespaceURI === 'http://www.w3.org/2000/xmlns/', 'Expected xmlns attributes in the xmlns namespace');
+  assert(root.getAttributeNS('urn:x', 'id') === '1', 'Expected getAttributeNS by namespace');
+  assert(root.getAttributeNS(null, 'id') === '2', 'Expected getAttributeNS without namespace');
+}
+
+export function programmaticNamespacesAreSerialized(/** @type {AssertFunction} */ assert) {
+  const root = new XML.Element();
+  root.type = 'a:root';
+  root.namespaceURI = 'urn:a';
+  const child = new XML.Element();
+  child.type = 'a:child';
+  child.namespaceURI = 'urn:a';
+  root.add(child);
+  child.setAttributeNS('urn:b', 'b:x', '1');
+  child.setAttributeNS('urn:b', 'x', '2');
+  const text = root.toString();
+  assert(text === '<a:root xmlns:a="urn:a"><a:child xmlns:b="urn:b" b:x="2"/></a:root>', `Unexpected serialization: ${text}`);
+  const parsed = /** @type {InstanceType<XML.Element>} */(XML.parse(text).querySelector('a\\:child'));
+  assert(parsed.namespaceURI === 'urn:a', 'Expected the declaration to round-trip');
+  assert(parsed.getAttributeNS('urn:b', 'x') === '2', 'Expected the attribute namespace to round-trip');
+}
+
+export function selectorsMatchByNamespace(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<s:Envelope xmlns:s="urn:soap"><s:Body x:id="1" xmlns:x="urn:x"/><Body/></s:Envelope>');
+  const namespaces = {soap: 'urn:soap', other: 'urn:x'};
+  assert(doc.querySelector('soap|Envelope', namespaces)?.type === 's:Envelope', 'Expected prefixes to match by URI');
+  assert(doc.querySelectorAll('soap|*', namespaces).length === 2, 'Expected prefix|* to match the namespace');
+  assert(doc.querySelectorAll('*|Body').length === 2, 'Expected *|name to match any namespace');
+  assert(doc.querySelectorAll('|Body').length === 1, 'Expected |name to match no namespace');
+  assert(doc.querySelectorAll('[other|id="1"]', namespaces).length === 1, 'Expected namespaced attribute selectors');
+  try { doc.querySelector('missing|Body'); assert(false, 'Expected exception for unknown prefix'); }
+  catch (e) { assert(true); }
+}
+
+export function evaluateMatchesByNamespace(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<s:Envelope xmlns:s="urn:soap"><s:Body xmlns="urn:d"><item/></s:Body></s:Envelope>');
+  const namespaces = {soap: 'urn:soap', d: 'urn:d'};
+  const body = /** @type {any[]} */(XML.evaluate('/soap:Envelope/soap:Body', doc, {}, namespaces));
+  assert(body.length === 1 && body[0].type === 's:Body', 'Expected prefixed name tests to match by URI');
+  assert(/** @type {any[]} */(XML.evaluate('//d:item', doc, {}, namespaces)).length === 1, 'Expected default namespace matches');
+  assert(/** @type {any[]} */(XML.evaluate('//s:Body', doc)).length === 1, 'Expected unresolved prefixes to match literally');
+  assert(XML.evaluate('namespace-uri(//item)', doc) === 'urn:d', 'Expected namespace-uri()');
+  assert(XML.evaluate('local-name(/*)', doc) === 'Envelope', 'Expected local-name()');
+}
+
+export function streamEmitsEvents(/** @type {AssertFunction} */ assert) {
+  const events = /** @type {string[]} */([]);
+  new XML.Stream(e => events.push(`${e.type}:${e.name ?? e.node.toString()}`))
+    .end('<?xml version="1.0"?><root a="1"><!--c--><![CDATA[d]]>text<child/></root>');
+  const expected = [
+    'declaration:<?xml version="1.0"?>', 'startElement:root', 'comment:<!--c-->', 'cdata:<![CDATA[d]]>',
+    'text:text', 'startElement:child', 'endElement:child', 'endElement:root'
+  ];
+  assert(events.join('|') === expected.join('|'), `Unexpected events: ${events.join('|')}`);
+}
+
+export function streamEmitsElementDetails(/** @type {AssertFunction} */ assert) {
+  const events = /** @type {StreamEvent[]} */([]);
+  new XML.Stream(e => events.push(e)).end('<root a="1" b="2"><child/></root>');
+  const [root, child] = events;
+  assert(root.attributes?.a === '1' && root.attributes?.b === '2', 'Expected startElement attributes');
+  assert(root.selfClosing === false && child.selfClosing === true, 'Expected selfClosing flags');
+  assert(root.node instanceof XML.Element && root.node.length === 0, 'Expected elements without children');
+  assert(events[3].node === root.node, 'Expected endElement to reference the started element');
+}
+
+export function streamHandlesChunkBoundaries(/** @type {AssertFunction} */ assert) {
+  const text = '<root a="x>y"><!-- a > b --><![CDATA[ <c> ]]>héllo wörld<b/><c>t</c></root>';
+  const expected = /** @type {string[]} */([]);
+  new XML.Stream(e => expected.push(`${e.type}:${e.name ?? e.node.toString()}`)).end(text);
+  const bytes = new TextEncoder().encode(text);
+  for (let size = 1; size <= 8; size++) {
+    const events = /** @type {string[]} */([]);
+    const stream = new XML.Stream(e => events.push(`${e.type}:${e.name ?? e.node.toString()}`));
+    for (let i = 0; i < bytes.length; i += size) { stream.write(bytes.slice(i, i + size)); }
+    stream.end();
+    assert(events.join('|') === expected.join('|'), `Unexpected events for ${size} byte chunks: ${events.join('|')}`);
+  }
+}
+
+export async function streamEventsReadsAsyncIterables(/** @type {AssertFunction} */ assert) {
+  const source = (async function*() { yield '<a><b>'; yield 'x</b'; yield '></a>'; })();
+  const events = /** @type {string[]} */([]);
+  for await (const event of XML.Stream.events(source)) { events.push(event.type); }
+  const expected = ['startElement', 'startElement', 'text', 'endElement', 'endElement'];
+  assert(events.join(',') === expected.join(','), `Unexpected events: ${events.join(',')}`);
+}
+
+export function streamUsesCustomParsers(/** @type {AssertFunction} */ assert) {
+  class Template extends XML.Text {}
+  class TemplateParser extends XML.Parser {
+    canParse(/** @type {string} */ text) { return text.startsWith('{{'); }
+    parse(/** @type {string} */ text) {
+      const end = text.indexOf('}}');
+      const node = new Template();
+      node.content = end < 0 ? text.slice(2) : text.slice(2, end);
+      return /** @type {[InstanceType<XML.Node>, string]} */([node, end < 0 ? '' : text.slice(end + 2)]);
+    }
+  }
+  const events = /** @type {StreamEvent[]} */([]);
+  const stream = new XML.Stream(e => events.push(e), [new TemplateParser(), ...XML.defaultParsers]);
+  stream.write('<a>{{ na').write('me }}</a>').end();
+  const template = events.find(e => e.node instanceof Template);
+  assert(template?.type === 'text', 'Expected custom Text nodes to be emitted as text');
+  assert(/** @type {any} */(template?.node).content === ' name ', 'Expected custom parsers to wait for complete input');
+}
+
+export function streamClosesOpenElementsAtEnd(/** @type {AssertFunction} */ assert) {
+  const events = /** @type {string[]} */([]);
+  const stream = new XML.Stream(e => events.push(`${e.type}:${e.name}`));
+  stream.write('<a><b>');
+  assert(stream.depth === 2, `Expected depth 2, got ${stream.depth}`);
+  stream.end();
+  assert(events.join('|') === 'startElement:a|startElement:b|endElement:b|endElement:a', `Unexpected events: ${events.join('|')}`);
+  try { stream.write('<c/>'); assert(false, 'Expected exception writing after end'); }
+  catch (e) { assert(true); }
+}
+
+export function streamRejectsStrayClosingTags(/** @type {AssertFunction} */ assert) {
+  try { new XML.Stream(() => {}).end('<a/></b>'); assert(false, 'Expected exception'); }
+  catch (e) { assert(true); }
+}
+
+export function parseThrowsLocatedSyntaxErrors(/** @type {AssertFunction} */ assert) {
+  try {
+    XML.parse('<root>\n  <a>\n    <b c=1 />\n  </a>\n</root>');
+    assert(false, 'Expected exception');
+  } catch (/** @type {any} */ e) {
+    assert(e instanceof XML.SyntaxError && e instanceof Error, 'Expected an Xml.SyntaxError');
+    assert(e.name === 'XmlSyntaxError', `Expected name XmlSyntaxError, got ${e.name}`);
+    assert(e.code === 'attribute-name', `Expected code attribute-name, got ${e.code}`);
+    assert(e.offset === 21, `Expected offset 21, got ${e.offset}`);
+    assert(e.line === 3 && e.column === 9, `Expected line 3, column 9, got ${e.line}:${e.column}`);
+    assert(e.frame.includes('> 3 |     <b c=1 />'), `Expected the frame to show the line, got ${e.frame}`);
+    assert(e.frame.endsWith('|         ^'), `Expected the frame to point at the column, got ${e.frame}`);
+    assert(e.message.includes('line 3, column 9'), `Expected the message to include the location, got ${e.message}`);
+  }
+}
+
+export function parseErrorsHaveCodes(/** @type {AssertFunction} */ assert) {
+  const cases = /** @type {[string, string][]} */([['< root/>', 'no-parser'], ['<root', 'unclosed-tag'], ['<root a="1"=/>', 'attribute-name']]);
+  for (const [text, code] of cases) {
+    try { XML.parse(text); assert(false, `Expected exception for '${text}'`); }
+    catch (/** @type {any} */ e) { assert(e.code === code, `Expected code ${code} for '${text}', got ${e.code}`); }
+  }
+}
+
+export function parserErrorsAreUnlocatedUntilParsed(/** @type {AssertFunction} */ assert) {
+  try { new XML.Element.Parser().parse('<root', []); assert(false, 'Expected exception'); }
+  catch (/** @type {any} */ e) {
+    assert(e instanceof XML.SyntaxError && e.offset === undefined, 'Expected an unlocated Xml.SyntaxError');
+    assert(e.remaining === 0, `Expected 0 remaining, got ${e.remaining}`);
+    e.locate('<root');
+    assert(e.offset === 5 && e.line === 1 && e.column === 6, `Expected offset 5 at 1:6, got ${e.offset} at ${e.line}:${e.column}`);
+  }
+}
+
+export function parseRecordsPositionsWhenEnabled(/** @type {AssertFunction} */ assert) {
+  const text = '<root>\n  <a x="1"\n     y="2">hi</a>\n</root>';
+  const doc = XML.parse(text, [], {positions: true});
+  const a = /** @type {InstanceType<XML.Element>} */(doc.querySelector('a'));
+  const [hi] = [...a];
+  assert(text.slice(a.source?.start.offset, a.source?.end.offset) === '<a x="1"\n     y="2">hi</a>', 'Expected element ranges');
+  assert(a.source?.start.line === 2 && a.source?.start.column === 3, `Expected 2:3, got ${a.source?.start.line}:${a.source?.start.column}`);
+  assert(a.source?.end.line === 3 && a.source?.end.column === 18, `Expected 3:18, got ${a.source?.end.line}:${a.source?.end.column}`);
+  assert(text.slice(hi.source?.start.offset, hi.source?.end.offset) === 'hi', 'Expected text ranges');
+  const y = XML.Attribute.of(a, 'y').source;
+  assert(text.slice(y?.start.offset, y?.end.offset) === 'y="2"', 'Expected attribute ranges');
+  assert(y?.start.line === 3 && y?.start.column === 6, `Expected 3:6, got ${y?.start.line}:${y?.start.column}`);
+  assert(doc.source?.start.offset === 0 && doc.source?.end.offset === text.length, 'Expected the document range');
+  assert(XML.parse(text).querySelector('a')?.source === undefined, 'Expected no positions by default');
+}
+
+export function parsePositionsIncludeCustomParsers(/** @type {AssertFunction} */ assert) {
+  class Upper extends XML.Text.Parser {
+    parse(/** @type {string} */ text, /** @type {InstanceType<XML.Parser>[]} */ parsers) {
+      const [node, remaining] = super.parse(text, parsers);
+      node.content = node.content.toUpperCase();
+      return /** @type {[InstanceType<XML.Text>, string]} */([node, remaining]);
+    }
+  }
+  const doc = XML.parse('<a>x</a>', [new Upper(), new XML.Element.Parser()], {positions: true});
+  const a = /** @type {InstanceType<XML.Element>} */(doc.querySelector('a'));
+  const [text] = /** @type {InstanceType<XML.Text>[]} */([...a]);
+  assert(text.content === 'X', 'Expected the custom parser to run');
+  assert(text.source?.start.offset === 3 && text.source?.end.offset === 4, 'Expected custom parser nodes to have ranges');
+}
+
+export function streamThrowsLocatedSyntaxErrors(/** @type {AssertFunction} */ assert) {
+  const stream = new XML.Stream(() => {});
+  stream.write('<root>\n  <a>\n');
+  try { stream.write('    <b c=1 />'); assert(false, 'Expected exception'); }
+  catch (/** @type {any} */ e) {
+    assert(e instanceof XML.SyntaxError && e.code === 'attribute-name', 'Expected an Xml.SyntaxError');
+    assert(e.offset === 21 && e.line === 3 && e.column === 9, `Expected offset 21 at 3:9, got ${e.offset} at ${e.line}:${e.column}`);
+  }
+}
+
+export function strictParseRejectsMalformedDocuments(/** @type {AssertFunction} */ assert) {
+  const cases = /** @type {[string, string][]} */([
+    ['<a><b></a>', 'mismatched-tag'], ['<a><b></b>', 'unclosed-element'], ['<a/><b/>', 'multiple-roots'],
+    ['<a/>text', 'text-outside-root'], ['<![CDATA[x]]><a/>', 'text-outside-root'], ['<!-- x -->', 'missing-root'],
+    ['<a x="1" x="2"/>', 'duplicate-attribute'], ['<a x/>', 'missing-attribute-value'], ['<a x=1/>', 'missing-attribute-value'],
+    ['<a x="<"/>', 'invalid-attribute-value'], ['<1a/>', 'invalid-name'], ['<a -x="1"/>', 'invalid-name'],
+    ['<a><!-- a -- b --></a>', 'invalid-comment'], ['<a><!-- a ---></a>', 'invalid-comment'], ['<a><!-- x', 'unterminated-comment'],
+    ['<a><![CDATA[x', 'unterminated-cdata'], ['<a/><?xml version="1.0"?>', 'misplaced-declaration'], ['<?xml version="1.0"', 'unterminated-declaration'],
+  ]);
+  for (const [text, code] of cases) {
+    try { XML.parse(text, [], {strict: true}); assert(false, `Expected exception for '${text}'`); }
+    catch (/** @type {any} */ e) { assert(e instanceof XML.SyntaxError && e.code === code, `Expected code ${code} for '${text}', got ${e.code}`); }
+  }
+  for (const [text] of cases.slice(0, 2)) { XML.parse(text); }
+}
+
+export function strictParseAcceptsWellFormedDocuments(/** @type {AssertFunction} */ assert) {
+  const text = '<?xml version="1.0"?>\n<!-- c -->\n<a:root xmlns:a="urn:a" b="1" c=\'2\'>\n  <x>1 &amp; 2</x><![CDATA[<y>]]><?pi?>\n</a:root>\n';
+  const strict = XML.parse(text, [], {strict: true});
+  assert(strict.querySelector('a\\:root > x')?.type === 'x', 'Expected the document to parse');
+  assert(XML.parse('<?xml version="1.0"?><a/>', [], {strict: true}).length === 2, 'Expected a leading declaration to be allowed');
+}
+
+export function strictErrorsAreLocated(/** @type {AssertFunction} */ assert) {
+  try { XML.parse('<root>\n  <a></b>\n</root>', [], {strict: true}); assert(false, 'Expected exception'); }
+  catch (/** @type {any} */ e) {
+    assert(e.code === 'mismatched-tag' && e.line === 2 && e.column === 6, `Expected 2:6, got ${e.line}:${e.column}`);
+  }
+}
+
+export function strictStreamRejectsMalformedDocuments(/** @type {AssertFunction} */ assert) {
+  const cases = /** @type {[string, string][]} */([['<a><b></a>', 'mismatched-tag'], ['<a><b>', 'unclosed-element'], ['<a/><b/>', 'multiple-roots'], ['', 'missing-root'], ['<a x="1" x="2"/>', 'duplicate-attribute']]);
+  for (const [text, code] of cases) {
+    const stream = new XML.Stream(() => {}, [], {strict: true});
+    try { stream.end(text); assert(false, `Expected exception for '${text}'`); }
+    catch (/** @type {any} */ e) { assert(e instanceof XML.SyntaxError && e.code === code, `Expected code ${code} for '${text}', got ${e.code}`); }
+  }
+  new XML.Stream(() => {}).end('<a><b></a>');
+}
+
+export function serializePrettyPrintsElementContent(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<root>\n<a x="1">text <b/></a>  <c></c></root>');
+  const text = XML.serialize(doc, {indent: 2});
+  assert(text === '<root>\n  <a x="1">text <b/></a>\n  <c/>\n</root>', `Unexpected output: ${text}`);
+  assert(XML.serialize(doc, {indent: '\t', newline: '\r\n'}).startsWith('<root>\r\n\t<a'), 'Expected indent and newline styles');
+  assert(XML.serialize(doc) === '<root>\n<a x="1">text <b/></a>  <c/></root>', 'Expected text to be preserved by default');
+}
+
+export function serializeAppliesOutputOptions(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<a z="1" b="it\'s"><c>  x  </c><d/></a>');
+  const text = XML.serialize(doc, {selfClosing: false, sortAttributes: true, quote: "'", whitespace: 'trim'});
+  assert(text === "<a b='it&apos;s' z='1'><c>x</c><d></d></a>", `Unexpected output: ${text}`);
+  const reversed = XML.serialize(doc, {sortAttributes: (a, b) => b.localeCompare(a)});
+  assert(reversed.startsWith('<a z="1" b='), `Expected a custom attribute order, got ${reversed}`);
+  try { new XML.Serializer({quote: /** @type {any} */('`')}); assert(false, 'Expected exception'); }
+  catch (/** @type {any} */ e) { assert(e.message === 'Invalid quote option: `', 'Expected an invalid option error'); }
+}
+
+export function serializeAddsOrOmitsDeclarations(/** @type {AssertFunction} */ assert) {
+  const added = XML.serialize(XML.parse('<a/>'), {declaration: true});
+  assert(added === '<?xml version="1.0" encoding="UTF-8"?>\n<a/>', `Unexpected output: ${added}`);
+  const kept = XML.serialize(XML.parse('<?xml version="1.1"?><a/>'), {declaration: true});
+  assert(kept === '<?xml version="1.1"?><a/>', `Expected the existing declaration, got ${kept}`);
+  const omitted = XML.serialize(XML.parse('<?xml version="1.0"?><a/>'), {declaration: false});
+  assert(omitted === '<a/>', `Expected no declaration, got ${omitted}`);
+}
+
+export function textParserUnescapesContent(/** @type {AssertFunction} */ assert) {
+  const [text] = /** @type {InstanceType<XML.Text>[]} */([...XML.parse('1 &lt; 2 &amp;&#33;')]);
+  assert(text.content === '1 < 2 &!', `Expected unescaped content, got ${text.content}`);
+  assert(text.toString() === '1 &lt; 2 &amp;!', 'Expected the text to round trip');
+}
+
+export function serializeWritesCanonicalXml(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<?xml version="1.0"?>\n<!-- c -->\n<r b="&#9;x&#10;" xmlns:b="urn:b" a="&gt;" xmlns="urn:d" b:z="1" b:a="2">\n<e/><![CDATA[<&>]]><x xmlns="urn:d" xmlns:b="urn:b">\r</x></r>\n<?pi?>');
+  const text = XML.serialize(doc, {canonical: 'c14n'});
+  const expected = '<r xmlns="urn:d" xmlns:b="urn:b" a=">" b="&#x9;x&#xA;" b:a="2" b:z="1">\n<e></e>&lt;&amp;&gt;<x>&#xD;</x></r>\n<?pi?>';
+  assert(text === expected, `Unexpected output: ${text}`);
+  const comments = XML.serialize(doc, {canonical: 'c14n', comments: true});
+  assert(comments.startsWith('<!-- c -->\n<r '), `Expected comments, got ${comments}`);
+}
+
+export function serializeCanonicalizesSubtrees(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<r xmlns="urn:d" xmlns:a="urn:a" xmlns:u="urn:u" xml:lang="en"><a:e u:x="1"><f/></a:e></r>');
+  const e = /** @type {InstanceType<XML.Element>} */(doc.querySelector('a\\:e'));
+  const inclusive = XML.serialize(e, {canonical: 'c14n'});
+  assert(inclusive === '<a:e xmlns="urn:d" xmlns:a="urn:a" xmlns:u="urn:u" xml:lang="en" u:x="1"><f></f></a:e>', `Unexpected c14n: ${inclusive}`);
+  const exclusive = XML.serialize(e, {canonical: 'exc-c14n'});
+  assert(exclusive === '<a:e xmlns:a="urn:a" xmlns:u="urn:u" u:x="1"><f xmlns="urn:d"></f></a:e>', `Unexpected exc-c14n: ${exclusive}`);
+  const included = XML.serialize(e, {canonical: 'exc-c14n', inclusiveNamespaces: ['#default']});
+  assert(included.startsWith('<a:e xmlns="urn:d" xmlns:a="urn:a"') && included.endsWith('<f></f></a:e>'), `Unexpected inclusive prefixes: ${included}`);
+}
+
+export function serializeDeclaresProgrammaticNamespaces(/** @type {AssertFunction} */ assert) {
+  const root = new XML.Element();
+  root.type = 'atom:feed';
+  root.namespaceURI = 'http://www.w3.org/2005/Atom';
+  const text = XML.serialize(root, {canonical: 'exc-c14n'});
+  assert(text === '<atom:feed xmlns:atom="http://www.w3.org/2005/Atom"></atom:feed>', `Unexpected output: ${text}`);
+  assert(XML.serialize(root) === '<atom:feed xmlns:atom="http://www.w3.org/2005/Atom"/>', 'Expected the declaration when serialized');
+}
+
+export function parseExpandsDeclaredEntities(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<!DOCTYPE r [\n  <!ENTITY co "Acme &amp; Co">\n  <!ENTITY full "&co; &#169;">\n]>\n<r a="&full;">&full;</r>');
+  const r = /** @type {InstanceType<XML.Element>} */(doc.querySelector('r'));
+  const [text] = /** @type {InstanceType<XML.Text>[]} */([...r]);
+  assert(r.attributes.a === 'Acme & Co ©', `Unexpected attribute: ${r.attributes.a}`);
+  assert(text.content === 'Acme & Co ©', `Unexpected text: ${text.content}`);
+}
+
+export function metadataParsesInternalSubsets(/** @type {AssertFunction} */ assert) {
+  const parsers = XML.defaultParsers.filter(parser => !(parser instanceof XML.DocumentType.Parser));
+  const doc = XML.parse('<!DOCTYPE r SYSTEM "r.dtd" [ <!ENTITY % p "x"> %p; <!ELEMENT r (#PCDATA)> <!-- c --> ]><r/>', parsers);
+  const [doctype] = /** @type {InstanceType<XML.Metadata>[]} */([...doc]);
+  assert(doctype.type === 'DOCTYPE' && doctype.names.join() === 'r,SYSTEM' && doctype.values.join() === 'r.dtd', 'Expected the doctype');
+  const children = [...doctype].map(child => child instanceof XML.Metadata ? child.type : child.constructor.name);
+  assert(children.join() === 'ENTITY,ELEMENT,Comment', `Unexpected subset: ${children}`);
+  assert(doc.toString() === '<!DOCTYPE r SYSTEM "r.dtd" [<!ENTITY % p "x"><!ELEMENT r (#PCDATA)><!-- c -->]><r />', `Unexpected output: ${doc}`);
+}
+
+export function entitiesFirstDeclarationIsBinding(/** @type {AssertFunction} */ assert) {
+  const entities = new XML.Entities({a: 'default'}).declare('a', 'first').declare('a', 'second');
+  assert(entities.get('a') === 'first', 'Expected the first declaration to be binding');
+  assert(entities.declare('b', '&#38;amp;').expand('&b;') === '&', 'Expected character references to expand when declared');
+  assert(entities.expand('&lt;&unknown;') === '<&unknown;', 'Expected unknown references to be left');
+}
+
+export function entityExpansionIsLimited(/** @type {AssertFunction} */ assert) {
+  const laughs = Array.from({length: 9}, (_, i) => `<!ENTITY l${i + 1} "${`&l${i};`.repeat(10)}">`).join('');
+  const cases = /** @type {[string, string, Object<string, number>][]} */([
+    [`<!DOCTYPE l [<!ENTITY l0 "lol">${laughs}]><l>&l9;</l>`, 'entity-limit', {}],
+    [`<!DOCTYPE l [<!ENTITY l0 "lol">${laughs}]><l>&l3;</l>`, 'entity-limit', {maxEntityDepth: 2}],
+    [`<!DOCTYPE l [<!ENTITY l0 "lol">${laughs}]><l>&l3;</l>`, 'entity-limit', {maxEntityLength: 1000}],
+    ['<!DOCTYPE l [<!ENTITY a "&b;"><!ENTITY b "&a;">]><l a="&a;"/>', 'recursive-entity', {}],
+  ]);
+  for (const [text, code, options] of cases) {
+    try { XML.parse(text, [], options); assert(false, `Expected exception for ${code}`); }
+    catch (/** @type {any} */ e) { assert(e instanceof XML.SyntaxError && e.code === code, `Expected code ${code}, got ${e.code}`); }
+  }
+  const [l] = /** @type {InstanceType<XML.Text>[]} */([...XML.parse(`<!DOCTYPE l [<!ENTITY l0 "lol">${laughs}]><l>&l3;</l>`).querySelector('l') ?? []]);
+  assert(l.content.length === 3000, 'Expected expansion within the limits');
+}
+
+export function parseAcceptsHtmlEntities(/** @type {AssertFunction} */ assert) {
+  const entities = XML.htmlEntities;
+  assert(entities.nbsp === ' ' && entities.copy === '©' && entities.NotNestedGreaterGreater === '⪢̸', 'Expected the HTML5 table');
+  assert(Object.keys(entities).length === 2125, `Expected 2125 entities, got ${Object.keys(entities).length}`);
+  const [text] = /** @type {InstanceType<XML.Text>[]} */([...XML.parse('<p>&copy;&nbsp;2024</p>', [], {entities}).querySelector('p') ?? []]);
+  assert(text.content === '© 2024', `Unexpected text: ${text.content}`);
+  assert(XML.unescape('&copy;') === '&copy;' && XML.unescape('&copy;', entities) === '©', 'Expected unescape to take entities');
+}
+
+export function strictParseRejectsUndefinedEntities(/** @type {AssertFunction} */ assert) {
+  try { XML.parse('<a>&nbsp;</a>', [], {strict: true}); assert(false, 'Expected exception'); }
+  catch (/** @type {any} */ e) { assert(e.code === 'undefined-entity', `Expected undefined-entity, got ${e.code}`); }
+  assert(XML.parse('<!DOCTYPE a [<!ENTITY nbsp "&#160;">]><a>&nbsp;</a>', [], {strict: true}).length === 2, 'Expected declared entities');
+}
+
+export function streamExpandsDeclaredEntities(/** @type {AssertFunction} */ assert) {
+  const events = /** @type {string[]} */([]);
+  const stream = new XML.Stream(e => events.push(`${e.type}:${e.name ?? /** @type {InstanceType<XML.Text>} */(e.node).content}`));
+  for (const char of '<!DOCTYPE r [<!ENTITY e "E">]><r>&e;</r>') { stream.write(char); }
+  stream.end();
+  assert(events.join(' ') === 'doctype:undefined startElement:r text:E endElement:r', `Unexpected events: ${events.join(' ')}`);
+}
+
+export function nodeInsertsChildrenByPosition(/** @type {AssertFunction} */ assert) {
+  const root = /** @type {InstanceType<XML.Element>} */(XML.parse('<r><a/><c/></r>').firstChild);
+  const [a, c] = root.children;
+  const b = Object.assign(new XML.Element(), {type: 'b'});
+  root.insertBefore(b, c);
+  assert(root.children.map(child => `${child}`).join('') === '<a /><b /><c />', `Unexpected children: ${root}`);
+  root.prepend(c).insertAt(a, -1);
+  assert(root.indexOf(c) === 0 && root.indexOf(b) === 1 && root.indexOf(a) === 2, `Unexpected order: ${root}`);
+  root.insertAt(Object.assign(new XML.Element(), {type: 'z'}), 99);
+  assert(root.lastChild?.toString() === '<z />' && root.firstChild === c, 'Expected indexes to be clamped');
+  assert(root.indexOf(new XML.Node()) === -1, 'Expected -1 for other nodes');
+  try { b.add(root); assert(false, 'Expected exception'); }
+  catch (/** @type {any} */ e) { assert(e.message === 'Cannot insert an Xml.Node into itself', 'Expected a cycle error'); }
+  try { root.insertBefore(new XML.Text(), new XML.Text()); assert(false, 'Expected exception'); }
+  catch (/** @type {any} */ e) { assert(e.message === 'The reference is not a child of this Xml.Node', 'Expected a reference error'); }
+}
+
+export function nodeNavigatesSiblings(/** @type {AssertFunction} */ assert) {
+  const root = /** @type {InstanceType<XML.Element>} */(XML.parse('<r><a/>t<c/></r>').firstChild);
+  const [a, t, c] = root.children;
+  assert(a.nextSibling === t && t.nextSibling === c && c.nextSibling === undefined, 'Expected next siblings');
+  assert(c.previousSibling === t && t.previousSibling === a && a.previousSibling === undefined, 'Expected previous siblings');
+  assert(root.previousSibling === undefined && new XML.Node().firstChild === undefined, 'Expected nothing without parents or children');
+  root.children.pop();
+  assert(root.length === 3, 'Expected children to be a copy');
+}
+
+export function nodeReplacesItself(/** @type {AssertFunction} */ assert) {
+  const root = /** @type {InstanceType<XML.Element>} */(XML.parse('<r><a/><b/></r>').firstChild);
+  const [a, b] = root.children;
+  const x = Object.assign(new XML.Element(), {type: 'x'});
+  assert(a.replaceWith(x, Object.assign(new XML.Text(), {content: '!'})) === a && a.parent === undefined, 'Expected the replaced node');
+  assert(root.toString() === '<r ><x />!<b /></r>', `Unexpected output: ${root}`);
+  b.replaceWith();
+  assert(root.toString() === '<r ><x />!</r>', `Expected removal: ${root}`);
+}
+
+export function nodeClonesDeeply(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<?xml version="1.0"?><!DOCTYPE r [<!ENTITY e "v">]><r xmlns:a="urn:a" a:x="1">t<![CDATA[c]]><!--n--><b/></r>', [], {positions: true});
+  const copy = doc.clone();
+  assert(copy.toString() === doc.toString(), `Unexpected clone: ${copy}`);
+  assert(copy.parent === undefined && copy.firstChild?.source === undefined, 'Expected no parent or source');
+  const root = /** @type {InstanceType<XML.Element>} */(copy.querySelector('r'));
+  root.attributes['a:x'] = '2';
+  root.namespaceURI = 'urn:b';
+  assert(doc.querySelector('r')?.attributes['a:x'] === '1' && doc.querySelector('r')?.namespaceURI === undefined, 'Expected an independent copy');
+  const element = Object.assign(new XML.Element(), {type: 'p:e'});
+  element.namespaceURI = 'urn:p';
+  assert(element.clone().toString() === '<p:e xmlns:p="urn:p"/>', 'Expected programmatic namespaces to be copied');
+}
+
+export function nodeTextContentFlattensText(/** @type {AssertFunction} */ assert) {
+  const root = /** @type {InstanceType<XML.Element>} */(XML.parse('<r>a<b>b<![CDATA[c]]></b><!--d--><?e?>f</r>').firstChild);
+  assert(root.textContent === 'abcf', `Unexpected text: ${root.textContent}`);
+  const [b] = root.children.filter(child => child instanceof XML.Element);
+  root.textContent = 'x < y';
+  assert(root.toString() === '<r >x &lt; y</r>' && b.parent === undefined, `Unexpected output: ${root}`);
+  root.textContent = '';
+  assert(root.length === 0, 'Expected no children for empty text');
+  const comment = Object.assign(new XML.Comment(), {textContent: 'c'});
+  assert(comment.content === 'c' && comment.textContent === 'c', 'Expected content nodes to use their content');
+}
+
+export function nodeNormalizesText(/** @type {AssertFunction} */ assert) {
+  const text = (/** @type {string} */ content) => Object.assign(new XML.Text(), {content});
+  const root = new XML.Element();
+  const child = new XML.Element();
+  child.add(text('c')).add(text('')).add(text('d'));
+  root.add(text('a')).add(text('b')).add(new XML.CData()).add(text('')).add(child).add(text('e'));
+  root.normalize();
+  const kinds = root.children.map(node => node.constructor.name).join();
+  assert(kinds === 'Text,CData,Element,Text' && root.firstChild?.textContent === 'ab', `Unexpected children: ${kinds}`);
+  assert(child.length === 1 && child.textContent === 'cd', 'Expected descendants to be normalized');
+}
+
+export function toObjectMapsElements(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<?xml version="1.0"?>\n<feed id="7">\n  <title>Hi &amp; bye</title>\n  <item n="1">a</item>\n  <item n="2"><b>true</b><![CDATA[<c>]]></item>\n  <empty/>\n</feed>');
+  const object = JSON.stringify(XML.toObject(doc));
+  const expected = '{"feed":{"@_id":"7","title":"Hi & bye","item":[{"@_n":"1","#text":"a"},{"@_n":"2","#text":"<c>","b":"true"}],"empty":""}}';
+  assert(object === expected, `Unexpected object: ${object}`);
+  const element = JSON.stringify(XML.toObject(/** @type {InstanceType<XML.Element>} */(doc.querySelector('title'))));
+  assert(element === '{"title":"Hi & bye"}', `Unexpected element object: ${element}`);
+}
+
+export function toObjectAppliesConventions(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<r a="1"><n>007</n><n>1.5</n><f>false</f><t>x</t><c><![CDATA[<c>]]></c></r>');
+  const object = JSON.stringify(XML.toObject(doc, {attributePrefix: '$', textKey: '_', cdataKey: '#cdata', arrays: ['t'], coerce: true}));
+  assert(object === '{"r":{"$a":1,"n":["007",1.5],"f":false,"t":["x"],"c":{"#cdata":"<c>"}}}', `Unexpected object: ${object}`);
+  const always = JSON.stringify(XML.toObject(XML.parse('<r><a>1</a></r>'), {arrays: 'always'}));
+  assert(always === '{"r":[{"a":["1"]}]}', `Unexpected object: ${always}`);
+}
+
+export function fromObjectBuildsDocuments(/** @type {AssertFunction} */ assert) {
+  const doc = XML.fromObject({feed: {'@_id': 7, title: 'a < b', item: [{'@_n': 1, '#text': 'x', b: true}, null], skip: undefined}});
+  assert(doc.toString() === '<feed id="7"><title >a &lt; b</title><item n="1">x<b >true</b></item><item /></feed>', `Unexpected document: ${doc}`);
+  const cdata = XML.fromObject({c: {'#cdata': '<c>'}}, {cdataKey: '#cdata'});
+  assert(cdata.toString() === '<c ><![CDATA[<c>]]></c>', `Unexpected document: ${cdata}`);
+  try { XML.fromObject({'not valid': 1}); assert(false, 'Expected exception'); }
+  catch (/** @type {any} */ e) { assert(e.message === 'Unparsable name: not valid', 'Expected a name error'); }
+}
+
+export function objectConversionRoundTrips(/** @type {AssertFunction} */ assert) {
+  const text = '<r a="1"><n>007</n><n>1.5</n><f>false</f><c><![CDATA[<c>]]></c><e/></r>';
+  const options = /** @type {const} */({coerce: true, cdataKey: '#cdata', attributePrefix: '@'});
+  const result = XML.fromObject(XML.toObject(XML.parse(text), options), options).toString();
+  assert(result === XML.parse(text).toString(), `Expected a round trip, got ${result}`);
+}
+
+export function processingInstructionsKeepRawData(/** @type {AssertFunction} */ assert) {
+  const text = `<r><?php echo 1; ?><?xml-stylesheet href='a.xsl' type="text/xsl"?><?empty?></r>`;
+  const doc = XML.parse(text);
+  const [php, style, empty] = /** @type {InstanceType<XML.ProcessingInstruction>[]} */(doc.firstChild?.children);
+  assert(php instanceof XML.ProcessingInstruction && php.target === 'php' && php.data === 'echo 1; ', `Unexpected instruction: ${php}`);
+  assert(style.target === 'xml-stylesheet' && style.data === `href='a.xsl' type="text/xsl"`, `Unexpected instruction: ${style}`);
+  assert(empty.data === '' && doc.toString() === text.replace('<r>', '<r >'), `Expected a round trip, got ${doc}`);
+  assert(XML.parse('<?xml version="1.0"?><r/>').firstChild instanceof XML.Declaration, 'Expected the XML declaration to be a declaration');
+  try { php.data = 'a ?> b'; assert(false, 'Expected exception'); }
+  catch (/** @type {any} */ e) { assert(e.message === 'Processing instruction data cannot contain ?>', 'Expected a data error'); }
+}
+
+export function declarationParsesSingleQuotedPairs(/** @type {AssertFunction} */ assert) {
+  const declaration = /** @type {InstanceType<XML.Declaration>} */(XML.parse(`<?xml version='1.0' encoding="UTF-8"?>`).firstChild);
+  assert(declaration.pairs.version === '1.0' && declaration.pairs.encoding === 'UTF-8', `Unexpected pairs: ${declaration}`);
+}
+
+export function documentTypeParsesIdentifiersAndSubset(/** @type {AssertFunction} */ assert) {
+  const text = `<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Strict//EN" 'http://www.w3.org/TR/xhtml1/DTD/xhtml1-strict.dtd' [
+  <!ELEMENT r (#PCDATA|b)*>
+  <!ATTLIST r x CDATA "d" y CDATA #IMPLIED>
+  <!ENTITY e 'say "hi"'>
+  <?pi in subset?>
+]><html/>`;
+  const doctype = /** @type {InstanceType<XML.DocumentType>} */(XML.parse(text).firstChild);
+  assert(doctype instanceof XML.DocumentType && doctype.name === 'html', 'Expected the document type');
+  assert(doctype.publicId === '-//W3C//DTD XHTML 1.0 Strict//EN' && doctype.systemId === 'http://www.w3.org/TR/xhtml1/DTD/xhtml1-strict.dtd', 'Expected the identifiers');
+  const tokens = doctype.declarations.map(declaration => `${declaration.type}:${declaration.tokens.join(' ')}`);
+  assert(tokens.join('|') === `ELEMENT:r (#PCDATA|b)*|ATTLIST:r x CDATA "d" y CDATA #IMPLIED|ENTITY:e 'say "hi"'`, `Unexpected declarations: ${tokens.join('|')}`);
+  assert(doctype.lastChild instanceof XML.ProcessingInstruction, 'Expected instructions in the subset');
+  const system = /** @type {InstanceType<XML.DocumentType>} */(XML.parse('<!DOCTYPE r SYSTEM "r.dtd"><r/>').firstChild);
+  assert(system.publicId === undefined && system.toString() === '<!DOCTYPE r SYSTEM "r.dtd">', `Unexpected doctype: ${system}`);
+  assert(`${XML.parse('<!doctype html><html/>').firstChild}` === '<!DOCTYPE html>', 'Expected HTML style doctypes');
+  assert(doctype.clone().toString() === doctype.toString(), 'Expected clones to serialize the same');
+}
+
+export function xpathSkipsDocumentTypeDeclarations(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<!DOCTYPE r [<?a?><!-- c -->]><r><?b?></r>');
+  const targets = /** @type {InstanceType<XML.ProcessingInstruction>[]} */(XML.evaluate('//processing-instruction()', doc)).map(pi => pi.target);
+  assert(targets.join() === 'b' && XML.evaluate('count(//comment())', doc) === 0, `Unexpected nodes: ${targets}`);
+  assert(XML.evaluate('string(//processing-instruction("b"))', doc) === '', 'Expected the instruction data as string value');
+}
+
+export function strictParseRejectsLateDocumentTypes(/** @type {AssertFunction} */ assert) {
+  try { XML.parse('<r/><!DOCTYPE r>', [], {strict: true}); assert(false, 'Expected exception'); }
+  catch (/** @type {any} */ e) { assert(e.code === 'misplaced-doctype', `Expected misplaced-doctype, got ${e.code}`); }
+  try { XML.parse('<r><?pi', [], {strict: true}); assert(false, 'Expected exception'); }
+  catch (/** @type {any} */ e) { assert(e.code === 'unterminated-pi', `Expected unterminated-pi, got ${e.code}`); }
+}
+
+export function streamEmitsInstructionsAndDocumentTypes(/** @type {AssertFunction} */ assert) {
+  const events = /** @type {string[]} */([]);
+  new XML.Stream(e => events.push(e.type)).end('<?xml version="1.0"?><!DOCTYPE r><r><?pi x?></r>');
+  assert(events.join() === 'declaration,doctype,startElement,processingInstruction,endElement', `Unexpected events: ${events}`);
+}
+
+export function parseReadsDeeplyNestedElements(/** @type {AssertFunction} */ assert) {
+  const depth = 100000;
+  const doc = XML.parse(`${'<a>'.repeat(depth)}x${'</a>'.repeat(depth)}`, [], {strict: true});
+  let levels = 0;
+  for (let node = doc.firstChild; node instanceof XML.Element; node = node.firstChild) { levels++; }
+  assert(levels === depth, `Expected ${depth} nested elements, got ${levels}`);
+}
+
+export function parsersReadFromAnOffset(/** @type {AssertFunction} */ assert) {
+  const source = '<a>text<b c="1"><d/></b>tail</a>';
+  const [text, end] = new XML.Text.Parser().read(source, 3, []);
+  assert(text instanceof XML.Text && text.content === 'text' && end === 7, `Expected text ending at 7, got ${end}`);
+  const [b, after] = new XML.Element.Parser().read(source, 7, XML.defaultParsers);
+  assert(b instanceof XML.Element && b.toString() === '<b c="1"><d /></b>', `Unexpected element ${b}`);
+  assert(source.slice(after) === 'tail</a>', `Expected to stop after </b>, got ${after}`);
+  assert(new XML.Comment.Parser().canRead(source, 0) === false && new XML.Element.Parser().canRead(source, 7), 'Expected canRead at offsets');
+}
+
+export function parseUsesOffsetParsers(/** @type {AssertFunction} */ assert) {
+  class Template extends XML.Text {}
+  class TemplateParser extends XML.Parser {
+    canRead(/** @type {string} */ source, /** @type {number} */ offset) { return source.startsWith('{{', offset); }
+    read(/** @type {string} */ source, /** @type {number} */ offset) {
+      const end = source.indexOf('}}', offset);
+      const node = new Template();
+      node.content = source.slice(offset + 2, end < 0 ? source.length : end);
+      return /** @type {[InstanceType<XML.Node>, number]} */([node, end < 0 ? source.length : end + 2]);
+    }
+  }
+  const parser = new TemplateParser();
+  const doc = XML.parse('<a><b>{{ name }}</b></a>', [parser, ...XML.defaultParsers], {positions: true});
+  const template = doc.querySelector('b')?.firstChild;
+  assert(template instanceof Template && template.content === ' name ', 'Expected the custom parser within nested elements');
+  assert(template?.source?.start.offset === 6 && template?.source?.end.offset === 16, 'Expected custom parser nodes to have ranges');
+  const [node, remaining] = parser.parse('{{ x }}<a/>', []);
+  assert(node instanceof Template && remaining === '<a/>', 'Expected parse to be derived from read');
+  assert(doc.querySelector('b')?.source?.start.offset === 3, 'Expected nested elements to have ranges');
+}
+
+export function parseHTMLReadsVoidElementsAndBareAttributes(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parseHTML('<p class=intro hidden>a<br>b<img src="x.png" alt=\'\'>c</p>');
+  const p = /** @type {InstanceType<XML.Element>} */(doc.querySelector('p'));
+  assert(p.attributes.class === 'intro' && p.attributes.hidden === '', `Unexpected attributes ${JSON.stringify(p.attributes)}`);
+  assert(p.children.length === 5, `Expected void elements to have no content, got ${p.children.length} children`);
+  assert(doc.querySelector('img')?.attributes.src === 'x.png' && doc.querySelector('br')?.length === 0, 'Expected void elements');
+}
+
+export function parseHTMLReadsRawText(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parseHTML('<div><script>if (a < b) { write("</div>"); }</SCRIPT><textarea>&lt;b&gt;</textarea><style>a > b {}</style></div>');
+  assert(doc.querySelector('script')?.textContent === 'if (a < b) { write("</div>"); }', 'Expected script content as text');
+  assert(doc.querySelector('textarea')?.textContent === '<b>', 'Expected references expanded in textarea');
+  assert(doc.querySelector('style')?.textContent === 'a > b {}', 'Expected style content as text');
+  assert(doc.querySelector('div')?.children.length === 3, 'Expected raw text elements to be closed');
+}
+
+export function parseHTMLImpliesEndTags(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parseHTML('<p>one<p>two<ul><li>a<li><p>b<li>c</ul><table><tr><td>1<td>2<tr><td>3</table>');
+  assert(doc.children.filter(node => node instanceof XML.Element && node.type === 'p').length === 2, 'Expected sibling paragraphs');
+  assert(doc.querySelectorAll('ul > li').length === 3 && !doc.querySelector('li li'), 'Expected sibling list items');
+  assert(doc.querySelectorAll('tr').length === 2 && doc.querySelectorAll('tr > td').length === 3 && !doc.querySelector('td td'), 'Expected sibling cells and rows');
+  assert(!doc.querySelector('p > ul'), 'Expected a list to close the paragraph');
+}
+
+export function parseHTMLMatchesTagsCaseInsensitively(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parseHTML('</span><DIV><Span>a</SPAN>b</div>&nbsp;&copy;');
+  const div = /** @type {InstanceType<XML.Element>} */(doc.querySelector('DIV'));
+  assert(div?.children.length === 2 && div.textContent === 'ab', 'Expected closing tags to match regardless of case');
+  assert(doc.textContent === 'ab ©', `Expected HTML entities and stray closing tags ignored, got ${doc.textContent}`);
+}
+
+export function serializeWritesHtml(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parseHTML('<div><br><span></span><script>a < b</script><p>x &amp; y</div>');
+  const html = XML.serialize(doc, {html: true, declaration: true});
+  assert(html === '<div><br><span></span><script>a < b</script><p>x &amp; y</p></div>', `Unexpected HTML ${html}`);
+}
+
+export function validateChecksDtdDeclarations(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse(`<!DOCTYPE note [
+    <!ELEMENT note (to, from+, body)> <!ELEMENT to (#PCDATA)> <!ELEMENT from (#PCDATA)> <!ELEMENT body (#PCDATA | b)*> <!ELEMENT b (#PCDATA)>
+    <!ATTLIST note id ID #REQUIRED priority (low | high) "low">
+  ]><note priority="urgent"><to>A</to><body>x<b>y</b><i/></body></note>`);
+  const errors = XML.validate(doc).map(error => `${error.code} ${error.path}`);
+  const expected = ['invalid-value /note/@priority', 'missing-attribute /note', 'invalid-content /note', 'invalid-content /note/body', 'undeclared-element /note/body/i'];
+  assert(errors.join(',') === expected.join(','), `Unexpected errors: ${errors.join(',')}`);
+  const valid = XML.parse('<!DOCTYPE note [<!ELEMENT note (to)><!ELEMENT to (#PCDATA)><!ATTLIST note id ID #REQUIRED>]><note id="n1"><to>A</to></note>');
+  assert(XML.validate(valid).length === 0, 'Expected a valid document to have no errors');
+  assert(XML.validate(XML.parse('<other/>'), XML.Schema.fromDTD(valid))[0]?.code === 'invalid-root', 'Expected the DOCTYPE name to be enforced');
+}
+
+export function validateChecksXsdSubset(/** @type {AssertFunction} */ assert) {
+  const schema = XML.Schema.from(`<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+    <xs:simpleType name="Sku"><xs:restriction base="xs:string"><xs:pattern value="[A-Z]{3}-\\d+"/></xs:restriction></xs:simpleType>
+    <xs:element name="order"><xs:complexType>
+      <xs:sequence>
+        <xs:element name="date" type="xs:date"/>
+        <xs:element name="item" minOccurs="1" maxOccurs="2"><xs:complexType>
+          <xs:choice><xs:element name="sku" type="Sku"/><xs:element name="code" type="xs:integer"/></xs:choice>
+          <xs:attribute name="status" use="required"><xs:simpleType><xs:restriction base="xs:token">
+            <xs:enumeration value="open"/><xs:enumeration value="closed"/>
+          </xs:restriction></xs:simpleType></xs:attribute>
+        </xs:complexType></xs:element>
+      </xs:sequence>
+    </xs:complexType></xs:element>
+  </xs:schema>`);
+  const doc = XML.parse('<order><date>2024-02-30</date><item status="open"><sku>abc</sku></item><item><code>1</code></item><item status="done"/></order>');
+  const errors = XML.validate(doc, schema).map(error => `${error.code} ${error.path}`);
+  const expected = ['invalid-content /order', 'invalid-value /order/date', 'invalid-value /order/item[1]/sku', 'missing-attribute /order/item[2]',
+    'invalid-value /order/item[3]/@status', 'invalid-content /order/item[3]'];
+  assert(errors.join(',') === expected.join(','), `Unexpected errors: ${errors.join(',')}`);
+  const valid = XML.parse('<order><date>2024-02-29</date><item status="closed"><sku>ABC-12</sku></item></order>');
+  assert(XML.validate(valid, schema).length === 0, 'Expected a valid document to have no errors');
+  assert(XML.validate(XML.parse('<invoice/>'), schema)[0]?.code === 'undeclared-element', 'Expected undeclared document elements');
+}
+
+export function validationPathsSelectTheOffendingNode(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<!DOCTYPE r [<!ELEMENT r (a*)><!ELEMENT a EMPTY><!ATTLIST a n CDATA #IMPLIED>]><r><a/><a m="1"/></r>');
+  const [error] = XML.validate(doc);
+  const [node] = /** @type {any[]} */(XML.evaluate(error.path, doc));
+  assert(error.path === '/r/a[2]/@m' && node === error.node, `Expected ${error.path} to select the attribute`);
+}
+
+export function walkDispatchesByNodeType(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<?xml version="1.0"?><r><a>x<!--c--></a><![CDATA[d]]><b><c/></b></r>');
+  /** @type {string[]} */
+  const events = [];
+  const finished = XML.walk(doc, {
+    enter: (node, depth) => { events.push(`${depth}`); },
+    leave: node => { if (node instanceof XML.Element) { events.push(`/${node.type}`); } },
+    Document: () => { events.push('doc'); },
+    Declaration: () => { events.push('decl'); },
+    Element: element => { events.push(element.type); return element.type === 'b' ? XML.Walker.skip : undefined; },
+    Text: text => { events.push(text.content); },
+    Comment: () => { events.push('comment'); },
+    CData: () => { events.push('cdata'); },
+  });
+  const expected = '0 doc 1 decl 1 r 2 a 3 x 3 comment /a 2 cdata 2 b /b /r';
+  assert(finished && events.join(' ') === expected, `Unexpected events: ${events.join(' ')}`);
+  /** @type {string[]} */
+  const visited = [];
+  const stopped = XML.walk(doc, {Element: element => { visited.push(element.type); return element.type === 'a' ? XML.Walker.stop : undefined; }});
+  assert(!stopped && visited.join() === 'r,a', `Expected the walk to stop at a, visited ${visited.join()}`);
+}
+
+export function walkAllowsRemovingNodes(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<r><a/><b/><c/><d/></r>');
+  /** @type {string[]} */
+  const visited = [];
+  XML.walk(doc, {Element: element => {
+    visited.push(element.type);
+    if (element.type === 'a') { element.nextSibling?.replaceWith(); element.replaceWith(); }
+  }});
+  assert(visited.join() === 'r,a,c,d', `Expected removed nodes to be passed over, visited ${visited.join()}`);
+  assert(XML.serialize(doc) === '<r><c/><d/></r>', `Unexpected result: ${XML.serialize(doc)}`);
+}
+
+export function transformRemovesUnwrapsRenamesAndReplaces(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<doc><!--x--><font><b>bold <font>nested</font></b></font><script/><p class="note">hi</p><img src="a.png"/></doc>');
+  XML.transform(doc, {
+    '#comment': 'remove',
+    'font': 'unwrap',
+    'b': {rename: 'strong'},
+    'script': node => null,
+    'p.note, p[class="note"]': node => {
+      const aside = XML.parse('<aside/>').firstChild;
+      aside.add(node);
+      return aside;
+    },
+    'img': node => ['[image ', /** @type {InstanceType<typeof XML.Element>} */(node).attributes.src, ']'],
+  });
+  const expected = '<doc><strong>bold nested</strong><aside><p class="note">hi</p></aside>[image a.png]</doc>';
+  assert(XML.serialize(doc) === expected, `Unexpected result: ${XML.serialize(doc)}`);
+  const list = XML.parse('<ul><li>1</li><li>2</li><li>3</li></ul>');
+  XML.transform(list, [[node => node instanceof XML.Text && node.content === '2', node => node]]);
+  XML.transform(list, [[node => node instanceof XML.Element && node.textContent === '2', 'remove']]);
+  assert(XML.serialize(list) === '<ul><li>1</li><li>3</li></ul>', `Unexpected result: ${XML.serialize(list)}`);
+  let error;
+  try { XML.transform(list, {li: /** @type {any} */('delete')}); } catch (e) { error = e; }
+  assert(error instanceof Error, 'Expected an invalid action to throw');
+}
+
+export function parseLosslessKeepsOriginalText(/** @type {AssertFunction} */ assert) {
+  const text = `<?xml version='1.0' ?>\n<!DOCTYPE c [ <!ENTITY co "Acme"> ]>\n<c   version='2'\n   debug="false" >\n  <!-- &amp; -->\n  <name>&co; &#169;</name>\n  <empty></empty><self />\n  <![CDATA[ <raw> ]]><?pi  data ?>\n</c>\n`;
+  const doc = XML.parse(text, [], {lossless: true});
+  assert(doc.toString() === text, `Expected the original text, got ${doc}`);
+  assert(XML.parse(text).toString() !== text, 'Expected nodes to be rendered without the lossless option');
+  const html = '<ul><li class=a>One<br><li>Two &nbsp;</UL><script>if (a < b) {}</script><p>x';
+  assert(XML.parseHTML(html, [], {lossless: true}).toString() === html, 'Expected the original HTML text');
+}
+
+export function parseLosslessRendersEditedNodes(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse(`<c a='1'  b='2'>\n  <name>&#169; 2024</name>\n  <self />\n  <other  x='y' />\n</c>`, [], {lossless: true});
+  const c = /** @type {InstanceType<typeof XML.Element>} */(doc.firstChild);
+  c.attributes.b = '3';
+  /** @type {InstanceType<typeof XML.Text>} */(doc.querySelector('name')?.firstChild).content = '© 2025';
+  doc.querySelector('self')?.add(XML.parse('<child/>').firstChild);
+  const expected = `<c a="1" b="3">\n  <name>© 2025</name>\n  <self ><child /></self>\n  <other  x='y' />\n</c>`;
+  assert(doc.toString() === expected, `Expected only edited nodes to be rendered, got ${doc}`);
+}
+
+export function parseDecodesBytesInTheirEncoding(/** @type {AssertFunction} */ assert) {
+  const latin = Uint8Array.from([...'<?xml version="1.0" encoding="ISO-8859-1"?><r a="caf\xe9">na\xefve</r>'].map(char => char.charCodeAt(0)));
+  assert(XML.parse(latin).querySelector('r')?.textContent === 'naïve', 'Expected the declared encoding to be used');
+  const bom = new Uint8Array([0xEF, 0xBB, 0xBF, ...new TextEncoder().encode('<r>é</r>')]);
+  assert(XML.parse(bom.buffer).firstChild?.textContent === 'é', 'Expected a UTF-8 byte order mark to be dropped');
+  const utf16 = new Uint8Array([0xFE, 0xFF, ...[...'<r>ü</r>'].flatMap(char => [0, char.charCodeAt(0)])]);
+  assert(XML.parse(utf16).firstChild?.textContent === 'ü', 'Expected UTF-16BE with a byte order mark');
+  const utf16le = new Uint8Array([...'<r>ß</r>'].flatMap(char => [char.charCodeAt(0), 0]));
+  assert(XML.decode(utf16le) === '<r>ß</r>', 'Expected UTF-16LE without a byte order mark');
+  let error;
+  try { XML.parse(new TextEncoder().encode('<?xml version="1.0" encoding="bogus"?><r/>')); } catch (e) { error = e; }
+  assert(error instanceof Error && /bogus/.test(error.message), 'Expected an unsupported encoding to throw');
+}
+
+export function encodeWritesTheDeclaredEncoding(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<?xml version="1.0" encoding="ISO-8859-1"?><r a="café">Ω</r>');
+  const latin = XML.encode(doc);
+  const expected = '<?xml version="1.0" encoding="ISO-8859-1"?><r a="caf\xe9">&#x3A9;</r>';
+  assert(String.fromCharCode(...latin) === expected, `Expected ISO-8859-1 bytes, got ${String.fromCharCode(...latin)}`);
+  const utf16 = XML.encode(doc, {encoding: 'UTF-16'});
+  assert(utf16[0] === 0xFF && utf16[1] === 0xFE, 'Expected a UTF-16LE byte order mark');
+  assert(XML.parse(utf16).toString() === '<?xml version="1.0" encoding="UTF-16"?><r a="café">Ω</r>', `Unexpected round trip: ${XML.parse(utf16)}`);
+  const added = XML.serialize(XML.parse('<r/>'), {declaration: true, encoding: 'windows-1252'});
+  assert(added.startsWith('<?xml version="1.0" encoding="windows-1252"?>'), `Expected the encoding to be declared, got ${added}`);
+}
+
+export function xmlTemplateEscapesByPosition(/** @type {AssertFunction} */ assert) {
+  const [id, name] = ['a"&<b', '<script> & co'];
+  const item = XML.xml`<item id=${id} title='${"it's"}' ${{class: 'x', hidden: false, count: 3}}>${name}<!--${'a--b'}--></item>`;
+  const expected = '<item id="a&quot;&amp;&lt;b" title="it&apos;s" class="x" count="3">&lt;script&gt; &amp; co<!--a- -b--></item>';
+  assert(item instanceof XML.Element && XML.serialize(item) === expected, `Unexpected result: ${XML.serialize(item)}`);
+  assert(/** @type {InstanceType<typeof XML.Element>} */(item).attributes.id === id, 'Expected the attribute value to round trip');
+  const comments = XML.serialize(XML.xml`<r><!--${'--'}--><!-- a-${'-b-'}--><!--${'-'}--></r>`);
+  assert(comments === '<r><!--- - --><!-- a- -b- --><!--- --></r>', `Unexpected comments: ${comments}`);
+  assert(XML.parse(comments, [], {strict: true}) instanceof XML.Node, 'Expected the comments to be well-formed');
+  let error;
+  try { XML.xml`<a ${'b'}/>`; } catch (e) { error = e; }
+  assert(error instanceof Error, 'Expected text where attributes go to throw');
+}
+
+export function xmlTemplateInsertsNodes(/** @type {AssertFunction} */ assert) {
+  const doc = XML.parse('<keep><kid/></keep>');
+  const items = ['a', 'b'].map(name => XML.xml`<li>${name}</li>`);
+  const list = XML.xml`
+    <ul>${items}${doc.querySelector('kid')}${XML.xml`<x/><y/>`}${null}${false}</ul>
+  `;
+  assert(XML.serialize(list) === '<ul><li>a</li><li>b</li><kid/><x/><y/></ul>', `Unexpected result: ${XML.serialize(list)}`);
+  assert(XML.serialize(doc) === '<keep><kid/></keep>', 'Expected nodes in another tree to be cloned');
+  const fragment = XML.xml`<a/><b/>`;
+  assert(fragment.constructor === XML.Node && fragment.length === 2, 'Expected several nodes to be returned in a document');
+}
+
+export function diffListsStructuralChanges(/** @type {AssertFunction} */ assert) {
+  const a = XML.parse('<config><server id="a" port="1"/><server id="b"/><server id="c"/><name>old</name></config>');
+  const b = XML.parse('<config><server id="c"/><server id="a" port="2"/><server id="d"/><name>new</name></config>');
+  const changes = XML.diff(a, b, {keys: ['id']});
+  const summary = changes.map(change => `${change.type} ${change.from ?? change.path}${change.name ? ` @${change.name}` : ''}`);
+  const expected = ['remove config/server[@id="b"]', 'move config/server[@id="c"]', 'insert config', 'change-attribute config/server[@id="a"] @port', 'text config/name/text()[1]'];
+  assert(summary.join(',') === expected.join(','), `Unexpected changes: ${summary.join(',')}`);
+  assert(XML.diff(a, XML.parse(XML.serialize(a))).length === 0, 'Expected no changes between equal trees');
+  const [first] = /** @type {any[]} */(XML.evaluate(/** @type {string} */(changes[0].path), a));
+  assert(first === a.querySelector('server[id="b"]'), 'Expected paths to select nodes with Xml.evaluate');
+}
+
+export function patchAppliesDiffs(/** @type {AssertFunction} */ assert) {
+  const pairs = [
+    ['<c><s id="a" port="1"/><s id="b"/><s id="c"/></c>', '<c><s id="c"/><s id="a" port="2" x="1"/><s id="d"/></c>'],
+    ['<r><i>1</i><i>2</i><i>3</i><!--n--></r>', '<r><i>3</i><i>1</i><i>two</i><i>4</i><!--m--></r>'],
+    ['<?xml version="1.0"?><r xmlns:p="u"><p:a/>text<![CDATA[x]]></r>', '<?xml version="1.1"?><r xmlns:p="u"><p:a k="v"/>text2<![CDATA[x]]><p:a/></r>'],
+  ];
+  for (const [before, after] of pairs) {
+    const changes = JSON.parse(JSON.stringify(XML.diff(XML.parse(before), XML.parse(after), {keys: ['id']})));
+    const patched = XML.serialize(XML.patch(XML.parse(before), changes));
+    assert(patched === XML.serialize(XML.parse(after)), `Expected ${after}, got ${patched}`);
+  }
+  const moves = XML.diff(XML.parse('<c><a/><b/><c/><d/></c>'), XML.parse('<c><d/><a/><b/><c/></c>'));
+  assert(moves.length === 1 && moves[0].type === 'move', 'Expected a single move');
+  const spaced = XML.diff(XML.parse('<r>\n  <a>1</a>\n</r>'), XML.parse('<r><a>1</a></r>'), {whitespace: 'ignore'});
+  assert(spaced.length === 0, 'Expected whitespace to be ignored');
+  let error;
+  try { XML.patch(XML.parse('<r/>'), [{type: 'remove', path: 'r/missing'}]); } catch (e) { error = e; }
+  assert(error instanceof Error, 'Expected a missing path to throw');
+}